@@ -30,6 +30,9 @@
   //   ksel.focusLine  / ksel.focusOffset   — where it ends (moves)
   let ksel = null; // null = no keyboard cross-line selection active
 
+  // Multi-cursor state, see MULTI-CURSOR below
+  let mc = null; // null = single caret
+
   // ── MARKDOWN ENGINE ─────────────────────────────────────────
   const md = window.markdownit({
     html: false,
@@ -44,6 +47,45 @@
     }
   });
 
+  // ── WIKI LINKS ───────────────────────────────────────────────
+  // [[Note Name]] or [[Note Name|label]] links to another note by name.
+  // Names are compared loosely (case, punctuation, spacing) because note
+  // names may only contain [a-zA-Z0-9_ ].
+  const WIKILINK_RE = /\[\[([^\[\]|\n]+)(\|[^\[\]\n]*)?\]\]/g;
+  const WIKILINK_AT = new RegExp(WIKILINK_RE.source, 'y'); // anchored copy for the parser
+
+  function normalizeNoteName(name) {
+    return String(name).replace(/[^a-zA-Z0-9_ ]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  function findNoteByName(name) {
+    const key = normalizeNoteName(name);
+    if (!key) return null;
+    return window.notes?.index.notes.find(n => normalizeNoteName(n.name) === key) || null;
+  }
+
+  md.inline.ruler.before('link', 'wikilink', (state, silent) => {
+    const start = state.pos;
+    if (state.src.charCodeAt(start) !== 0x5B /* [ */ || state.src.charCodeAt(start + 1) !== 0x5B) return false;
+    WIKILINK_AT.lastIndex = start;
+    const m = WIKILINK_AT.exec(state.src);
+    if (!m || !m[1].trim()) return false;
+    if (!silent) {
+      const token = state.push('wikilink', '', 0);
+      const target = m[1].trim();
+      token.meta = { target, label: m[2] ? m[2].slice(1).trim() || target : target };
+    }
+    state.pos = start + m[0].length;
+    return true;
+  });
+
+  md.renderer.rules.wikilink = (tokens, idx) => {
+    const { target, label } = tokens[idx].meta;
+    const missing = findNoteByName(target) ? '' : ' missing';
+    const title = missing ? `Create note "${target}"` : `Open note "${target}"`;
+    return `<a href="#" class="wikilink${missing}" data-note="${escapeHtml(target).replace(/"/g, '&quot;')}" title="${escapeHtml(title).replace(/"/g, '&quot;')}">${escapeHtml(label)}</a>`;
+  };
+
   // ── DOM REFS ─────────────────────────────────────────────────
   const container = document.getElementById('line-container');
   const statusPos = document.getElementById('status-pos');
@@ -55,25 +97,100 @@
   const modalOverlay = document.getElementById('modal-overlay');
 
   // ── FENCE STATE COMPUTATION ──────────────────────────────────
+  // Called freely (every render asks), so it only does work for what changed
+  // since the last call. Edit sites report the lines they touched through
+  // linesChanged(); states are recomputed from the first of them and stop as
+  // soon as the state coming into an untouched line is what it was before.
+  // fenceStates[i] describes the state before line i, plus what line i
+  // itself is: fence 'open', 'close' or null.
+  let fenceFor = null;   // the lines[] fenceStates belongs to; a new one starts over
+  let fenceDirty = null; // { from, to, length }: lines changed since, to inclusive
+
+  // ``` or ~~~ (three or more), indented at most three spaces
+  const FENCE_RE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+  const NO_FENCE = { inFence: false, fenceLang: '', fenceMarker: '' };
+
+  function fenceMarker(line) {
+    const m = FENCE_RE.exec(line);
+    if (!m || (m[1][0] === '`' && m[2].includes('`'))) return null;
+    return { marker: m[1], info: m[2].trim() };
+  }
+
+  // State of the line after one whose state is st
+  function fenceAfter(st, line) {
+    if (st.fence === 'open') {
+      const f = fenceMarker(line);
+      return { inFence: true, fenceLang: f.info, fenceMarker: f.marker };
+    }
+    if (st.fence === 'close') return NO_FENCE;
+    const { inFence, fenceLang, fenceMarker: marker } = st;
+    return { inFence, fenceLang, fenceMarker: marker };
+  }
+
+  function sameFence(a, b) {
+    return a.inFence === b.inFence && a.fenceLang === b.fenceLang && a.fenceMarker === b.fenceMarker;
+  }
+
+  // What line is, given the state before it: 'open', 'close' or null. Only a
+  // bare fence of the opening character, at least as long, closes a block.
+  function fenceKind(st, line) {
+    const f = fenceMarker(line);
+    if (!f) return null;
+    if (!st.inFence) return 'open';
+    if (!f.info && f.marker[0] === st.fenceMarker[0] && f.marker.length >= st.fenceMarker.length) return 'close';
+    return null;
+  }
+
+  // Call fn(line, i) for every line of text[] outside fenced code blocks and
+  // their fence lines; for notes other than the one in the editor
+  function forEachUnfencedLine(text, fn) {
+    let ctx = NO_FENCE;
+    text.forEach((line, i) => {
+      const st = { ...ctx, fence: fenceKind(ctx, line) };
+      ctx = fenceAfter(st, line);
+      if (!st.inFence && !st.fence) fn(line, i);
+    });
+  }
+
+  // Lines from..to (indices after the edit) were changed or inserted; to
+  // defaults to the end of the note when the edit doesn't know how far it went
+  function linesChanged(from, to = Infinity) {
+    if (fenceDirty) {
+      from = Math.min(from, fenceDirty.from);
+      // An edit that added or removed lines moved the earlier range's end
+      to = lines.length === fenceDirty.length ? Math.max(to, fenceDirty.to) : Infinity;
+    }
+    fenceDirty = { from, to, length: lines.length };
+  }
+
   function computeFenceStates() {
-    fenceStates = [];
-    let inFence = false;
-    let fenceLang = '';
-    let fenceStart = -1;
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      fenceStates.push({ inFence, fenceLang, fenceStart });
-      if (line.startsWith('```')) {
-        if (!inFence) {
-          inFence = true;
-          fenceLang = line.slice(3).trim();
-          fenceStart = i;
-        } else {
-          inFence = false;
-          fenceLang = '';
-          fenceStart = -1;
-        }
-      }
+    if (fenceFor !== lines) {
+      fenceFor = lines;
+      fenceStates.length = 0;
+      fenceDirty = { from: 0, to: Infinity };
+    }
+    if (!fenceDirty) return;
+    const n = lines.length;
+    const from = Math.min(fenceDirty.from, n, fenceStates.length);
+    const to = fenceDirty.to;
+    fenceDirty = null;
+    const shift = n - fenceStates.length; // lines added, or removed if negative
+    // Past the edit, line i is the old line i - shift: move its state with it
+    if (shift > 0) {
+      fenceStates.length = n;
+      fenceStates.copyWithin(from + shift, from, n - shift);
+    } else if (shift < 0) {
+      fenceStates.copyWithin(from, from - shift);
+      fenceStates.length = n;
+    }
+
+    let ctx = from > 0 ? fenceAfter(fenceStates[from - 1], lines[from - 1]) : NO_FENCE;
+    for (let i = from; i < n; i++) {
+      // Once the state coming into an untouched line is what it was, so is
+      // every state after it
+      if (i > to && sameFence(ctx, fenceStates[i])) break;
+      fenceStates[i] = { ...ctx, fence: fenceKind(ctx, lines[i]) };
+      ctx = fenceAfter(fenceStates[i], lines[i]);
     }
   }
 
@@ -83,25 +200,190 @@
     computeFenceStates();
     const st = fenceStates[idx];
     if (!st) return null;
-    // Either the line is the opening ``` line, or it's inside a fence
-    const isOpening = lines[idx].startsWith('```') && !st.inFence;
-    const isInside  = st.inFence;
-    const isClosing = lines[idx].startsWith('```') && st.inFence;
+    if (st.fence !== 'open' && !st.inFence) return null;
+    let start = idx;
+    while (fenceStates[start].fence !== 'open') start--;
+
+    let end = lines.length - 1; // unclosed fence
+    for (let i = start + 1; i < lines.length; i++) {
+      if (fenceStates[i].fence === 'close') { end = i; break; }
+    }
+    return { start, end };
+  }
+
+  // ── BLOCK MODEL ──────────────────────────────────────────────
+  // Tables, quotes, lists, setext headings and indented code span several
+  // lines and can't be rendered one line at a time. A markdown-it block pass
+  // over the whole note maps each of them to its source lines: the first line
+  // renders the whole block and the rest are hidden until it is opened for
+  // editing. Fences, HTML comments and footnote definitions are masked out of
+  // the pass and handled line by line, as are single-line blocks.
+  let blockLines = null; // lines[] the model was built from
+  let blockAt = [];      // line → { id, start, end, comment } (end inclusive)
+  let blockEnv = {};     // reference links and footnotes of the whole note
+  let nextBlockId = 1;   // a block keeps its id while its lines are unchanged
+
+  const FOOTNOTE_DEF_RE = /^\[\^([^\]\s]+)\]:\s?(.*)$/;
+  const MULTILINE_BLOCKS = ['table_open', 'blockquote_open', 'bullet_list_open', 'ordered_list_open', 'code_block'];
+
+  // Opening tokens remember their source line, so a click inside a rendered
+  // block can find the line it came from
+  md.core.ruler.push('source_lines', (state) => {
+    const offset = state.env.lineOffset;
+    if (offset === undefined) return;
+    state.tokens.forEach((tok, i) => {
+      if (tok.map && tok.nesting === 1) tok.attrSet('data-line', String(tok.map[0] + offset));
+      // "- [ ] text" inside a list item
+      if (tok.type !== 'inline' || state.tokens[i - 2]?.type !== 'list_item_open') return;
+      const first = tok.children[0];
+      const m = first?.type === 'text' && /^\[([ xX])\]\s/.exec(first.content);
+      if (!m) return;
+      const checked = m[1] !== ' ';
+      first.content = first.content.slice(m[0].length);
+      const box = new state.Token('task_checkbox', 'input', 0);
+      box.meta = { checked, line: tok.map[0] + offset };
+      tok.children.unshift(box);
+      state.tokens[i - 2].attrJoin('class', checked ? 'task-item task-done' : 'task-item');
+    });
+  });
+
+  md.renderer.rules.task_checkbox = (tokens, idx) => {
+    const { checked, line } = tokens[idx].meta;
+    return `<input type="checkbox" data-line="${line}"${checked ? ' checked' : ''}>`;
+  };
 
-    if (!isOpening && !isInside && !isClosing) return null;
+  md.inline.ruler.before('link', 'footnote_ref', (state, silent) => {
+    const m = /^\[\^([^\]\s]+)\]/.exec(state.src.slice(state.pos));
+    if (!m) return false;
+    if (!silent) state.push('footnote_ref', 'sup', 0).meta = { label: m[1] };
+    state.pos += m[0].length;
+    return true;
+  });
 
-    // Find the opening line
-    let start = isOpening ? idx : st.fenceStart;
-    if (start < 0) return null;
+  md.renderer.rules.footnote_ref = (tokens, idx) => {
+    const { label } = tokens[idx].meta;
+    const text = blockEnv.footnotes?.get(label);
+    const title = text === undefined ? 'Missing footnote' : text;
+    return `<sup class="footnote-ref" title="${escapeHtml(title).replace(/"/g, '&quot;')}">${escapeHtml(label)}</sup>`;
+  };
 
-    // Find the closing line
-    let end = -1;
-    for (let i = start + 1; i < lines.length; i++) {
-      if (lines[i].startsWith('```')) { end = i; break; }
+  function ensureBlocks() {
+    if (blockLines && blockLines.length === lines.length &&
+        lines.every((l, i) => l === blockLines[i])) return;
+    computeFenceStates();
+    const prevAt = blockAt, prevLines = blockLines || [];
+    blockLines = lines.slice();
+    blockAt = [];
+    const makeBlock = (start, end, comment) => {
+      const old = prevAt[start];
+      let same = !!old && old.start === start && old.end === end && old.comment === comment;
+      for (let j = start; same && j <= end; j++) same = lines[j] === prevLines[j];
+      const range = { id: same ? old.id : nextBlockId++, start, end, comment };
+      for (let j = start; j <= end; j++) blockAt[j] = range;
+    };
+    const footnotes = new Map();
+    const masked = new Array(lines.length).fill(false);
+
+    for (let i = 0; i < lines.length; i++) {
+      const st = fenceStates[i];
+      if (st.inFence || st.fence) { masked[i] = true; continue; }
+      const fn = FOOTNOTE_DEF_RE.exec(lines[i]);
+      if (fn) {
+        footnotes.set(fn[1], fn[2]);
+        masked[i] = true;
+        continue;
+      }
+      if (!lines[i].trimStart().startsWith('<!--')) continue;
+      let end = i;
+      while (end < lines.length && !lines[end].trimEnd().endsWith('-->')) end++;
+      if (end === lines.length) continue; // unterminated, leave it be
+      makeBlock(i, end, true);
+      for (let j = i; j <= end; j++) masked[j] = true;
+      i = end;
     }
-    if (end < 0) end = lines.length - 1; // unclosed fence
 
-    return { start, end };
+    // Masked lines end whatever block came before them, so each run between
+    // them is parsed on its own
+    const env = {};
+    for (let from = 0; from < lines.length;) {
+      if (masked[from]) { from++; continue; }
+      let to = from;
+      while (to < lines.length && !masked[to]) to++;
+      const tokens = [];
+      md.block.parse(lines.slice(from, to).join('\n'), md, env, tokens); // no inline pass needed
+      tokens.forEach(tok => {
+        if (tok.level !== 0 || tok.nesting === -1 || !tok.map) return;
+        const isSetext = tok.type === 'heading_open' && (tok.markup === '=' || tok.markup === '-');
+        if (!isSetext && !MULTILINE_BLOCKS.includes(tok.type)) return;
+        const start = from + tok.map[0];
+        let end = from + tok.map[1] - 1;
+        while (end > start && !lines[end].trim()) end--;
+        if (end > start) makeBlock(start, end, false);
+      });
+      from = to;
+    }
+    blockEnv = { references: env.references || {}, footnotes };
+  }
+
+  // The multi-line block containing line idx, or null
+  function getBlockRange(idx) {
+    ensureBlocks();
+    const b = blockAt[idx];
+    return b && b.end > b.start ? b : null;
+  }
+
+  // Lines that open and close together for editing: a fence or a block
+  function getEditRange(idx) {
+    const fence = getFenceRange(idx);
+    if (fence) return { ...fence, kind: 'fence' };
+    const block = getBlockRange(idx);
+    return block ? { start: block.start, end: block.end, kind: 'block' } : null;
+  }
+
+  function renderBlock(b) {
+    const text = lines.slice(b.start, b.end + 1).join('\n');
+    if (b.comment) return `<div class="md-comment">${escapeHtml(text)}</div>`;
+    return md.render(text, { lineOffset: b.start, references: blockEnv.references }).trim();
+  }
+
+  // Re-render materialized lines whose block changed since they were drawn
+  function refreshBlocks() {
+    ensureBlocks();
+    lineEls.forEach((el, i) => {
+      if (el.classList.contains('editing')) return;
+      if ((el.dataset.block || '') !== blockKey(i)) updateRendered(i);
+    });
+  }
+
+  function blockKey(idx) {
+    const b = blockAt[idx];
+    return b ? String(b.id) : '';
+  }
+
+  // Source line of a click inside a rendered block. Elements carry the line
+  // they start on; soft breaks render as newlines, so within a paragraph or
+  // list item the newlines before the caret say how much further down it is.
+  function sourceLineAt(target, fallback) {
+    const el = target.closest?.('[data-line]');
+    if (!el) return fallback;
+    let line = parseInt(el.dataset.line);
+    const sel = window.getSelection();
+    if ((el.tagName === 'P' || el.tagName === 'LI') && sel.rangeCount && el.contains(sel.anchorNode)) {
+      const range = document.createRange();
+      range.setStart(el, 0);
+      range.setEnd(sel.anchorNode, sel.anchorOffset);
+      line += (range.toString().match(/\n/g) || []).length;
+    }
+    const block = getBlockRange(line);
+    return block ? Math.min(line, block.end) : line;
+  }
+
+  function applyBlockClasses(lineEl, idx) {
+    ensureBlocks();
+    const b = blockAt[idx];
+    lineEl.classList.toggle('block-start', !!b && b.end > b.start && b.start === idx);
+    lineEl.classList.toggle('block-cont', !!b && b.start !== idx);
+    lineEl.dataset.block = blockKey(idx);
   }
 
   // ── RENDER A SINGLE LINE ─────────────────────────────────────
@@ -109,16 +391,16 @@
   function renderLineBlock(idx) {
     const raw = lines[idx] || '';
     computeFenceStates();
-    const state = fenceStates[idx] || { inFence: false };
+    const state = fenceStates[idx] || NO_FENCE;
 
-    // Opening ``` line
-    if (raw.startsWith('```') && !state.inFence) {
-      const lang = raw.slice(3).trim();
-      return `<span class="fence-open">\`\`\`${escapeHtml(lang)}</span>`;
+    // Opening fence line
+    if (state.fence === 'open') {
+      const f = fenceMarker(raw);
+      return `<span class="fence-open">${escapeHtml(f.marker + f.info)}</span>`;
     }
-    // Closing ``` line
-    if (raw.startsWith('```') && state.inFence) {
-      return `<span class="fence-close">\`\`\`</span>`;
+    // Closing fence line
+    if (state.fence === 'close') {
+      return `<span class="fence-close">${escapeHtml(raw.trim())}</span>`;
     }
     // Inside fence — preserve whitespace, no markdown parsing
     if (state.inFence) {
@@ -126,8 +408,16 @@
       if (raw === '') return `<span class="fence-line"> </span>`;
       return `<span class="fence-line">${escapeHtml(raw)}</span>`;
     }
+    // Multi-line block — the first line shows all of it
+    ensureBlocks();
+    const block = blockAt[idx];
+    if (block) return block.start === idx ? renderBlock(block) : '';
     // Normal markdown line
     if (!raw.trim()) return '';
+    const footnote = FOOTNOTE_DEF_RE.exec(raw);
+    if (footnote) {
+      return `<div class="footnote-def"><sup>${escapeHtml(footnote[1])}</sup> ${md.renderInline(footnote[2])}</div>`;
+    }
     // Task list special render
     const taskMatch = raw.match(/^(\s*[-*+]\s)\[([ x])\]\s(.*)$/);
     if (taskMatch) {
@@ -139,7 +429,7 @@
         `<span style="${checked ? 'opacity:0.5;text-decoration:line-through' : ''}">${renderedText}</span>` +
         `</label>`;
     }
-    return md.render(raw).trim();
+    return md.render(raw, { references: blockEnv.references }).trim();
   }
 
   function stripOuterP(html) {
@@ -152,30 +442,159 @@
 
   // ── BUILD ALL LINE ELEMENTS ──────────────────────────────────
   function buildAllLines() {
-    computeFenceStates();
+    mc = null;
+    document.body.classList.remove('multi-cursor');
+    linesChanged(0);
     container.innerHTML = '';
-    for (let i = 0; i < lines.length; i++) {
+    lineEls.clear();
+    lineHeights = [];
+    windowStart = windowEnd = 0;
+    container.appendChild(topSpacer);
+    container.appendChild(bottomSpacer);
+    renderWindow();
+  }
+
+  // ── LINE WINDOW ──────────────────────────────────────────────
+  // Only lines in and around the viewport have DOM elements (lineEls maps
+  // index → element). Spacers above and below stand in for the rest, sized
+  // from measured line heights, or an estimate for lines never shown.
+  const WINDOW_BUFFER_PX = 800; // rendered beyond each edge of the viewport
+  const WINDOW_MIN_LINES = 60;
+  const editorPane = document.getElementById('editor-pane');
+  const lineEls = new Map();
+  const topSpacer = document.createElement('div');
+  const bottomSpacer = document.createElement('div');
+  topSpacer.className = bottomSpacer.className = 'line-spacer';
+  let lineHeights = [];       // measured heights, undefined until shown once
+  let estLineHeight = 26;
+  let windowStart = 0, windowEnd = 0; // materialized lines are [windowStart, windowEnd)
+  let renderAllLines = false; // printing needs every line
+
+  const heightOf = i => lineHeights[i] ?? estLineHeight;
+
+  function offsetOfLine(idx) {
+    let y = 0;
+    for (let i = 0; i < idx; i++) y += heightOf(i);
+    return y;
+  }
+
+  // [start, end) to materialize; `around` forces a line into the window
+  function desiredWindow(around) {
+    if (renderAllLines) return [0, lines.length];
+    const top = editorPane.scrollTop - container.offsetTop - WINDOW_BUFFER_PX;
+    const bottom = editorPane.scrollTop - container.offsetTop + editorPane.clientHeight + WINDOW_BUFFER_PX;
+    let i = 0, y = 0;
+    while (i < lines.length && y + heightOf(i) < top) y += heightOf(i++);
+    // A block is drawn by its first line, so never start partway into one
+    const block = i < lines.length ? getBlockRange(i) : null;
+    const start = block ? block.start : i;
+    while (i < lines.length && y < bottom) y += heightOf(i++);
+    const end = Math.min(lines.length, Math.max(i, start + WINDOW_MIN_LINES));
+    if (around === undefined || (around >= start && around < end)) return [start, end];
+    const half = Math.max(WINDOW_MIN_LINES, end - start) >> 1;
+    const s = getBlockRange(Math.max(0, around - half))?.start ?? Math.max(0, around - half);
+    return [s, Math.min(lines.length, Math.max(s + half * 2, around + 1))];
+  }
+
+  function renderWindow(around) {
+    let [start, end] = desiredWindow(around);
+    // Never pull lines out from under a mouse selection in progress
+    if ((mouseIsDown || crossLineSelActive) && windowEnd > windowStart && !renderAllLines) {
+      start = Math.min(start, windowStart);
+      end = Math.min(lines.length, Math.max(end, windowEnd));
+    }
+
+    lineEls.forEach((el, i) => {
+      if (i >= start && i < end) return;
+      if (el.offsetHeight) lineHeights[i] = el.offsetHeight;
+      el.remove();
+      lineEls.delete(i);
+    });
+
+    const keptStart = Math.max(windowStart, start), keptEnd = Math.min(windowEnd, end);
+    const kept = keptStart < keptEnd;
+    const created = [];
+    const add = (i, before) => {
       const el = createLineEl(i);
-      container.appendChild(el);
+      lineEls.set(i, el);
+      container.insertBefore(el, before);
+      created.push(i);
+    };
+    for (let i = start; i < (kept ? keptStart : end); i++) add(i, kept ? lineEls.get(keptStart) : bottomSpacer);
+    if (kept) for (let i = keptEnd; i < end; i++) add(i, bottomSpacer);
+    windowStart = start;
+    windowEnd = end;
+
+    created.forEach(i => decorateLine(i, lineEls.get(i)));
+    if (created.length) {
+      applyAllFenceClasses();
+      if (mc) renderCarets();
+      if (collab.doc) renderPresence();
     }
-    // Apply fence position classes to all lines
-    applyAllFenceClasses();
+
+    // Measure what is on screen; the average becomes the estimate for the rest
+    let measured = 0, total = 0;
+    lineEls.forEach((el, i) => {
+      const h = el.offsetHeight;
+      // Hidden block lines take no room; the block's first line has it all
+      if (el.classList.contains('block-cont') && !el.classList.contains('editing')) { lineHeights[i] = 0; return; }
+      if (!h) return;
+      lineHeights[i] = h;
+      measured++;
+      total += h;
+    });
+    if (measured) estLineHeight = total / measured;
+    let below = 0;
+    for (let i = end; i < lines.length; i++) below += heightOf(i);
+    topSpacer.style.height = offsetOfLine(start) + 'px';
+    bottomSpacer.style.height = below + 'px';
+  }
+
+  // Make sure line idx has an element (scrolling it into the window if needed)
+  function ensureLineEl(idx) {
+    if (lineEls.has(idx) || idx < 0 || idx >= lines.length) return;
+    editorPane.scrollTop = container.offsetTop + offsetOfLine(idx) - editorPane.clientHeight / 2;
+    renderWindow(idx);
+  }
+
+  // State that lives outside the line element, re-applied when it is created
+  function decorateLine(idx, el) {
+    if (idx === activeLineIdx) el.classList.add('active');
+    const active = lineEls.get(activeLineIdx);
+    if (active && active !== el &&
+        (active.classList.contains('fence-editing') || active.classList.contains('block-editing'))) {
+      const range = getEditRange(activeLineIdx);
+      if (range && idx >= range.start && idx <= range.end) {
+        el.classList.add('editing', `${range.kind}-editing`);
+        el.querySelector('.line-raw').value = lines[idx] || '';
+      }
+    }
+    decorateFindLine(idx, el);
   }
 
+  let windowFrame = null;
+  editorPane.addEventListener('scroll', () => {
+    if (windowFrame) return;
+    windowFrame = requestAnimationFrame(() => {
+      windowFrame = null;
+      renderWindow();
+    });
+  });
+  window.addEventListener('resize', () => renderWindow());
+  window.addEventListener('beforeprint', () => { renderAllLines = true; renderWindow(); });
+  window.addEventListener('afterprint', () => { renderAllLines = false; renderWindow(); });
+
   function applyAllFenceClasses() {
     computeFenceStates();
-    for (let i = 0; i < lines.length; i++) {
-      const lineEl = getLineEl(i);
-      if (!lineEl) continue;
-      const state = fenceStates[i] || { inFence: false };
-      const raw = lines[i] || '';
-      const isOpenFence  = raw.startsWith('```') && !state.inFence;
-      const isCloseFence = raw.startsWith('```') && state.inFence;
+    lineEls.forEach((lineEl, i) => {
+      const state = fenceStates[i] || NO_FENCE;
+      const isOpenFence  = state.fence === 'open';
+      const isCloseFence = state.fence === 'close';
       const isInsideFence = state.inFence;
       lineEl.classList.toggle('fence-top',    isOpenFence);
       lineEl.classList.toggle('fence-mid',    isInsideFence);
       lineEl.classList.toggle('fence-bottom', isCloseFence);
-    }
+    });
   }
 
   function createLineEl(idx) {
@@ -185,7 +604,15 @@
 
     const gutter = document.createElement('div');
     gutter.className = 'line-gutter';
-    gutter.textContent = idx + 1;
+    const gutterLink = document.createElement('button');
+    gutterLink.className = 'gutter-link';
+    gutterLink.title = 'Copy link to this line';
+    gutterLink.tabIndex = -1;
+    gutterLink.textContent = '#';
+    const gutterNum = document.createElement('span');
+    gutterNum.className = 'gutter-num';
+    gutterNum.textContent = idx + 1;
+    gutter.append(gutterLink, gutterNum);
 
     const content = document.createElement('div');
     content.className = 'line-content';
@@ -206,6 +633,7 @@
     rendered.innerHTML = html || '';
     if (!html) rendered.classList.add('empty');
     else rendered.classList.remove('empty');
+    applyBlockClasses(lineEl, idx);
 
     content.appendChild(raw);
     content.appendChild(rendered);
@@ -222,7 +650,7 @@
     raw.addEventListener('input', () => {
       autoResize();
       lines[idx] = raw.value;
-      computeFenceStates();
+      linesChanged(idx, idx);
       applyAllFenceClasses();
       updateRendered(idx);
       scheduleAutosave();
@@ -239,19 +667,22 @@
       // Delay to let the next focus event fire first
       setTimeout(() => {
         const focused = document.activeElement;
+        // Stepping through find results keeps the current match open
+        if (focused?.closest?.('#find-modal') && lineEl.classList.contains('find-current')) return;
         const focusedLineEl = focused?.closest?.('.editor-line');
-        // If focus moved to another line in the same fence, don't close
+        // If focus moved to another line in the same fence or block, don't close
         if (focusedLineEl) {
           const focusedIdx = parseInt(focusedLineEl.dataset.idx);
-          const myRange = getFenceRange(idx);
-          const theirRange = getFenceRange(focusedIdx);
+          const myRange = getEditRange(idx);
+          const theirRange = getEditRange(focusedIdx);
           if (myRange && theirRange &&
               myRange.start === theirRange.start &&
               myRange.end === theirRange.end) {
-            return; // still inside the same fence block
+            return; // still inside the same fence or block
           }
         }
         switchToRendered(idx);
+        if (mc) renderCarets(); // a caret on this line is drawn in the rendered view
       }, 0);
     });
 
@@ -260,9 +691,13 @@
     });
 
     raw.addEventListener('paste', (e) => {
+      if (handleMultiCursorPaste(e)) return;
       handlePaste(e, idx, raw);
     });
 
+    raw.addEventListener('copy', (e) => { handleMultiCursorCopy(e, false); });
+    raw.addEventListener('cut', (e) => { handleMultiCursorCopy(e, true); });
+
     rendered.addEventListener('mousedown', (e) => {
       mouseIsDown = true;
       crossLineSelActive = false;
@@ -270,9 +705,9 @@
 
     rendered.addEventListener('click', (e) => {
       // Only switch to raw if this is a simple click, not end of a drag
-      if (!crossLineSelActive) {
-        switchToRaw(idx);
-      }
+      if (crossLineSelActive || e.target.type === 'checkbox') return;
+      // Inside a rendered block, edit the line that was clicked
+      switchToRaw(sourceLineAt(e.target, idx));
     });
 
     lineEl.addEventListener('mousedown', (e) => {
@@ -280,9 +715,14 @@
       crossLineSelActive = false;
     });
 
+    gutterLink.addEventListener('click', (e) => {
+      e.stopPropagation();
+      app.copyLineLink(idx);
+    });
+
     lineEl.addEventListener('click', (e) => {
       if (crossLineSelActive) return;
-      if (e.target === lineEl || e.target === content || e.target === gutter) {
+      if (e.target === lineEl || e.target === content || e.target === gutter || e.target === gutterNum) {
         switchToRaw(idx);
       }
     });
@@ -297,26 +737,31 @@
     return lineEl;
   }
 
+  // null when the line is outside the rendered window
   function getLineEl(idx) {
-    return container.querySelector(`.editor-line[data-idx="${idx}"]`);
+    return lineEls.get(idx) || null;
   }
 
   function updateRendered(idx) {
     const lineEl = getLineEl(idx);
     if (!lineEl) return;
     computeFenceStates();
-    const state = fenceStates[idx] || { inFence: false };
-    const raw = lines[idx] || '';
+    const state = fenceStates[idx] || NO_FENCE;
 
     // Apply fence position classes
-    const isOpenFence  = raw.startsWith('```') && !state.inFence;
-    const isCloseFence = raw.startsWith('```') && state.inFence;
+    const isOpenFence  = state.fence === 'open';
+    const isCloseFence = state.fence === 'close';
     const isInsideFence = state.inFence && !isCloseFence;
 
     lineEl.classList.toggle('fence-top',    isOpenFence);
     lineEl.classList.toggle('fence-mid',    isInsideFence);
     lineEl.classList.toggle('fence-bottom', isCloseFence);
 
+    // A line being typed in shows its raw text; it is rendered when it closes,
+    // so typing doesn't re-parse the note
+    if (lineEl.classList.contains('editing')) return;
+    applyBlockClasses(lineEl, idx);
+
     const rendered = lineEl.querySelector('.line-rendered');
     const html = renderLineBlock(idx);
     rendered.innerHTML = html || '';
@@ -333,15 +778,16 @@
     }
   }
 
-  // Switch all lines in a fence block to raw editing mode
-  function openFenceForEdit(idx) {
-    const range = getFenceRange(idx);
+  // Switch all lines in a fence or block to raw editing mode
+  function openBlockForEdit(idx) {
+    const range = getEditRange(idx);
     if (!range) { switchToRaw(idx); return; }
-    // De-render all lines in the fence block (show as raw textareas)
+    ensureLineEl(idx);
+    // De-render all lines in the range (show as raw textareas)
     for (let i = range.start; i <= range.end; i++) {
       const lineEl = getLineEl(i);
       if (!lineEl) continue;
-      lineEl.classList.add('editing', 'fence-editing');
+      lineEl.classList.add('editing', `${range.kind}-editing`);
       const rawEl = lineEl.querySelector('.line-raw');
       rawEl.value = lines[i] || '';
       rawEl.style.height = 'auto';
@@ -353,14 +799,14 @@
     if (targetEl) targetEl.querySelector('.line-raw').focus();
   }
 
-  // Close all raw editing in a fence block, re-render all
-  function closeFenceForEdit(fenceIdx) {
-    const range = getFenceRange(fenceIdx);
-    if (!range) { switchToRendered(fenceIdx); return; }
+  // Close all raw editing in a fence or block, re-render all
+  function closeBlockForEdit(blockIdx) {
+    const range = getEditRange(blockIdx);
+    if (!range) { switchToRendered(blockIdx); return; }
     for (let i = range.start; i <= range.end; i++) {
       const lineEl = getLineEl(i);
       if (!lineEl) continue;
-      lineEl.classList.remove('editing', 'fence-editing');
+      lineEl.classList.remove('editing', 'fence-editing', 'block-editing');
     }
     computeFenceStates();
     for (let i = range.start; i <= range.end; i++) {
@@ -369,16 +815,17 @@
   }
 
   function switchToRaw(idx) {
+    ensureLineEl(idx);
     computeFenceStates();
-    const range = getFenceRange(idx);
+    const range = getEditRange(idx);
     if (range) {
-      openFenceForEdit(idx);
+      openBlockForEdit(idx);
     } else {
       setActiveLine(idx);
       const lineEl = getLineEl(idx);
       if (!lineEl) return;
       lineEl.classList.add('editing');
-      lineEl.classList.remove('fence-editing');
+      lineEl.classList.remove('fence-editing', 'block-editing');
       const raw = lineEl.querySelector('.line-raw');
       raw.value = lines[idx] || '';
       raw.focus();
@@ -389,16 +836,18 @@
 
   function switchToRendered(idx) {
     computeFenceStates();
-    const range = getFenceRange(idx);
+    const range = getEditRange(idx);
     if (range) {
-      closeFenceForEdit(idx);
+      closeBlockForEdit(idx);
     } else {
       const lineEl = getLineEl(idx);
       if (!lineEl) return;
-      lineEl.classList.remove('editing', 'fence-editing');
+      lineEl.classList.remove('editing', 'fence-editing', 'block-editing');
       computeFenceStates();
       updateRendered(idx);
     }
+    // The edit may have started, ended or reshaped a neighbouring block
+    refreshBlocks();
   }
 
   function setActiveLine(idx) {
@@ -413,15 +862,16 @@
   }
 
   function updateGutterNumbers() {
-    const gutters = container.querySelectorAll('.line-gutter');
-    gutters.forEach((g, i) => { g.textContent = i + 1; });
-    // Update data-idx too (needed after insertions)
-    const lineEls = container.querySelectorAll('.editor-line');
-    lineEls.forEach((el, i) => { el.dataset.idx = i; });
+    lineEls.forEach((el, i) => {
+      el.querySelector('.gutter-num').textContent = i + 1;
+      el.dataset.idx = i;
+    });
   }
 
   // ── KEYBOARD HANDLING ────────────────────────────────────────
   function handleLineKeydown(e, idx, raw) {
+    if (handleVimKey(e)) { e.stopPropagation(); return; }
+    if (handleMultiCursorKey(e)) return;
     const val = raw.value;
     const sel = raw.selectionStart;
 
@@ -445,6 +895,11 @@
       }
     }
 
+    // Shortcuts from the keymap (Ctrl+B, Alt+↑, …)
+    if (dispatchKeymap(e)) return;
+
+    if (handleTableKey(e, idx, raw)) return;
+
     // Enter: split line or insert new
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -461,7 +916,7 @@
           raw.value = '';
           raw.style.height = 'auto';
           raw.style.height = raw.scrollHeight + 'px';
-          computeFenceStates();
+          linesChanged(idx, idx);
           updateRendered(idx);
           return;
         }
@@ -476,7 +931,7 @@
       lines[idx] = before;
       lines.splice(idx + 1, 0, prefix + after);
 
-      rebuildFromIndex(idx);
+      rebuildFromIndex(idx, idx + 1);
       requestAnimationFrame(() => {
         switchToRaw(idx + 1);
         const nextRaw = getLineEl(idx + 1)?.querySelector('.line-raw');
@@ -496,7 +951,7 @@
       const cursor = prevContent.length;
       lines[idx - 1] = prevContent + val;
       lines.splice(idx, 1);
-      rebuildFromIndex(idx - 1);
+      rebuildFromIndex(idx - 1, idx - 1);
       requestAnimationFrame(() => {
         switchToRaw(idx - 1);
         const prevRaw = getLineEl(idx - 1)?.querySelector('.line-raw');
@@ -512,7 +967,7 @@
       e.preventDefault();
       lines[idx] = val + lines[idx + 1];
       lines.splice(idx + 1, 1);
-      rebuildFromIndex(idx);
+      rebuildFromIndex(idx, idx);
       requestAnimationFrame(() => {
         switchToRaw(idx);
         const r = getLineEl(idx)?.querySelector('.line-raw');
@@ -615,108 +1070,12 @@
       raw.value = newVal;
       raw.setSelectionRange(sel + 2, sel + 2);
       lines[idx] = newVal;
-      computeFenceStates();
+      linesChanged(idx, idx);
       updateRendered(idx);
       scheduleAutosave();
       return;
     }
 
-    // Ctrl+Z
-    if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-      e.preventDefault();
-      app.undo();
-      return;
-    }
-
-    // Ctrl+Y
-    if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
-      e.preventDefault();
-      app.redo();
-      return;
-    }
-
-    // Ctrl+F
-    if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
-      e.preventDefault();
-      app.openFind();
-      return;
-    }
-
-    // Ctrl+H
-    if ((e.ctrlKey || e.metaKey) && e.key === 'h') {
-      e.preventDefault();
-      app.openFindReplace();
-      return;
-    }
-
-    // Ctrl+B — bold
-    if ((e.ctrlKey || e.metaKey) && e.key === 'b') {
-      e.preventDefault();
-      app.toggleBold();
-      return;
-    }
-
-    // Ctrl+I — italic
-    if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
-      e.preventDefault();
-      app.toggleItalic();
-      return;
-    }
-
-    // Ctrl+K — insert link
-    if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-      e.preventDefault();
-      app.insertLink();
-      return;
-    }
-
-    // Ctrl+P — print
-    if ((e.ctrlKey || e.metaKey) && e.key === 'p') {
-      e.preventDefault();
-      app.printNote();
-      return;
-    }
-
-    // Ctrl+Home — jump to first line
-    if ((e.ctrlKey || e.metaKey) && e.key === 'Home') {
-      e.preventDefault();
-      switchToRendered(idx);
-      switchToRaw(0);
-      document.getElementById('editor-pane').scrollTop = 0;
-      return;
-    }
-
-    // Ctrl+End — jump to last line
-    if ((e.ctrlKey || e.metaKey) && e.key === 'End') {
-      e.preventDefault();
-      switchToRendered(idx);
-      const last = lines.length - 1;
-      switchToRaw(last);
-      document.getElementById('editor-pane').scrollTop = 999999;
-      return;
-    }
-
-    // Ctrl+G — go to line
-    if ((e.ctrlKey || e.metaKey) && e.key === 'g') {
-      e.preventDefault();
-      app.openGoToLine();
-      return;
-    }
-
-    // Ctrl+Shift+X — strikethrough
-    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'X') {
-      e.preventDefault();
-      app.toggleStrike();
-      return;
-    }
-
-    // Ctrl+` — inline code
-    if ((e.ctrlKey || e.metaKey) && e.key === '`') {
-      e.preventDefault();
-      app.toggleInlineCode();
-      return;
-    }
-
     // Ctrl+Shift+V — paste as plain text
     if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'V') {
       e.preventDefault();
@@ -730,7 +1089,7 @@
         lines[idx] = newVal;
         raw.style.height = 'auto';
         raw.style.height = raw.scrollHeight + 'px';
-        computeFenceStates();
+        linesChanged(idx, idx);
         updateRendered(idx);
         scheduleAutosave();
         pushUndo();
@@ -751,7 +1110,7 @@
         raw.value = newVal;
         raw.setSelectionRange(selStart + 1, selEnd + 1);
         lines[idx] = newVal;
-        computeFenceStates();
+        linesChanged(idx, idx);
         updateRendered(idx);
         scheduleAutosave();
         return;
@@ -764,7 +1123,7 @@
           raw.value = newVal;
           raw.setSelectionRange(selStart + 1, selStart + 1);
           lines[idx] = newVal;
-          computeFenceStates();
+          linesChanged(idx, idx);
           updateRendered(idx);
           scheduleAutosave();
           return;
@@ -782,62 +1141,14 @@
         return;
       }
     }
+  }
 
-    // Ctrl+A — select all document text
-    if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
-      e.preventDefault();
-      app.selectAll();
-      return;
-    }
-
-    // Ctrl+D — duplicate line
-    if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
-      e.preventDefault();
-      app.duplicateLine();
-      return;
-    }
-
-    // Ctrl+/ — toggle comment
-    if ((e.ctrlKey || e.metaKey) && e.key === '/') {
-      e.preventDefault();
-      app.toggleComment();
-      return;
-    }
-
-    // Ctrl+] — indent
-    if ((e.ctrlKey || e.metaKey) && e.key === ']') {
-      e.preventDefault();
-      app.indentLines();
-      return;
-    }
-
-    // Ctrl+[ — outdent
-    if ((e.ctrlKey || e.metaKey) && e.key === '[') {
-      e.preventDefault();
-      app.outdentLines();
-      return;
-    }
-
-    // Alt+ArrowUp — move line up
-    if (e.altKey && e.key === 'ArrowUp') {
-      e.preventDefault();
-      app.moveLineUp();
-      return;
-    }
-
-    // Alt+ArrowDown — move line down
-    if (e.altKey && e.key === 'ArrowDown') {
-      e.preventDefault();
-      app.moveLineDown();
-      return;
-    }
-
-    // Alt+Z — toggle word wrap
-    if (e.altKey && e.key === 'z') {
-      e.preventDefault();
-      app.toggleWordWrap();
-      return;
-    }
+  // Ctrl+Home / Ctrl+End
+  function jumpToEdge(toEnd) {
+    recordNav();
+    switchToRendered(activeLineIdx);
+    switchToRaw(toEnd ? lines.length - 1 : 0);
+    document.getElementById('editor-pane').scrollTop = toEnd ? 999999 : 0;
   }
 
   // ── KEYBOARD SELECTION HELPERS ───────────────────────────────
@@ -980,261 +1291,4743 @@
     return norm;
   }
 
-  // ── REBUILD FROM INDEX ───────────────────────────────────────
-  // Partial rebuild for performance: remove old elements from idx onwards, rebuild
-  function rebuildFromIndex(fromIdx) {
-    // Remove all elements from fromIdx
-    const allEls = Array.from(container.querySelectorAll('.editor-line'));
-    for (let i = fromIdx; i < allEls.length; i++) {
-      allEls[i].remove();
-    }
-    computeFenceStates();
-    // Re-append
-    for (let i = fromIdx; i < lines.length; i++) {
-      const el = createLineEl(i);
-      container.appendChild(el);
-    }
-    applyAllFenceClasses();
-    updateGutterNumbers();
-    updateStatusBar();
+  // ── MULTI-CURSOR ─────────────────────────────────────────────
+  // mc = { carets: [{ line, anchor, head }], primary } with at most one caret
+  // per line. The primary caret lives in the focused .line-raw textarea;
+  // every other caret line shows its raw text with the caret drawn in.
+  // Edits are applied to lines[] for all carets at once, so one keystroke
+  // is one undo step however many carets there are.
+
+  function mcCaretHtml(text, { anchor, head }) {
+    const s = Math.min(anchor, head), e = Math.max(anchor, head);
+    const caret = '<span class="mc-caret"></span>';
+    const sel = s === e ? '' : `<span class="mc-sel">${escapeHtml(text.slice(s, e))}</span>`;
+    return head <= anchor
+      ? escapeHtml(text.slice(0, s)) + caret + sel + escapeHtml(text.slice(e))
+      : escapeHtml(text.slice(0, s)) + sel + caret + escapeHtml(text.slice(e));
   }
 
-  // ── PASTE HANDLING ───────────────────────────────────────────
-  function handlePaste(e, idx, raw) {
-    const clipHTML = e.clipboardData.getData('text/html');
-    const clipText = e.clipboardData.getData('text/plain');
+  function renderCarets() {
+    const onLines = new Set();
+    (mc ? mc.carets : []).forEach(c => {
+      const lineEl = getLineEl(c.line);
+      if (!lineEl) return;
+      if (c.line === mc.primary && lineEl.classList.contains('editing')) {
+        const raw = lineEl.querySelector('.line-raw');
+        if (raw.value !== lines[c.line]) raw.value = lines[c.line];
+        raw.setSelectionRange(Math.min(c.anchor, c.head), Math.max(c.anchor, c.head),
+          c.head < c.anchor ? 'backward' : 'forward');
+        updateStatus(c.line, raw);
+        return;
+      }
+      onLines.add(c.line);
+      lineEl.classList.add('mc-line');
+      const rendered = lineEl.querySelector('.line-rendered');
+      rendered.classList.remove('empty');
+      rendered.innerHTML = mcCaretHtml(lines[c.line] || '', c);
+    });
+    container.querySelectorAll('.editor-line.mc-line').forEach(el => {
+      const idx = parseInt(el.dataset.idx);
+      if (onLines.has(idx)) return;
+      el.classList.remove('mc-line');
+      updateRendered(idx);
+    });
+    document.body.classList.toggle('multi-cursor', !!mc);
+    if (mc) statusPos.textContent += ` · ${mc.carets.length} cursors`;
+  }
 
-    if (clipHTML && clipHTML.length > 0) {
-      e.preventDefault();
-      const converted = htmlToMarkdown(clipHTML);
-      insertTextAtCursor(converted, idx, raw);
-    } else if (clipText) {
-      e.preventDefault();
-      insertTextAtCursor(clipText, idx, raw);
+  function clearMultiCursor() {
+    if (!mc) return;
+    mc = null;
+    renderCarets();
+  }
+
+  // Start multi-cursor mode from the active line's caret. A textarea keeps
+  // its selection after blur, so this also works from the menu.
+  function ensureMultiCursor(fromBlurred) {
+    if (mc) return mc;
+    mc = { carets: [], primary: null };
+    const lineEl = getLineEl(activeLineIdx);
+    if (lineEl?.classList.contains('editing') || (fromBlurred && lineEl)) {
+      const raw = lineEl.querySelector('.line-raw');
+      const backward = raw.selectionDirection === 'backward';
+      mc.carets.push({
+        line: activeLineIdx,
+        anchor: backward ? raw.selectionEnd : raw.selectionStart,
+        head: backward ? raw.selectionStart : raw.selectionEnd
+      });
+      mc.primary = activeLineIdx;
     }
+    return mc;
   }
 
-  function insertTextAtCursor(text, idx, raw) {
-    const sel = raw.selectionStart;
-    const selEnd = raw.selectionEnd;
-    const before = raw.value.slice(0, sel);
-    const after = raw.value.slice(selEnd);
-    const full = before + text + after;
+  function setCaret(line, anchor, head = anchor) {
+    ensureMultiCursor();
+    const len = (lines[line] || '').length;
+    const caret = { line, anchor: Math.min(anchor, len), head: Math.min(head, len) };
+    const i = mc.carets.findIndex(c => c.line === line);
+    if (i === -1) mc.carets.push(caret);
+    else mc.carets[i] = caret;
+    mc.carets.sort((a, b) => a.line - b.line);
+  }
 
-    // Split by newlines
-    const parts = full.split('\n');
-    if (parts.length === 1) {
-      lines[idx] = full;
-      raw.value = full;
-      const newPos = sel + text.length;
-      raw.setSelectionRange(newPos, newPos);
-      computeFenceStates();
+  // Make `line` the primary caret, opening it in raw mode with focus
+  function focusPrimaryCaret(line) {
+    mc.primary = line;
+    if (activeLineIdx !== line) switchToRendered(activeLineIdx);
+    switchToRaw(line);
+    renderCarets();
+  }
+
+  // Column under clientX. Editor fonts are monospace, so this is a division.
+  function columnAt(line, clientX) {
+    const content = getLineEl(line)?.querySelector('.line-content');
+    const len = (lines[line] || '').length;
+    if (!content) return len;
+    const probe = document.createElement('span');
+    probe.className = 'mc-measure';
+    probe.textContent = 'MMMMMMMMMM';
+    content.appendChild(probe);
+    const charWidth = probe.getBoundingClientRect().width / 10;
+    probe.remove();
+    if (!charWidth) return len;
+    const left = content.getBoundingClientRect().left + (parseFloat(getComputedStyle(content).paddingLeft) || 0);
+    const col = Math.round((clientX - left) / charWidth);
+    return Math.max(0, Math.min(len, col));
+  }
+
+  // Ctrl+Alt+↑/↓: add a caret on the line above the topmost / below the bottommost
+  function addCaretVertical(dir) {
+    ensureMultiCursor(true);
+    if (!mc.carets.length) { mc = null; return; }
+    const primary = mc.carets.find(c => c.line === mc.primary) || mc.carets[0];
+    const edge = dir < 0 ? mc.carets[0].line - 1 : mc.carets[mc.carets.length - 1].line + 1;
+    if (edge < 0 || edge >= lines.length) return;
+    setCaret(edge, primary.head);
+    if (!getLineEl(mc.primary)?.classList.contains('editing')) focusPrimaryCaret(mc.primary);
+    else renderCarets();
+  }
+
+  // Apply fn(text, start, end) → { text, pos } at every caret
+  function mcEdit(fn, coalesce) {
+    if (!coalesce) commitUndo(); // close any pending typing step first
+    mc.carets.forEach(c => {
+      const text = lines[c.line] || '';
+      const out = fn(text, Math.min(c.anchor, c.head), Math.max(c.anchor, c.head));
+      lines[c.line] = out.text;
+      c.anchor = c.head = out.pos;
+    });
+    linesChanged(mc.carets[0].line, mc.carets[mc.carets.length - 1].line);
+    applyAllFenceClasses();
+    const raw = getLineEl(mc.primary)?.querySelector('.line-raw');
+    if (raw) {
+      raw.value = lines[mc.primary];
+      raw.style.height = 'auto';
+      raw.style.height = raw.scrollHeight + 'px';
+    }
+    renderCarets();
+    scheduleAutosave();
+    if (coalesce) pushUndo();
+    else commitUndo();
+  }
+
+  function mcMove(e) {
+    const dir = e.key === 'ArrowLeft' ? -1 : e.key === 'ArrowRight' ? 1 : 0;
+    mc.carets.forEach(c => {
+      const len = (lines[c.line] || '').length;
+      const s = Math.min(c.anchor, c.head), end = Math.max(c.anchor, c.head);
+      if (e.key === 'Home') c.head = 0;
+      else if (e.key === 'End') c.head = len;
+      else if (!e.shiftKey && s !== end) c.head = dir < 0 ? s : end;
+      else c.head = Math.max(0, Math.min(len, c.head + dir));
+      if (!e.shiftKey) c.anchor = c.head;
+    });
+    renderCarets();
+  }
+
+  // Keydown in the primary textarea while several carets exist.
+  // Returns true when the key was handled here.
+  function handleMultiCursorKey(e) {
+    if (!mc) return false;
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return true;
+    if ((e.ctrlKey || e.metaKey) && e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) return false;
+    if ((e.ctrlKey || e.metaKey) && ['z', 'y', 'c', 'x', 'v'].includes(e.key.toLowerCase())) {
+      return false; // undo / clipboard go through their usual handlers
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      clearMultiCursor();
+      return true;
+    }
+    const plain = !e.ctrlKey && !e.metaKey;
+    // One character, which may be two UTF-16 units (emoji and other astral ones)
+    if (plain && [...e.key].length === 1) {
+      e.preventDefault();
+      mcEdit((t, s, end) => ({ text: t.slice(0, s) + e.key + t.slice(end), pos: s + e.key.length }), true);
+      return true;
+    }
+    // Tab: 2 spaces at every caret, as on a single line
+    if (plain && !e.altKey && e.key === 'Tab') {
+      e.preventDefault();
+      mcEdit((t, s) => ({ text: t.slice(0, s) + '  ' + t.slice(s), pos: s + 2 }));
+      return true;
+    }
+    if (plain && e.key === 'Backspace') {
+      e.preventDefault();
+      mcEdit((t, s, end) => s !== end
+        ? { text: t.slice(0, s) + t.slice(end), pos: s }
+        : { text: t.slice(0, Math.max(0, s - 1)) + t.slice(s), pos: Math.max(0, s - 1) });
+      return true;
+    }
+    if (plain && e.key === 'Delete') {
+      e.preventDefault();
+      mcEdit((t, s, end) => ({ text: t.slice(0, s) + t.slice(end === s ? s + 1 : end), pos: s }));
+      return true;
+    }
+    if (plain && !e.altKey && ['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+      e.preventDefault();
+      mcMove(e);
+      return true;
+    }
+    // Anything else (Enter, ↑/↓, shortcuts) continues with the primary caret only
+    clearMultiCursor();
+    return false;
+  }
+
+  // Paste: one clipboard line per caret when the counts match, otherwise the
+  // same single-line text at every caret
+  function handleMultiCursorPaste(e) {
+    if (!mc) return false;
+    const text = (e.clipboardData?.getData('text/plain') || '').replace(/\r\n?/g, '\n');
+    const parts = text.replace(/\n$/, '').split('\n');
+    if (parts.length !== mc.carets.length && parts.length > 1) {
+      clearMultiCursor();
+      return false;
+    }
+    e.preventDefault();
+    let i = 0;
+    mcEdit((t, s, end) => {
+      const piece = parts.length === 1 ? parts[0] : parts[i++];
+      return { text: t.slice(0, s) + piece + t.slice(end), pos: s + piece.length };
+    });
+    return true;
+  }
+
+  // Copy/cut joins the selections of all carets, one per line
+  function handleMultiCursorCopy(e, cut) {
+    if (!mc || !mc.carets.some(c => c.anchor !== c.head)) return false;
+    e.preventDefault();
+    e.clipboardData?.setData('text/plain', mc.carets.map(c =>
+      (lines[c.line] || '').slice(Math.min(c.anchor, c.head), Math.max(c.anchor, c.head))).join('\n'));
+    if (cut) mcEdit((t, s, end) => ({ text: t.slice(0, s) + t.slice(end), pos: s }));
+    return true;
+  }
+
+  // ── VIM MODE ─────────────────────────────────────────────────
+  // Optional modal editing on top of the line textareas. Normal and visual
+  // mode keys are parsed into [count] operator [count] motion commands and
+  // run against lines[] and vim.cursor; vimSync() then rebuilds what changed
+  // and puts the caret back into its line. Insert mode is the plain editor.
+  // The visual selection is drawn with ksel.
+  const VIM_OPERATORS = new Set(['d', 'c', 'y', '>', '<']);
+  // Shorthands for an operator and a motion
+  const VIM_ALIASES = {
+    x: ['d', 'l'], X: ['d', 'h'], D: ['d', '$'], C: ['c', '$'],
+    s: ['c', 'l'], S: ['c', 'c'], Y: ['y', 'y']
+  };
+  // The same keys in visual mode; the upper-case ones work on whole lines
+  const VIM_VISUAL_OPS = {
+    d: 'd', x: 'd', c: 'c', s: 'c', y: 'y', '>': '>', '<': '<',
+    X: 'D', D: 'D', C: 'C', S: 'C', Y: 'Y'
+  };
+  const VIM_MOTIONS = new Set(['h', 'j', 'k', 'l', '0', '^', '$', 'w', 'b', 'e', 'W', 'B', 'E',
+    'G', '{', '}', 'n', 'N', ';', ',', '+', '-', '_']);
+  const VIM_CHAR_MOTIONS = new Set(['f', 'F', 't', 'T']);
+  const VIM_LINEWISE = new Set(['j', 'k', 'G', 'gg', '+', '-', '_']);
+  const VIM_COMMANDS = new Set([...'pPJ~uiaIAoOvV./?:', '<C-r>']);
+  const VIM_CHANGES = new Set([...'pPJr~iaIAoO']);
+  const VIM_OBJECTS = new Set([...'wW"\'`()b[]{}B<>']);
+  const VIM_PAIRS = { '(': '()', ')': '()', b: '()', '[': '[]', ']': '[]', '{': '{}', '}': '{}', B: '{}', '<': '<>', '>': '<>' };
+  const VIM_MODE_LABELS = { normal: 'NORMAL', insert: 'INSERT', visual: 'VISUAL', 'visual-line': 'V-LINE' };
+
+  const vim = {
+    enabled: false,
+    mode: 'normal',         // 'normal' | 'insert' | 'visual' | 'visual-line'
+    keys: [],               // normal-mode keys still waiting for the rest of a command
+    cursor: { line: 0, col: 0 },
+    want: 0,                // column j and k aim for
+    anchor: null,           // where visual mode started
+    register: { text: '', linewise: false },
+    lastChange: null,       // keys '.' replays
+    recording: null,        // keys of the change being made
+    lastFind: null,         // { kind: 'f', char } for ; and ,
+    lastSearch: null,       // { pattern, backward } for n and N
+    dirty: Infinity,        // first line changed by the command being run
+    pending: false,         // the caret is placed in a later frame
+    external: false,        // something else placed the caret (undo, :e)
+    replaying: false,
+    message: ''
+  };
+
+  const vimLine = l => lines[l] || '';
+  const vimVisual = () => vim.mode === 'visual' || vim.mode === 'visual-line';
+  const vimOrder = (a, b) => (a.line < b.line || (a.line === b.line && a.col <= b.col)) ? [a, b] : [b, a];
+
+  function vimFirstNonBlank(l) {
+    const text = vimLine(l);
+    return Math.min(text.match(/^\s*/)[0].length, Math.max(0, text.length - 1));
+  }
+
+  // 0 blank, 1 word, 2 punctuation; with big (W, B, E) every non-blank is a word
+  function vimCharClass(ch, big) {
+    if (!ch || /\s/.test(ch)) return 0;
+    return big || /[\p{L}\p{N}_]/u.test(ch) ? 1 : 2;
+  }
+
+  function vimKeyName(e) {
+    if (e.ctrlKey || e.metaKey) return e.key === 'r' ? '<C-r>' : null;
+    if (e.altKey) return null;
+    if (e.key.length === 1) return e.key;
+    return {
+      Escape: 'Escape', Enter: '+', Backspace: 'h', Delete: 'x', Tab: 'Tab',
+      ArrowLeft: 'h', ArrowRight: 'l', ArrowUp: 'k', ArrowDown: 'j', Home: '0', End: '$'
+    }[e.key] || null;
+  }
+
+  // Called for key events in the editor; true when vim used the key
+  function handleVimKey(e) {
+    if (!vim.enabled || mc || e.defaultPrevented || e.isComposing) return false;
+    if (vim.mode === 'insert') {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        vimLeaveInsert();
+        return true;
+      }
+      vimRecordInsertKey(e);
+      return false;
+    }
+    const key = vimKeyName(e);
+    if (!key) return false;
+    e.preventDefault();
+    vim.message = '';
+    vimReadCursor();
+    vimFeed(key);
+    vimSync();
+    return true;
+  }
+
+  // Take the caret from the DOM unless vim is about to place it itself, so
+  // mouse clicks and other commands move the vim cursor too
+  function vimReadCursor() {
+    if (vim.pending) return;
+    if (vimVisual()) {
+      if (ksel) return;
+      vim.anchor = null;          // a click dropped the selection
+      vimSetMode('normal');
+    }
+    const line = Math.min(activeLineIdx, lines.length - 1);
+    const raw = getLineEl(line)?.querySelector('.line-raw');
+    let col = vim.cursor.line === line ? vim.cursor.col : 0;
+    if (raw && document.activeElement === raw) col = Math.min(raw.selectionStart, Math.max(0, vimLine(line).length - 1));
+    if (line !== vim.cursor.line || col !== vim.cursor.col) vim.want = col;
+    vim.cursor = { line, col };
+  }
+
+  function vimFeed(key) {
+    if (vim.mode === 'insert') { vimInsertKey(key); return; }
+    if (key === 'Escape') {
+      if (vim.keys.length) vim.keys = [];
+      else if (vimVisual()) vimExitVisual();
+      return;
+    }
+    vim.keys.push(key);
+    const cmd = vimParse(vim.keys);
+    if (cmd === null) return;   // wait for more keys
+    const keys = vim.keys;
+    vim.keys = [];
+    if (cmd) vimExecute(cmd, keys);
+  }
+
+  // Parse pending keys: null needs more keys, false is not a command
+  function vimParse(keys) {
+    let i = 0;
+    const count = () => {
+      let digits = '';
+      while (i < keys.length && /^[0-9]$/.test(keys[i]) && (digits || keys[i] !== '0')) digits += keys[i++];
+      return digits ? parseInt(digits) : 0;
+    };
+    // true: parsed a motion; false: no motion here; null: incomplete
+    const motion = (cmd) => {
+      const k = keys[i];
+      if (k === 'g') {
+        if (i + 1 >= keys.length) return null;
+        if (keys[i + 1] !== 'g') return false;
+        cmd.motion = 'gg';
+        i += 2;
+        return true;
+      }
+      if (VIM_CHAR_MOTIONS.has(k)) {
+        if (i + 1 >= keys.length) return null;
+        if (keys[i + 1].length !== 1) return false;
+        cmd.motion = k;
+        cmd.arg = keys[i + 1];
+        i += 2;
+        return true;
+      }
+      if (!VIM_MOTIONS.has(k)) return false;
+      cmd.motion = k;
+      i++;
+      return true;
+    };
+
+    const cmd = { count: count() };
+    if (i >= keys.length) return null;
+    if (vimVisual() && VIM_VISUAL_OPS[keys[i]]) {
+      cmd.visualOp = VIM_VISUAL_OPS[keys[i]];
+      return i + 1 === keys.length ? cmd : false;
+    }
+    if (VIM_ALIASES[keys[i]]) keys = [...keys.slice(0, i), ...VIM_ALIASES[keys[i]], ...keys.slice(i + 1)];
+    const k = keys[i];
+
+    if (VIM_OPERATORS.has(k)) {
+      cmd.op = k;
+      i++;
+      cmd.opCount = count();
+      if (i >= keys.length) return null;
+      if (keys[i] === k) {
+        cmd.motion = k;
+        i++;
+      } else if (keys[i] === 'i' || keys[i] === 'a') {
+        if (i + 1 >= keys.length) return null;
+        if (!VIM_OBJECTS.has(keys[i + 1])) return false;
+        cmd.object = keys[i] + keys[i + 1];
+        i += 2;
+      } else {
+        const m = motion(cmd);
+        if (m !== true) return m;
+      }
+      return i === keys.length ? cmd : false;
+    }
+
+    const m = motion(cmd);
+    if (m === null) return null;
+    if (m) return i === keys.length ? cmd : false;
+    if (k === 'r') {
+      if (i + 1 >= keys.length) return null;
+      if (keys[i + 1].length !== 1) return false;
+      cmd.command = 'r';
+      cmd.arg = keys[i + 1];
+      return i + 2 === keys.length ? cmd : false;
+    }
+    if (!VIM_COMMANDS.has(k)) return false;
+    cmd.command = k;
+    return i + 1 === keys.length ? cmd : false;
+  }
+
+  // ── Motions ──
+  // Return the target position, or null when the motion fails. linewise
+  // motions make operators work on whole lines; inclusive ones include the
+  // character they land on.
+  function vimMotion(motion, arg, count, cur, op) {
+    const n = count || 1;
+    const last = lines.length - 1;
+    const clampLine = l => Math.max(0, Math.min(last, l));
+    switch (motion) {
+      case 'h': return { line: cur.line, col: Math.max(0, cur.col - n) };
+      case 'l': return { line: cur.line, col: Math.min(cur.col + n, vimLine(cur.line).length) };
+      case 'j': case 'k': {
+        const line = clampLine(cur.line + (motion === 'j' ? n : -n));
+        return { line, col: Math.min(vim.want, Math.max(0, vimLine(line).length - 1)), linewise: true };
+      }
+      case '+': case '-': case '_': {
+        const line = clampLine(cur.line + (motion === '+' ? n : motion === '-' ? -n : n - 1));
+        return { line, col: vimFirstNonBlank(line), linewise: true };
+      }
+      case 'G': case 'gg': {
+        const line = count ? clampLine(count - 1) : motion === 'G' ? last : 0;
+        return { line, col: vimFirstNonBlank(line), linewise: true };
+      }
+      case '0': return { line: cur.line, col: 0 };
+      case '^': return { line: cur.line, col: vimFirstNonBlank(cur.line) };
+      case '$': {
+        const line = clampLine(cur.line + n - 1);
+        return { line, col: Math.max(0, vimLine(line).length - 1), inclusive: true };
+      }
+      case 'w': case 'W': {
+        const big = motion === 'W';
+        // cw on a word changes to its end, like ce
+        if (op === 'c' && vimCharClass(vimLine(cur.line)[cur.col], big)) {
+          return vimMotion(big ? 'E' : 'e', null, count, { line: cur.line, col: cur.col - 1 }, op);
+        }
+        let pos = cur;
+        for (let k = 0; k < n; k++) {
+          const next = vimWordForward(pos, big);
+          // An operator stops at the end of the line the last word is on
+          if (op && k === n - 1 && next.line > pos.line) return { line: pos.line, col: vimLine(pos.line).length };
+          pos = next;
+        }
+        return pos;
+      }
+      case 'e': case 'E': {
+        let pos = cur;
+        for (let k = 0; k < n; k++) pos = vimWordEnd(pos, motion === 'E');
+        return { ...pos, inclusive: true };
+      }
+      case 'b': case 'B': {
+        let pos = cur;
+        for (let k = 0; k < n; k++) pos = vimWordBack(pos, motion === 'B');
+        return pos;
+      }
+      case '}': {
+        let l = cur.line;
+        for (let k = 0; k < n; k++) {
+          while (l < last && !vimLine(l).trim()) l++;
+          while (l < last && vimLine(l).trim()) l++;
+        }
+        return { line: l, col: l === last && vimLine(l).trim() ? vimLine(l).length : 0 };
+      }
+      case '{': {
+        let l = cur.line;
+        for (let k = 0; k < n; k++) {
+          while (l > 0 && !vimLine(l).trim()) l--;
+          while (l > 0 && vimLine(l).trim()) l--;
+        }
+        return { line: l, col: 0 };
+      }
+      case 'f': case 'F': case 't': case 'T':
+        vim.lastFind = { kind: motion, char: arg };
+        return vimFindChar(motion, arg, n, cur);
+      case ';': case ',': {
+        if (!vim.lastFind) return null;
+        const { kind, char } = vim.lastFind;
+        const reverse = { f: 'F', F: 'f', t: 'T', T: 't' };
+        return vimFindChar(motion === ';' ? kind : reverse[kind], char, n, cur);
+      }
+      case 'n': case 'N': {
+        if (!vim.lastSearch) return null;
+        let pos = cur;
+        for (let k = 0; k < n && pos; k++) pos = vimSearch(pos, vim.lastSearch.backward !== (motion === 'N'));
+        return pos;
+      }
+    }
+    return null;
+  }
+
+  function vimWordForward({ line, col }, big) {
+    const last = lines.length - 1;
+    let text = vimLine(line);
+    const cls = vimCharClass(text[col], big);
+    if (cls) while (col < text.length && vimCharClass(text[col], big) === cls) col++;
+    for (;;) {
+      if (col >= text.length) {
+        if (line >= last) return { line, col: text.length };
+        text = vimLine(++line);
+        col = 0;
+        if (!text) return { line, col };   // an empty line counts as a word
+        continue;
+      }
+      if (vimCharClass(text[col], big)) return { line, col };
+      col++;
+    }
+  }
+
+  function vimWordEnd({ line, col }, big) {
+    const last = lines.length - 1;
+    let text = vimLine(line);
+    col++;
+    for (;;) {
+      if (col >= text.length) {
+        if (line >= last) return { line, col: Math.max(0, text.length - 1) };
+        text = vimLine(++line);
+        col = 0;
+        continue;
+      }
+      if (vimCharClass(text[col], big)) break;
+      col++;
+    }
+    const cls = vimCharClass(text[col], big);
+    while (col + 1 < text.length && vimCharClass(text[col + 1], big) === cls) col++;
+    return { line, col };
+  }
+
+  function vimWordBack({ line, col }, big) {
+    let text = vimLine(line);
+    col--;
+    for (;;) {
+      if (col < 0) {
+        if (line === 0) return { line: 0, col: 0 };
+        text = vimLine(--line);
+        col = text.length - 1;
+        if (!text) return { line, col: 0 };
+        continue;
+      }
+      if (vimCharClass(text[col], big)) break;
+      col--;
+    }
+    const cls = vimCharClass(text[col], big);
+    while (col > 0 && vimCharClass(text[col - 1], big) === cls) col--;
+    return { line, col };
+  }
+
+  function vimFindChar(kind, ch, n, cur) {
+    const text = vimLine(cur.line);
+    const forward = kind === 'f' || kind === 't';
+    let col = cur.col;
+    for (let k = 0; k < n; k++) {
+      // t and T look past a match right next to the cursor so ; moves on
+      const from = forward ? col + 1 + (kind === 't' && text[col + 1] === ch ? 1 : 0)
+                           : col - 1 - (kind === 'T' && text[col - 1] === ch ? 1 : 0);
+      const at = forward ? text.indexOf(ch, from) : from < 0 ? -1 : text.lastIndexOf(ch, from);
+      if (at < 0) return null;
+      col = at;
+    }
+    if (kind === 't') col--;
+    if (kind === 'T') col++;
+    return { line: cur.line, col, inclusive: forward };
+  }
+
+  // Smartcase: a pattern with a capital letter matches case
+  function vimSearchRegex(pattern) {
+    const flags = /[A-Z]/.test(pattern) ? 'g' : 'gi';
+    try { return new RegExp(pattern, flags); } catch (_) { return new RegExp(escapeRegex(pattern), flags); }
+  }
+
+  // Next match from cur, wrapping around the document
+  function vimSearch(cur, backward) {
+    const re = vimSearchRegex(vim.lastSearch.pattern);
+    const total = lines.length;
+    for (let k = 0; k <= total; k++) {
+      const l = backward ? ((cur.line - k) % total + total) % total : (cur.line + k) % total;
+      const hits = [...vimLine(l).matchAll(re)].map(m => m.index);
+      let col;
+      if (k === 0) col = backward ? hits.reverse().find(c => c < cur.col) : hits.find(c => c > cur.col);
+      else if (k === total) col = backward ? hits.reverse().find(c => c >= cur.col) : hits.find(c => c <= cur.col);
+      else col = backward ? hits[hits.length - 1] : hits[0];
+      if (col === undefined) continue;
+      if (backward ? l > cur.line || (l === cur.line && col >= cur.col) : l < cur.line || (l === cur.line && col <= cur.col)) {
+        vim.message = backward ? 'search hit TOP, continuing at BOTTOM' : 'search hit BOTTOM, continuing at TOP';
+      }
+      return { line: l, col };
+    }
+    vim.message = `E486: Pattern not found: ${vim.lastSearch.pattern}`;
+    return null;
+  }
+
+  // iw aw iW aW, quotes on the current line, brackets across lines.
+  // Returns { start, end } with end exclusive.
+  function vimTextObject(kind, obj, cur) {
+    const text = vimLine(cur.line);
+    const at = col => ({ line: cur.line, col });
+    if (obj === 'w' || obj === 'W') {
+      if (!text) return null;
+      const big = obj === 'W';
+      const cls = vimCharClass(text[cur.col], big);
+      let s = cur.col, e = cur.col + 1;
+      while (s > 0 && vimCharClass(text[s - 1], big) === cls) s--;
+      while (e < text.length && vimCharClass(text[e], big) === cls) e++;
+      if (kind === 'a' && cls) {
+        const end = e;
+        while (e < text.length && /\s/.test(text[e])) e++;
+        if (e === end) while (s > 0 && /\s/.test(text[s - 1])) s--;
+      } else if (kind === 'a') {
+        const next = vimCharClass(text[e], big);
+        while (next && e < text.length && vimCharClass(text[e], big) === next) e++;
+      }
+      return { start: at(s), end: at(e) };
+    }
+    if (`"'\``.includes(obj)) {
+      const quotes = [];
+      for (let i = 0; i < text.length; i++) if (text[i] === obj && text[i - 1] !== '\\') quotes.push(i);
+      for (let k = 0; k + 1 < quotes.length; k += 2) {
+        if (quotes[k + 1] < cur.col) continue;
+        const [o, c] = [quotes[k], quotes[k + 1]];
+        return kind === 'i' ? { start: at(o + 1), end: at(c) } : { start: at(o), end: at(c + 1) };
+      }
+      return null;
+    }
+    const [open, close] = VIM_PAIRS[obj];
+    let depth = 0, from = null, to = null;
+    // Back to the bracket that encloses the cursor…
+    outer: for (let l = cur.line; l >= 0; l--) {
+      const t = vimLine(l);
+      for (let c = l === cur.line ? Math.min(cur.col, t.length - 1) : t.length - 1; c >= 0; c--) {
+        if (t[c] === close && !(l === cur.line && c === cur.col)) depth++;
+        else if (t[c] === open && !depth--) { from = { line: l, col: c }; break outer; }
+      }
+    }
+    if (!from) return null;
+    // …then forward to the one that closes it
+    depth = 0;
+    outer: for (let l = from.line; l < lines.length; l++) {
+      const t = vimLine(l);
+      for (let c = l === from.line ? from.col + 1 : 0; c < t.length; c++) {
+        if (t[c] === open) depth++;
+        else if (t[c] === close && !depth--) { to = { line: l, col: c }; break outer; }
+      }
+    }
+    if (!to) return null;
+    return kind === 'i'
+      ? { start: { line: from.line, col: from.col + 1 }, end: to }
+      : { start: from, end: { line: to.line, col: to.col + 1 } };
+  }
+
+  // ── Commands ──
+  function vimExecute(cmd, keys) {
+    if (vimVisual()) { vimVisualExecute(cmd); return; }
+    const isChange = (cmd.op && cmd.op !== 'y') || VIM_CHANGES.has(cmd.command) || cmd.command === 'r';
+    if (isChange && !vim.replaying) vim.recording = keys.slice();
+
+    if (cmd.op) vimOperatorCommand(cmd);
+    else if (cmd.motion) vimMoveTo(vimMotion(cmd.motion, cmd.arg, cmd.count, vim.cursor), cmd.motion);
+    else vimCommand(cmd);
+
+    // Changes that go on in insert mode are finished by Escape
+    if (vim.recording && vim.mode !== 'insert') {
+      vim.lastChange = vim.recording;
+      vim.recording = null;
+    }
+  }
+
+  function vimMoveTo(to, motion) {
+    if (!to) return;
+    vim.cursor = { line: to.line, col: to.col };
+    if (motion === '$') vim.want = Infinity;
+    else if (motion !== 'j' && motion !== 'k') vim.want = to.col;
+  }
+
+  function vimOperatorCommand(cmd) {
+    const cur = vim.cursor;
+    const count = cmd.count || cmd.opCount ? (cmd.count || 1) * (cmd.opCount || 1) : 0;
+    if (cmd.motion === cmd.op) {
+      const end = Math.min(cur.line + (count || 1) - 1, lines.length - 1);
+      vimApplyOperator(cmd.op, { linewise: true, start: { line: cur.line, col: 0 }, end: { line: end, col: 0 } });
+      return;
+    }
+    if (cmd.object) {
+      const obj = vimTextObject(cmd.object[0], cmd.object[1], cur);
+      if (obj) vimApplyOperator(cmd.op, { linewise: false, ...obj });
+      return;
+    }
+    const to = vimMotion(cmd.motion, cmd.arg, count, cur, cmd.op);
+    if (!to) return;
+    let [a, b] = vimOrder(cur, to);
+    if (VIM_LINEWISE.has(cmd.motion)) {
+      vimApplyOperator(cmd.op, { linewise: true, start: a, end: b });
+      return;
+    }
+    let endCol = to.inclusive ? b.col + 1 : b.col;
+    // An exclusive motion that ends at the start of a line stops at the end
+    // of the line before it
+    if (!to.inclusive && b.col === 0 && b.line > a.line) {
+      b = { line: b.line - 1 };
+      endCol = vimLine(b.line).length;
+    }
+    vimApplyOperator(cmd.op, { linewise: false, start: a, end: { line: b.line, col: Math.min(endCol, vimLine(b.line).length) } });
+  }
+
+  // Mark lines[] as about to change from line on; the first change of a
+  // command closes the undo step before it
+  function vimEdit(line) {
+    if (vim.dirty === Infinity) commitUndo();
+    vim.dirty = Math.min(vim.dirty, line);
+  }
+
+  function vimApplyOperator(op, { linewise, start: a, end: b }) {
+    if (op === '>' || op === '<') {
+      vimEdit(a.line);
+      for (let l = a.line; l <= b.line; l++) {
+        lines[l] = op === '>' ? (lines[l] ? '  ' + lines[l] : '') : lines[l].replace(/^(  |\t)/, '');
+      }
+      vim.cursor = { line: a.line, col: vimFirstNonBlank(a.line) };
+      return;
+    }
+    if (linewise) {
+      vim.register = { text: lines.slice(a.line, b.line + 1).join('\n'), linewise: true };
+      if (op === 'y') { vim.cursor = { line: a.line, col: vim.cursor.line === a.line ? vim.cursor.col : 0 }; return; }
+      vimEdit(a.line);
+      if (op === 'c') {
+        const indent = lines[a.line].match(/^\s*/)[0];
+        lines.splice(a.line, b.line - a.line + 1, indent);
+        vim.cursor = { line: a.line, col: indent.length };
+        vimSetMode('insert');
+        return;
+      }
+      lines.splice(a.line, b.line - a.line + 1);
+      if (!lines.length) lines.push('');
+      const line = Math.min(a.line, lines.length - 1);
+      vim.cursor = { line, col: vimFirstNonBlank(line) };
+      return;
+    }
+    const first = vimLine(a.line), lastText = vimLine(b.line);
+    const text = a.line === b.line
+      ? first.slice(a.col, b.col)
+      : [first.slice(a.col), ...lines.slice(a.line + 1, b.line), lastText.slice(0, b.col)].join('\n');
+    vim.cursor = { line: a.line, col: a.col };
+    if (!text && a.line === b.line) {
+      if (op === 'c') vimSetMode('insert');
+      return;
+    }
+    vim.register = { text, linewise: false };
+    if (op === 'y') return;
+    vimEdit(a.line);
+    lines.splice(a.line, b.line - a.line + 1, first.slice(0, a.col) + lastText.slice(b.col));
+    if (op === 'c') vimSetMode('insert');
+  }
+
+  function vimPut(after, count) {
+    const { text, linewise } = vim.register;
+    const cur = vim.cursor;
+    const n = count || 1;
+    if (linewise) {
+      const at = after ? cur.line + 1 : cur.line;
+      vimEdit(Math.min(at, lines.length - 1));
+      lines.splice(at, 0, ...Array.from({ length: n }, () => text.split('\n')).flat());
+      vim.cursor = { line: at, col: vimFirstNonBlank(at) };
+      return;
+    }
+    if (!text) return;
+    const line = vimLine(cur.line);
+    const col = after && line ? cur.col + 1 : cur.col;
+    const parts = text.repeat(n).split('\n');
+    const end = parts[parts.length - 1].length + (parts.length === 1 ? col : 0);
+    parts[0] = line.slice(0, col) + parts[0];
+    parts[parts.length - 1] += line.slice(col);
+    vimEdit(cur.line);
+    lines.splice(cur.line, 1, ...parts);
+    vim.cursor = parts.length === 1 ? { line: cur.line, col: end - 1 } : { line: cur.line, col };
+  }
+
+  function vimJoin(count) {
+    const cur = vim.cursor;
+    const end = Math.min(cur.line + Math.max(2, count || 2) - 1, lines.length - 1);
+    if (end === cur.line) return;
+    let text = lines[cur.line], col = 0;
+    for (let l = cur.line + 1; l <= end; l++) {
+      const next = lines[l].trimStart();
+      text = text.replace(/\s+$/, '');
+      col = text.length;
+      if (next) text += (text ? ' ' : '') + next;
+    }
+    vimEdit(cur.line);
+    lines.splice(cur.line, end - cur.line + 1, text);
+    vim.cursor = { line: cur.line, col };
+  }
+
+  function vimCommand(cmd) {
+    const cur = vim.cursor;
+    const text = vimLine(cur.line);
+    const n = cmd.count || 1;
+    switch (cmd.command) {
+      case 'p': case 'P': vimPut(cmd.command === 'p', cmd.count); break;
+      case 'J': vimJoin(cmd.count); break;
+      case 'r':
+        if (cur.col + n > text.length) return;
+        vimEdit(cur.line);
+        lines[cur.line] = text.slice(0, cur.col) + cmd.arg.repeat(n) + text.slice(cur.col + n);
+        vim.cursor = { line: cur.line, col: cur.col + n - 1 };
+        break;
+      case '~': {
+        if (!text) return;
+        const end = Math.min(text.length, cur.col + n);
+        const swapped = [...text.slice(cur.col, end)]
+          .map(ch => ch === ch.toUpperCase() ? ch.toLowerCase() : ch.toUpperCase()).join('');
+        vimEdit(cur.line);
+        lines[cur.line] = text.slice(0, cur.col) + swapped + text.slice(end);
+        vim.cursor = { line: cur.line, col: end };
+        break;
+      }
+      case 'u': case '<C-r>':
+        for (let k = 0; k < n; k++) cmd.command === 'u' ? app.undo() : app.redo();
+        vim.external = true;
+        break;
+      case 'i': vimInsertAt(cur.line, cur.col); break;
+      case 'a': vimInsertAt(cur.line, Math.min(cur.col + 1, text.length)); break;
+      case 'I': vimInsertAt(cur.line, text.match(/^\s*/)[0].length); break;
+      case 'A': vimInsertAt(cur.line, text.length); break;
+      case 'o': case 'O': {
+        const indent = text.match(/^\s*/)[0];
+        const line = cmd.command === 'o' ? cur.line + 1 : cur.line;
+        vimEdit(Math.min(line, lines.length - 1));
+        lines.splice(line, 0, indent);
+        vimInsertAt(line, indent.length);
+        break;
+      }
+      case 'v': case 'V':
+        vim.anchor = { ...cur };
+        vimSetMode(cmd.command === 'v' ? 'visual' : 'visual-line');
+        break;
+      case '.': vimRepeat(cmd.count); break;
+      case '/': case '?': case ':': vimOpenCmdline(cmd.command); break;
+    }
+  }
+
+  function vimInsertAt(line, col) {
+    vim.cursor = { line, col };
+    vimSetMode('insert');
+  }
+
+  function vimVisualExecute(cmd) {
+    if (cmd.motion) {
+      vimMoveTo(vimMotion(cmd.motion, cmd.arg, cmd.count, vim.cursor), cmd.motion);
+      return;
+    }
+    const [a, b] = vimOrder(vim.anchor, vim.cursor);
+    if (cmd.visualOp) {
+      const linewise = vim.mode === 'visual-line' || /[A-Z]/.test(cmd.visualOp);
+      const op = cmd.visualOp.toLowerCase();
+      const range = linewise
+        ? { linewise, start: a, end: b }
+        : { linewise, start: a, end: { line: b.line, col: Math.min(b.col + 1, vimLine(b.line).length) } };
+      // '.' repeats the change on as many lines or characters
+      if (op !== 'y' && !vim.replaying) {
+        vim.recording = linewise ? [...String(b.line - a.line + 1), op, op]
+          : a.line === b.line ? [...String(range.end.col - a.col), op, 'l'] : null;
+      }
+      vimExitVisual();
+      vimApplyOperator(op, range);
+      if (vim.recording && vim.mode !== 'insert') {
+        vim.lastChange = vim.recording;
+        vim.recording = null;
+      }
+      return;
+    }
+    switch (cmd.command) {
+      case 'o':
+        [vim.anchor, vim.cursor] = [vim.cursor, vim.anchor];
+        break;
+      case 'v': case 'V': {
+        const mode = cmd.command === 'v' ? 'visual' : 'visual-line';
+        if (vim.mode === mode) vimExitVisual();
+        else vimSetMode(mode);
+        break;
+      }
+      case 'J':
+        vimExitVisual();
+        vim.cursor = { ...a };
+        vimJoin(b.line - a.line + 1);
+        break;
+      case 'p': case 'P': {
+        const linewise = vim.mode === 'visual-line';
+        const register = vim.register;
+        vimExitVisual();
+        vimApplyOperator('d', linewise
+          ? { linewise, start: a, end: b }
+          : { linewise, start: a, end: { line: b.line, col: Math.min(b.col + 1, vimLine(b.line).length) } });
+        vim.register = register;
+        // Deleting the last lines leaves the cursor above where they were
+        vimPut(linewise ? a.line >= lines.length : false, 1);
+        break;
+      }
+      case '/': case '?': case ':': vimOpenCmdline(cmd.command); break;
+    }
+  }
+
+  // ── Modes ──
+  function vimSetMode(mode) {
+    vim.mode = mode;
+    if (vim.enabled) document.body.dataset.vim = mode;
+    vimIndicator();
+  }
+
+  function vimExitVisual() {
+    ksel = null;
+    crossLineSelActive = false;
+    window.getSelection()?.removeAllRanges();
+    vim.anchor = null;
+    vimSetMode('normal');
+  }
+
+  function vimLeaveInsert() {
+    const raw = getLineEl(activeLineIdx)?.querySelector('.line-raw');
+    const col = raw && document.activeElement === raw ? raw.selectionStart : vim.cursor.col;
+    vim.cursor = { line: activeLineIdx, col: Math.max(0, col - 1) };
+    vim.want = vim.cursor.col;
+    if (vim.recording) {
+      vim.lastChange = [...vim.recording, 'Escape'];
+      vim.recording = null;
+    }
+    vimSetMode('normal');
+    vimSync();
+  }
+
+  // Keys typed in insert mode become part of the change '.' repeats;
+  // moving the caret ends it
+  function vimRecordInsertKey(e) {
+    if (!vim.recording || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key.length === 1 || ['Enter', 'Backspace', 'Delete', 'Tab'].includes(e.key)) vim.recording.push(e.key);
+    else if (/^(Arrow|Home|End|Page)/.test(e.key)) vim.recording = null;
+  }
+
+  // Insert-mode keys when '.' replays them
+  function vimInsertKey(key) {
+    const { line, col } = vim.cursor;
+    const text = vimLine(line);
+    if (key === 'Escape') {
+      vim.cursor = { line, col: Math.max(0, col - 1) };
+      vimSetMode('normal');
+      return;
+    }
+    vimEdit(Math.max(0, line - 1));
+    if (key === 'Enter') {
+      lines.splice(line, 1, text.slice(0, col), text.slice(col));
+      vim.cursor = { line: line + 1, col: 0 };
+    } else if (key === 'Backspace') {
+      if (col > 0) {
+        lines[line] = text.slice(0, col - 1) + text.slice(col);
+        vim.cursor = { line, col: col - 1 };
+      } else if (line > 0) {
+        const prev = lines[line - 1];
+        lines.splice(line - 1, 2, prev + text);
+        vim.cursor = { line: line - 1, col: prev.length };
+      }
+    } else if (key === 'Delete') {
+      lines[line] = text.slice(0, col) + text.slice(col + 1);
+    } else {
+      const s = key === 'Tab' ? '  ' : key;
+      lines[line] = text.slice(0, col) + s + text.slice(col);
+      vim.cursor = { line, col: col + s.length };
+    }
+  }
+
+  function vimRepeat(count) {
+    if (!vim.lastChange) return;
+    let keys = vim.lastChange;
+    if (count) {
+      let i = 0;
+      while (i < keys.length && /^[0-9]$/.test(keys[i]) && (i || keys[i] !== '0')) i++;
+      keys = [...String(count), ...keys.slice(i)];
+    }
+    vim.replaying = true;
+    keys.forEach(vimFeed);
+    if (vim.mode === 'insert') vimFeed('Escape');
+    vim.replaying = false;
+    vim.lastChange = keys;
+  }
+
+  // ── Command line ──
+  function vimOpenCmdline(prefix) {
+    const input = document.getElementById('vim-cmdline');
+    input.value = prefix;
+    input.classList.remove('hidden');
+    input.focus();
+    vim.external = true;
+  }
+
+  function vimCloseCmdline() {
+    const input = document.getElementById('vim-cmdline');
+    input.classList.add('hidden');
+    input.value = '';
+  }
+
+  function vimRunCmdline(text) {
+    const prefix = text[0], body = text.slice(1);
+    if (prefix === '/' || prefix === '?') {
+      if (body) vim.lastSearch = { pattern: body, backward: prefix === '?' };
+      if (vim.lastSearch) vimMoveTo(vimMotion('n', null, 1, vim.cursor), 'n');
+      return;
+    }
+    vimExCommand(body.trim());
+  }
+
+  // :w, :e <note>, :<line>
+  function vimExCommand(cmd) {
+    if (!cmd) return;
+    if (/^\d+$/.test(cmd) || cmd === '$') {
+      const line = cmd === '$' ? lines.length - 1 : Math.max(0, Math.min(lines.length - 1, parseInt(cmd) - 1));
+      vimMoveTo({ line, col: vimFirstNonBlank(line) });
+      return;
+    }
+    const [, name, arg] = cmd.match(/^(\w+)!?\s*(.*)$/) || [];
+    switch (name) {
+      case 'w': case 'write': case 'wq': case 'x': case 'update':
+        saveDocument();
+        vim.message = 'written';
+        return;
+      case 'e': case 'edit': {
+        if (!arg) { vim.message = 'E32: No file name'; return; }
+        const entry = findNoteByName(arg);
+        if (!entry) { vim.message = `E211: Note "${arg}" does not exist`; return; }
+        notes.switchTo(entry.id);
+        vim.cursor = { line: 0, col: 0 };
+        vim.external = true;
+        return;
+      }
+      case 'noh': case 'nohlsearch': case 'q': case 'quit':
+        return;
+    }
+    vim.message = `E492: Not an editor command: ${cmd}`;
+  }
+
+  // ── Drawing ──
+  // Rebuild the lines a command changed, then show the cursor: a one
+  // character selection in normal mode, the caret in insert mode, ksel in
+  // visual mode
+  function vimSync() {
+    if (vim.dirty !== Infinity) {
+      rebuildFromIndex(Math.max(0, Math.min(vim.dirty, lines.length - 1)));
+      vim.dirty = Infinity;
+      commitUndo();
+      scheduleAutosave();
+      // The rebuilt lines take focus in the next frame, like other edits
+      vim.pending = true;
+      requestAnimationFrame(vimPlace);
+    } else if (vim.external) {
+      vim.external = false;
+    } else {
+      vimPlace();
+    }
+    vimIndicator();
+  }
+
+  function vimPlace() {
+    vim.pending = false;
+    if (!vim.enabled) return;
+    const line = Math.max(0, Math.min(vim.cursor.line, lines.length - 1));
+    const len = vimLine(line).length;
+    const insert = vim.mode === 'insert';
+    const col = Math.max(0, Math.min(vim.cursor.col, insert ? len : len - 1));
+    vim.cursor = { line, col };
+    if (vimVisual()) { vimPaintVisual(); return; }
+    if (line !== activeLineIdx || !getLineEl(line)?.classList.contains('editing')) {
+      if (activeLineIdx < lines.length) switchToRendered(activeLineIdx);
+      switchToRaw(line);
+    }
+    const raw = getLineEl(line)?.querySelector('.line-raw');
+    if (!raw) return;
+    if (document.activeElement !== raw) raw.focus();
+    raw.setSelectionRange(col, insert || !len ? col : col + 1);
+    updateStatus(line, raw);
+    getLineEl(line).scrollIntoView({ block: 'nearest' });
+  }
+
+  function vimPaintVisual() {
+    const [a, b] = vimOrder(vim.anchor, vim.cursor);
+    ensureLineEl(a.line);
+    ensureLineEl(b.line);
+    ksel = vim.mode === 'visual-line'
+      ? { anchorLine: a.line, anchorOffset: 0, focusLine: b.line, focusOffset: vimLine(b.line).length }
+      : { anchorLine: a.line, anchorOffset: a.col, focusLine: b.line, focusOffset: Math.min(b.col + 1, vimLine(b.line).length) };
+    applyKselVisual();
+    statusPos.textContent = `Ln ${vim.cursor.line + 1}, Col ${vim.cursor.col + 1}`;
+    getLineEl(vim.cursor.line)?.scrollIntoView({ block: 'nearest' });
+  }
+
+  function vimIndicator() {
+    const el = document.getElementById('status-vim');
+    el.classList.toggle('hidden', !vim.enabled);
+    el.dataset.mode = vim.mode;
+    document.getElementById('vim-mode').textContent = VIM_MODE_LABELS[vim.mode];
+    document.getElementById('vim-keys').textContent = vim.message || vim.keys.join('');
+  }
+
+  // ── REBUILD FROM INDEX ───────────────────────────────────────
+  // Partial rebuild for performance: remove old elements from idx onwards, rebuild.
+  // toIdx is the last line the edit changed, when the caller knows it
+  function rebuildFromIndex(fromIdx, toIdx) {
+    // Remove all elements from fromIdx; their line indices have shifted
+    lineEls.forEach((el, i) => {
+      if (i < fromIdx) return;
+      el.remove();
+      lineEls.delete(i);
+    });
+    if (lineHeights.length > fromIdx) lineHeights.length = fromIdx;
+    windowEnd = Math.min(windowEnd, fromIdx);
+    if (windowStart >= windowEnd) windowStart = windowEnd = 0;
+    linesChanged(fromIdx, toIdx);
+    // Re-create what falls inside the window
+    renderWindow();
+    refreshBlocks();
+    applyAllFenceClasses();
+    updateGutterNumbers();
+    updateStatusBar();
+  }
+
+  // ── PASTE HANDLING ───────────────────────────────────────────
+  function handlePaste(e, idx, raw) {
+    const clipHTML = e.clipboardData.getData('text/html');
+    const clipText = e.clipboardData.getData('text/plain');
+
+    if (clipHTML && clipHTML.length > 0) {
+      e.preventDefault();
+      const converted = htmlToMarkdown(clipHTML);
+      insertTextAtCursor(converted, idx, raw);
+    } else if (clipText) {
+      e.preventDefault();
+      insertTextAtCursor(clipText, idx, raw);
+    }
+  }
+
+  function insertTextAtCursor(text, idx, raw) {
+    const sel = raw.selectionStart;
+    const selEnd = raw.selectionEnd;
+    const before = raw.value.slice(0, sel);
+    const after = raw.value.slice(selEnd);
+    const full = before + text + after;
+
+    // Split by newlines
+    const parts = full.split('\n');
+    if (parts.length === 1) {
+      lines[idx] = full;
+      raw.value = full;
+      const newPos = sel + text.length;
+      raw.setSelectionRange(newPos, newPos);
+      linesChanged(idx, idx);
       updateRendered(idx);
     } else {
-      lines.splice(idx, 1, ...parts);
-      rebuildFromIndex(idx);
-      requestAnimationFrame(() => {
-        const newIdx = idx + parts.length - 1;
-        switchToRaw(newIdx);
-        const r = getLineEl(newIdx)?.querySelector('.line-raw');
-        if (r) {
-          const lastLen = parts[parts.length - 1].length;
-          r.setSelectionRange(lastLen, lastLen);
+      lines.splice(idx, 1, ...parts);
+      rebuildFromIndex(idx, idx + parts.length - 1);
+      requestAnimationFrame(() => {
+        const newIdx = idx + parts.length - 1;
+        switchToRaw(newIdx);
+        const r = getLineEl(newIdx)?.querySelector('.line-raw');
+        if (r) {
+          const lastLen = parts[parts.length - 1].length;
+          r.setSelectionRange(lastLen, lastLen);
+        }
+      });
+    }
+    scheduleAutosave();
+    pushUndo();
+  }
+
+  // ── HTML → MARKDOWN ──────────────────────────────────────────
+  function htmlToMarkdown(html) {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
+    return nodeToMarkdown(doc.body).trim();
+  }
+
+  function nodeToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+    const children = () => Array.from(node.childNodes).map(nodeToMarkdown).join('');
+
+    switch (tag) {
+      case 'script': case 'style': return '';
+      case 'b': case 'strong': return `**${children()}**`;
+      case 'i': case 'em': return `*${children()}*`;
+      case 'del': case 's': return `~~${children()}~~`;
+      case 'code': return '`' + node.textContent + '`';
+      case 'pre': {
+        const codeEl = node.querySelector('code');
+        const lang = (codeEl?.className || '').replace('language-', '');
+        return '\n```' + lang + '\n' + (codeEl?.textContent || node.textContent) + '\n```\n';
+      }
+      case 'a': return `[${children()}](${node.getAttribute('href') || ''})`;
+      case 'img': {
+        const src = node.getAttribute('src') || '';
+        const alt = node.getAttribute('alt') || '';
+        return `![${alt}](${src})`;
+      }
+      case 'h1': return `\n# ${children()}\n`;
+      case 'h2': return `\n## ${children()}\n`;
+      case 'h3': return `\n### ${children()}\n`;
+      case 'h4': return `\n#### ${children()}\n`;
+      case 'h5': return `\n##### ${children()}\n`;
+      case 'h6': return `\n###### ${children()}\n`;
+      case 'p': return `\n${children()}\n`;
+      case 'br': return '\n';
+      case 'hr': return '\n---\n';
+      case 'blockquote': return `\n> ${children().trim().split('\n').join('\n> ')}\n`;
+      case 'ul': return '\n' + Array.from(node.children).map(li => `- ${nodeToMarkdown(li).trim()}`).join('\n') + '\n';
+      case 'ol': return '\n' + Array.from(node.children).map((li, i) => `${i + 1}. ${nodeToMarkdown(li).trim()}`).join('\n') + '\n';
+      case 'li': return children();
+      case 'table': return convertTableToMd(node);
+      case 'thead': case 'tbody': case 'tfoot': return children();
+      case 'tr': return children();
+      case 'th': case 'td': return children();
+      case 'div': case 'section': case 'article': return '\n' + children() + '\n';
+      case 'span': return children();
+      default: return children();
+    }
+  }
+
+  function convertTableToMd(table) {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    if (!rows.length) return '';
+    const cells = rows.map(row =>
+      Array.from(row.querySelectorAll('th,td')).map(cell =>
+        cell.textContent.replace(/\|/g, '\\|').trim()
+      )
+    );
+    return '\n' + rowsToMdTable(cells).join('\n') + '\n';
+  }
+
+  // ── TABLE EDITOR ─────────────────────────────────────────────
+  // A pipe table is edited as rows of cell strings, header first; the
+  // separator line only contributes column alignments ('', 'left', 'center',
+  // 'right'). Every structural edit writes the whole table back re-padded,
+  // so the pipes line up. Cells keep their markdown source, \| included.
+  const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  function rowsToMdTable(rows, aligns = []) {
+    const cols = Math.max(1, ...rows.map(r => r.length));
+    const norm = rows.map(r => Array.from({ length: cols }, (_, c) => r[c] ?? ''));
+    const widths = Array.from({ length: cols }, (_, c) => Math.max(3, ...norm.map(r => r[c].length)));
+    const pad = (text, c) => {
+      const gap = widths[c] - text.length;
+      if (aligns[c] === 'right') return ' '.repeat(gap) + text;
+      if (aligns[c] === 'center') return ' '.repeat(gap >> 1) + text + ' '.repeat(gap - (gap >> 1));
+      return text + ' '.repeat(gap);
+    };
+    const row = r => '| ' + r.map(pad).join(' | ') + ' |';
+    const sep = '| ' + widths.map((w, c) => {
+      const a = aligns[c];
+      return (a === 'left' || a === 'center' ? ':' : '-') + '-'.repeat(w - 2) + (a === 'right' || a === 'center' ? ':' : '-');
+    }).join(' | ') + ' |';
+    return [row(norm[0]), sep, ...norm.slice(1).map(row)];
+  }
+
+  // Where each cell sits in a row's source: the text [from, to) without its
+  // padding, and the whole cell [cellStart, cellEnd) between its pipes
+  function tableCellSpans(line) {
+    const edges = [];
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '\\') { i++; continue; }
+      if (line[i] === '|') edges.push(i);
+    }
+    if (!/^\s*\|/.test(line)) edges.unshift(-1);
+    if (!edges.length || line.slice(edges[edges.length - 1] + 1).trim()) edges.push(line.length);
+    const spans = [];
+    for (let k = 0; k + 1 < edges.length; k++) {
+      let from = edges[k] + 1, to = edges[k + 1];
+      while (from < to && line[from] === ' ') from++;
+      while (to > from && line[to - 1] === ' ') to--;
+      spans.push({ from, to, cellStart: edges[k] + 1, cellEnd: edges[k + 1] });
+    }
+    return spans;
+  }
+
+  const tableCells = line => tableCellSpans(line).map(s => line.slice(s.from, s.to));
+  const tableLineOf = (t, row) => row === 0 ? t.start : t.start + 1 + row;
+
+  // The table containing line idx, or null
+  function readTable(idx) {
+    const block = getBlockRange(idx);
+    if (!block || !TABLE_SEP_RE.test(lines[block.start + 1] || '')) return null;
+    const rows = [];
+    for (let i = block.start; i <= block.end; i++) {
+      if (i !== block.start + 1) rows.push(tableCells(lines[i]));
+    }
+    const cols = Math.max(...rows.map(r => r.length));
+    const aligns = tableCells(lines[block.start + 1]).map(c =>
+      c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : '');
+    while (aligns.length < cols) aligns.push('');
+    rows.forEach(r => { while (r.length < cols) r.push(''); });
+    return { start: block.start, end: block.end, rows, aligns, cols };
+  }
+
+  // Row and column of a caret offset on line idx (the separator counts as the header)
+  function tableCaret(t, idx, offset) {
+    const row = Math.max(0, idx - t.start - 1);
+    const spans = tableCellSpans(lines[idx]);
+    const col = spans.findIndex(s => offset <= s.cellEnd);
+    return { row, col: Math.min(t.cols - 1, col < 0 ? spans.length - 1 : col) };
+  }
+
+  // The table under the caret, with the caret's row and column
+  function activeTable() {
+    const t = readTable(activeLineIdx);
+    if (!t) { alert('Put the caret in a table first.'); return null; }
+    const raw = getLineEl(activeLineIdx)?.querySelector('.line-raw');
+    return Object.assign(t, tableCaret(t, activeLineIdx, raw ? raw.selectionStart : 0));
+  }
+
+  function focusTableCell(t, row, col) {
+    const idx = tableLineOf(t, row);
+    switchToRaw(idx);
+    const raw = getLineEl(idx)?.querySelector('.line-raw');
+    const span = tableCellSpans(lines[idx])[col];
+    if (raw && span) raw.setSelectionRange(span.from, span.to);
+  }
+
+  // Replace the table's lines with t re-padded, as one undo step, and put the
+  // caret in cell (row, col)
+  function writeTable(t, row, col) {
+    const out = rowsToMdTable(t.rows, t.aligns);
+    commitUndo();
+    lines.splice(t.start, t.end - t.start + 1, ...out);
+    commitUndo();
+    rebuildFromIndex(t.start);
+    scheduleAutosave();
+    requestAnimationFrame(() => focusTableCell(t, row, col));
+  }
+
+  // Tab / Shift+Tab move between cells (Tab past the last cell adds a row),
+  // Enter adds a row below the caret's
+  function handleTableKey(e, idx, raw) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    const isTab = e.key === 'Tab';
+    if (!isTab && !(e.key === 'Enter' && !e.shiftKey)) return false;
+    const t = readTable(idx);
+    if (!t) return false;
+    e.preventDefault();
+    let { row, col } = tableCaret(t, idx, raw.selectionStart);
+    const empty = () => Array(t.cols).fill('');
+    if (!isTab) {
+      t.rows.splice(++row, 0, empty());
+    } else if (e.shiftKey) {
+      if (--col < 0) { col = t.cols - 1; row--; }
+      if (row < 0) row = col = 0;
+    } else if (++col >= t.cols) {
+      col = 0;
+      if (++row >= t.rows.length) t.rows.push(empty());
+    }
+    writeTable(t, row, col);
+    return true;
+  }
+
+  // CSV or TSV (whichever the first line uses) → rows, RFC 4180 quoting
+  function parseDelimited(text) {
+    const delim = text.split('\n', 1)[0].includes('\t') ? '\t' : ',';
+    const rows = [[]];
+    let cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"' && !cell.trim()) {
+        quoted = true;
+        cell = '';
+      } else if (ch === delim) {
+        rows[rows.length - 1].push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        rows[rows.length - 1].push(cell);
+        cell = '';
+        rows.push([]);
+      } else {
+        cell += ch;
+      }
+    }
+    rows[rows.length - 1].push(cell);
+    return rows
+      .filter(r => r.some(c => c.trim()))
+      .map(r => r.map(c => c.replace(/\s*\n\s*/g, ' ').trim().replace(/\|/g, '\\|')));
+  }
+
+  function toDelimited(rows, delim) {
+    return rows.map(r => r.map(c => {
+      const v = c.replace(/\\\|/g, '|');
+      if (delim === '\t') return v.replace(/\t/g, ' ');
+      return /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+    }).join(delim)).join('\n');
+  }
+
+  // ── TABLE FORMULAS ───────────────────────────────────────────
+  // A table cell starting with "=" is a formula, shown as its value when the
+  // table is rendered; the markdown keeps the formula. Cells are addressed
+  // spreadsheet-style: columns A, B, …, rows from 1 with the header as row 1,
+  // so "=SUM(B2:B9)" adds up the body of column B. Numbers (+ - * / ^ and
+  // parentheses), references, ranges and the functions below are allowed.
+  // Errors show in the cell: #REF! #CYCLE! #DIV/0! #VALUE! #NAME? #ERROR!
+  const FORMULA_AGGREGATES = {
+    SUM: xs => xs.reduce((a, b) => a + b, 0),
+    AVG: xs => {
+      if (!xs.length) throw formulaError('#DIV/0!', 'AVG of no numbers');
+      return xs.reduce((a, b) => a + b, 0) / xs.length;
+    },
+    MIN: xs => xs.length ? Math.min(...xs) : 0,
+    MAX: xs => xs.length ? Math.max(...xs) : 0,
+    COUNT: xs => xs.length
+  };
+  FORMULA_AGGREGATES.AVERAGE = FORMULA_AGGREGATES.AVG;
+
+  // What Download .md, Export as HTML and Copy as HTML write for formula
+  // cells: 'values' or 'raw' (the formulas themselves)
+  let exportFormulas = 'values';
+
+  // args: the fewest and most arguments each takes
+  const FORMULA_SCALARS = {
+    ROUND: { args: [1, 2], fn: (x, digits = 0) => { const f = 10 ** Math.trunc(digits); return Math.round(x * f) / f; } },
+    ABS: { args: [1, 1], fn: x => Math.abs(x) }
+  };
+
+  const FORMULA_TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z]+\d+)(?::([A-Za-z]+\d+))?|([A-Za-z_]+)|(\S))/y;
+
+  function formulaError(code, message) {
+    return Object.assign(new Error(message), { code });
+  }
+
+  // Cell text as a value: null when empty, a number when it reads as one
+  // ("1,200", "$5", "15%"), otherwise the text
+  function cellNumber(text) {
+    const t = text.trim();
+    if (!t) return null;
+    const m = /^([-+]?)[$€£]?\s*(\d[\d,]*(?:\.\d+)?|\.\d+)(%?)$/.exec(t);
+    if (!m) return t;
+    const n = parseFloat(m[2].replace(/,/g, '')) * (m[1] === '-' ? -1 : 1);
+    return m[3] ? n / 100 : n;
+  }
+
+  function cellName(row, col) {
+    let letters = '';
+    for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    return letters + (row + 1);
+  }
+
+  function parseRef(ref) {
+    const m = /^([A-Za-z]+)(\d+)$/.exec(ref);
+    let col = 0;
+    for (const ch of m[1].toUpperCase()) col = col * 26 + ch.charCodeAt(0) - 64;
+    return { row: parseInt(m[2]) - 1, col: col - 1 };
+  }
+
+  // Evaluate one formula (without its "="); valueAt(row, col) supplies cells
+  function evalFormula(src, valueAt) {
+    const tokens = [];
+    FORMULA_TOKEN_RE.lastIndex = 0;
+    let m;
+    while (FORMULA_TOKEN_RE.lastIndex < src.length && (m = FORMULA_TOKEN_RE.exec(src))) {
+      if (m[1]) tokens.push({ num: parseFloat(m[1]) });
+      else if (m[2]) tokens.push(m[3] ? { range: [parseRef(m[2]), parseRef(m[3])] } : { ref: parseRef(m[2]) });
+      else if (m[4]) tokens.push({ name: m[4].toUpperCase() });
+      else if (m[5]) tokens.push({ op: m[5] });
+    }
+    let pos = 0;
+    const peek = () => tokens[pos] || {};
+    const expect = op => {
+      if (peek().op !== op) throw formulaError('#ERROR!', `Expected "${op}"`);
+      pos++;
+    };
+    const number = v => {
+      if (v === null) return 0;
+      if (typeof v !== 'number') throw formulaError('#VALUE!', `"${v}" is not a number`);
+      return v;
+    };
+    const rangeValues = ([a, b]) => {
+      const out = [];
+      for (let r = Math.min(a.row, b.row); r <= Math.max(a.row, b.row); r++) {
+        for (let c = Math.min(a.col, b.col); c <= Math.max(a.col, b.col); c++) out.push(valueAt(r, c));
+      }
+      return out;
+    };
+
+    function expr() {
+      let v = term();
+      while (peek().op === '+' || peek().op === '-') {
+        const op = tokens[pos++].op;
+        v = op === '+' ? v + term() : v - term();
+      }
+      return v;
+    }
+    function term() {
+      let v = power();
+      while (peek().op === '*' || peek().op === '/') {
+        const op = tokens[pos++].op;
+        const rhs = power();
+        if (op === '/' && rhs === 0) throw formulaError('#DIV/0!', 'Division by zero');
+        v = op === '*' ? v * rhs : v / rhs;
+      }
+      return v;
+    }
+    function power() {
+      const base = unary();
+      if (peek().op !== '^') return base;
+      pos++;
+      return base ** power();
+    }
+    function unary() {
+      if (peek().op === '-') { pos++; return -unary(); }
+      if (peek().op === '+') { pos++; return unary(); }
+      return primary();
+    }
+    function primary() {
+      const tok = tokens[pos++] || {};
+      if ('num' in tok) return tok.num;
+      if (tok.ref) return number(valueAt(tok.ref.row, tok.ref.col));
+      if (tok.range) throw formulaError('#VALUE!', 'A range needs a function such as SUM');
+      if (tok.op === '(') { const v = expr(); expect(')'); return v; }
+      if (tok.name) {
+        const agg = FORMULA_AGGREGATES[tok.name], scalar = FORMULA_SCALARS[tok.name];
+        if (!agg && !scalar) throw formulaError('#NAME?', `Unknown function ${tok.name}`);
+        expect('(');
+        const args = [];
+        while (peek().op !== ')') {
+          if (args.length) expect(',');
+          if (agg && peek().range) args.push(...rangeValues(tokens[pos++].range).filter(v => typeof v === 'number'));
+          else args.push(expr());
+        }
+        pos++;
+        if (agg) return agg(args);
+        const [fewest, most] = scalar.args;
+        if (args.length < fewest || args.length > most) {
+          const count = fewest === most ? fewest : `${fewest} ${most - fewest === 1 ? 'or' : 'to'} ${most}`;
+          throw formulaError('#VALUE!', `${tok.name} takes ${count} argument${most === 1 ? '' : 's'}`);
+        }
+        return scalar.fn(...args);
+      }
+      throw formulaError('#ERROR!', 'Malformed formula');
+    }
+
+    const v = expr();
+    if (pos < tokens.length) throw formulaError('#ERROR!', 'Malformed formula');
+    // Division by zero is caught where it happens; this is overflow or NaN
+    if (!Number.isFinite(v)) throw formulaError('#VALUE!', 'Result is not a finite number');
+    return v;
+  }
+
+  // Results for every formula cell of a table (rows of cell source text):
+  // { value } or { error, message }, null for plain cells
+  function evaluateTable(grid) {
+    const results = grid.map(r => r.map(() => null));
+    const visiting = new Set();
+    const valueAt = (row, col) => {
+      if (!grid[row] || col >= grid[row].length) {
+        throw formulaError('#REF!', `${cellName(row, col)} is outside the table`);
+      }
+      const text = grid[row][col].trim();
+      if (!text.startsWith('=')) return cellNumber(text);
+      const res = evalCell(row, col);
+      if (res.error) throw formulaError(res.error, res.message);
+      return res.value;
+    };
+    const evalCell = (row, col) => {
+      const key = row + ':' + col;
+      if (results[row][col]) return results[row][col];
+      if (visiting.has(key)) throw formulaError('#CYCLE!', 'Circular reference');
+      visiting.add(key);
+      let res;
+      try {
+        res = { value: evalFormula(grid[row][col].trim().slice(1), valueAt) };
+      } catch (ex) {
+        if (!ex.code) throw ex;
+        res = { error: ex.code, message: ex.message };
+      }
+      visiting.delete(key);
+      return (results[row][col] = res);
+    };
+    grid.forEach((r, row) => r.forEach((text, col) => {
+      if (text.trim().startsWith('=')) evalCell(row, col);
+    }));
+    return results;
+  }
+
+  function formatFormulaValue(v) {
+    return String(parseFloat(v.toPrecision(12)));
+  }
+
+  // Rendering: formula cells show their result, unless env.formulas is 'raw'
+  md.core.ruler.push('table_formulas', (state) => {
+    if (state.env.formulas === 'raw') return;
+    const tokens = state.tokens;
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].type !== 'table_open') continue;
+      const rows = [];
+      for (; tokens[i].type !== 'table_close'; i++) {
+        const tok = tokens[i];
+        if (tok.type === 'tr_open') rows.push([]);
+        else if (tok.type === 'inline') rows[rows.length - 1].push(tok);
+      }
+      if (!rows.some(r => r.some(tok => tok.content.trim().startsWith('=')))) continue;
+      const results = evaluateTable(rows.map(r => r.map(tok => tok.content)));
+      rows.forEach((r, row) => r.forEach((tok, col) => {
+        if (!results[row][col]) return;
+        const result = new state.Token('formula_result', '', 0);
+        result.meta = { ...results[row][col], formula: tok.content.trim() };
+        tok.children = [result];
+      }));
+    }
+  });
+
+  md.renderer.rules.formula_result = (tokens, idx) => {
+    const { value, error, message, formula } = tokens[idx].meta;
+    const attr = s => escapeHtml(s).replace(/"/g, '&quot;');
+    if (error) return `<span class="formula-error" title="${attr(formula + ' — ' + message)}">${error}</span>`;
+    return `<span class="formula-value" title="${attr(formula)}">${formatFormulaValue(value)}</span>`;
+  };
+
+  // Markdown with each top-level table's formulas replaced by their results
+  function withFormulaValues(text) {
+    const src = text.split('\n');
+    const tokens = [];
+    md.block.parse(text, md, {}, tokens);
+    tokens.forEach(tok => {
+      if (tok.type !== 'table_open' || tok.level !== 0) return;
+      const rowLines = [];
+      for (let i = tok.map[0]; i < tok.map[1]; i++) if (i !== tok.map[0] + 1) rowLines.push(i);
+      const results = evaluateTable(rowLines.map(i => tableCells(src[i])));
+      rowLines.forEach((i, row) => {
+        const spans = tableCellSpans(src[i]);
+        for (let col = spans.length - 1; col >= 0; col--) {
+          const res = results[row][col];
+          if (!res) continue;
+          const shown = res.error || formatFormulaValue(res.value);
+          src[i] = src[i].slice(0, spans[col].from) + shown + src[i].slice(spans[col].to);
+        }
+      });
+    });
+    return src.join('\n');
+  }
+
+  // ── DRAG & DROP IMAGES ───────────────────────────────────────
+  function handleDrop(e, idx) {
+    e.preventDefault();
+    const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
+    files.forEach(file => insertImageFile(file, idx));
+  }
+
+  function insertImageFile(file, idx) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const b64 = e.target.result;
+      const md = `![${file.name}](${b64})`;
+      lines.splice(idx + 1, 0, md);
+      rebuildFromIndex(idx);
+      scheduleAutosave();
+    };
+    reader.readAsDataURL(file);
+  }
+
+  // ── UNDO / REDO ──────────────────────────────────────────────
+  // Each undo entry is the lines that changed: at `start`, `removed` was
+  // replaced by `inserted`, with the selection before and after the edit.
+  // undoBase is the document as of the newest entry, so an edit is found by
+  // diffing it against lines[]. pushUndo() records an edit that may fold into
+  // the entry before it (typing); commitUndo() records one that stands alone
+  // and closes the entry before it, so callers bracket structural edits with
+  // commitUndo() before and after.
+  const UNDO_LIMIT = 200;
+  const UNDO_GROUP_MS = 1000; // a pause this long starts a new typing step
+  let undoBase = [''];
+  let lastSel = null; // selection before the edit being recorded
+
+  function currentSelection() {
+    const raw = getLineEl(activeLineIdx)?.querySelector('.line-raw');
+    return {
+      line: activeLineIdx,
+      start: raw ? raw.selectionStart : 0,
+      end: raw ? raw.selectionEnd : 0,
+      ksel: ksel && { ...ksel }
+    };
+  }
+
+  function changedRange(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    if (start === a.length && start === b.length) return null;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+    return { start, removed: a.slice(start, endA), inserted: b.slice(start, endB) };
+  }
+
+  // Text added to (positive) or taken from (negative) the first changed line
+  function typedText(op) {
+    const before = op.removed[0], after = op.inserted[0];
+    let p = 0;
+    while (p < before.length && p < after.length && before[p] === after[p]) p++;
+    let s = 0;
+    while (s < before.length - p && s < after.length - p &&
+           before[before.length - 1 - s] === after[after.length - 1 - s]) s++;
+    return { added: after.slice(p, after.length - s), dir: Math.sign(after.length - before.length) };
+  }
+
+  // Typing folds into the previous step while it carries on where that one
+  // left off: same lines, same direction, within UNDO_GROUP_MS, and not
+  // starting a new word
+  function continuesTyping(top, op) {
+    if (top.sealed || op.time - top.time > UNDO_GROUP_MS) return false;
+    if (op.start !== top.start || op.removed.length !== top.inserted.length ||
+        op.inserted.length !== op.removed.length) return false;
+    const a = top.selAfter, b = op.selBefore;
+    if (!a || !b || a.line !== b.line || a.start !== b.start || a.end !== b.end) return false;
+    const { added, dir } = typedText(op);
+    if (!dir || dir !== top.dir) return false;
+    return !(dir > 0 && /\s$/.test(top.added) && /^\S/.test(added));
+  }
+
+  function recordUndo(coalesce) {
+    const op = changedRange(undoBase, lines);
+    if (!op) return;
+    undoBase = lines.slice();
+    redoStack = [];
+    Object.assign(op, { selBefore: lastSel, selAfter: currentSelection(), time: Date.now(), sealed: !coalesce });
+    const top = undoStack[undoStack.length - 1];
+    const single = op.removed.length === op.inserted.length;
+    const typed = single ? typedText(op) : { added: '', dir: 0 };
+    op.dir = typed.dir;
+    op.added = typed.added;
+    if (coalesce && top && continuesTyping(top, op)) {
+      top.inserted = op.inserted;
+      Object.assign(top, { selAfter: op.selAfter, time: op.time, added: op.added });
+    } else {
+      undoStack.push(op);
+      if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    }
+    lastSel = op.selAfter;
+    // Edits that rebuild lines place the caret in a later frame; look again
+    // once that has happened
+    const entry = undoStack[undoStack.length - 1];
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      if (undoStack[undoStack.length - 1] === entry && !changedRange(undoBase, lines)) {
+        entry.selAfter = lastSel = currentSelection();
+      }
+    }));
+  }
+
+  function pushUndo() {
+    recordUndo(true);
+  }
+
+  function commitUndo() {
+    recordUndo(false);
+    const top = undoStack[undoStack.length - 1];
+    if (top) top.sealed = true;
+    lastSel = currentSelection();
+  }
+
+  // Take in an edit that did not come from this editor (a peer's ops in a
+  // shared note) without making it undoable: entries below or above it are
+  // moved past it, and anything older than an entry it overlaps is dropped,
+  // since undoing that would also revert the peer's lines.
+  function rebaseUndo() {
+    const change = changedRange(undoBase, lines);
+    undoBase = lines.slice();
+    if (!change) return;
+    undoStack = rebaseEntries(undoStack, { ...change }, 'inserted', 'removed');
+    redoStack = rebaseEntries(redoStack, { ...change }, 'removed', 'inserted');
+    lastSel = null;
+  }
+
+  // Walk a stack from its top, where `present` is what each entry's lines
+  // are right now and `past` what undoing (or redoing) it puts back
+  function rebaseEntries(stack, change, present, past) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const op = stack[i];
+      if (change.start + change.removed.length <= op.start) {
+        const d = change.inserted.length - change.removed.length;
+        op.start += d;
+        op.selBefore = shiftSelection(op.selBefore, d);
+        op.selAfter = shiftSelection(op.selAfter, d);
+      } else if (change.start >= op.start + op[present].length) {
+        change.start += op[past].length - op[present].length;
+      } else {
+        return stack.slice(i + 1);
+      }
+    }
+    return stack;
+  }
+
+  function shiftSelection(sel, d) {
+    if (!sel) return sel;
+    return {
+      ...sel,
+      line: sel.line + d,
+      ksel: sel.ksel && { ...sel.ksel, anchorLine: sel.ksel.anchorLine + d, focusLine: sel.ksel.focusLine + d }
+    };
+  }
+
+  // Put back the lines an entry changed (undo) or changed them again (redo)
+  function applyUndoEntry(op, reverse) {
+    op.sealed = true;
+    const [from, to] = reverse ? [op.inserted, op.removed] : [op.removed, op.inserted];
+    lines.splice(op.start, from.length, ...to);
+    if (!lines.length) lines = [''];
+    undoBase = lines.slice();
+    if (mc) clearMultiCursor();
+    clearKsel(false);
+    rebuildFromIndex(Math.min(op.start, lines.length - 1));
+    scheduleAutosave();
+    restoreSelection(reverse ? op.selBefore : op.selAfter, op.start);
+  }
+
+  function restoreSelection(sel, fallbackLine) {
+    const line = Math.min(sel ? sel.line : fallbackLine, lines.length - 1);
+    requestAnimationFrame(() => {
+      if (sel?.ksel) {
+        switchToRaw(Math.min(sel.ksel.focusLine, lines.length - 1));
+        ksel = { ...sel.ksel };
+        applyKselVisual();
+        return;
+      }
+      switchToRaw(line);
+      const raw = getLineEl(line)?.querySelector('.line-raw');
+      if (raw && sel) raw.setSelectionRange(Math.min(sel.start, raw.value.length), Math.min(sel.end, raw.value.length));
+      lastSel = currentSelection();
+    });
+  }
+
+  // Undo histories of notes switched away from, most recent last
+  const UNDO_NOTES_KEPT = 20;
+  const undoHistories = new Map();
+  let undoNoteId = null;
+
+  // Keep the outgoing note's history and pick up the incoming one's, as long
+  // as its text is what the history ends with
+  function switchUndoHistory(text) {
+    recordUndo(false);
+    if (undoNoteId !== null) {
+      undoHistories.delete(undoNoteId);
+      undoHistories.set(undoNoteId, { undoStack, redoStack, base: undoBase });
+      if (undoHistories.size > UNDO_NOTES_KEPT) undoHistories.delete(undoHistories.keys().next().value);
+    }
+    undoNoteId = window.notes?.index.activeId ?? null;
+    const saved = undoHistories.get(undoNoteId);
+    if (saved && saved.base.join('\n') === text) {
+      ({ undoStack, redoStack, base: undoBase } = saved);
+    } else {
+      undoStack = [];
+      redoStack = [];
+      undoBase = text.split('\n');
+    }
+    lastSel = null;
+  }
+
+  // Replace the whole document as a single undoable step
+  function replaceDocument(text) {
+    commitUndo();
+    lines = text.split('\n');
+    if (!lines.length) lines = [''];
+    buildAllLines();
+    updateStatusBar();
+    commitUndo();
+    scheduleAutosave();
+  }
+
+  // ── AUTOSAVE ─────────────────────────────────────────────────
+  function scheduleAutosave() {
+    setSaving();
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveDocument, AUTOSAVE_DELAY);
+    scheduleCollabFlush();
+  }
+
+  function setSaving() {
+    autosaveEl.textContent = '◌ SAVING…';
+    autosaveEl.className = 'saving';
+  }
+
+  function setSaved() {
+    autosaveEl.textContent = '● SAVED';
+    autosaveEl.className = 'saved';
+    autosaveEl.title = '';
+  }
+
+  function setSaveError(ex) {
+    const quota = ex && (ex.name === 'QuotaExceededError' || ex.code === 22);
+    autosaveEl.textContent = quota ? '✕ STORAGE FULL' : '✕ SAVE FAILED';
+    autosaveEl.className = 'error';
+    autosaveEl.title = (ex && ex.message) || String(ex);
+  }
+
+  function saveDocument() {
+    const content = lines.join('\n');
+    const theme = document.body.getAttribute('data-theme') || 'retro-neon';
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        content,
+        lastSaved: Date.now(),
+        theme
+      }));
+      lastSavedContent = content;
+    } catch (ex) {
+      console.warn('localStorage save failed', ex);
+    }
+    setSaved();
+  }
+
+  function loadDocument() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return;
+      const data = JSON.parse(raw);
+      if (data.theme) app.setTheme(data.theme, true);
+      if (data.content !== undefined) {
+        setContent(data.content);
+      }
+    } catch (_) {}
+  }
+
+  // view: where to put the caret and scroll (see restoreView); the top otherwise
+  function setContent(text, view) {
+    switchUndoHistory(text);
+    lines = text.split('\n');
+    if (!lines.length) lines = [''];
+    buildAllLines();
+    updateStatusBar();
+    renderBacklinks();
+    noteLocks.renderScreen();
+    requestAnimationFrame(() => {
+      if (noteLocks.isLocked(notes.index.activeId)) return;
+      if (view) { restoreView(view); return; }
+      if (lines.length > 0) {
+        const firstEl = getLineEl(0);
+        if (firstEl) firstEl.querySelector('.line-rendered').click();
+      }
+    });
+  }
+
+  // ── STATUS BAR ───────────────────────────────────────────────
+  function updateStatus(idx, raw) {
+    const col = raw ? raw.selectionStart + 1 : 1;
+    statusPos.textContent = `Ln ${idx + 1}, Col ${col}`;
+    updateStatusBar();
+    scheduleCollabPresence();
+  }
+
+  function updateStatusBar() {
+    const total = lines.length;
+    const wordCount = lines.join(' ').split(/\s+/).filter(w => w).length;
+    statusLines.textContent = `${total} lines`;
+    statusWords.textContent = `${wordCount} words`;
+  }
+
+  // ── FIND & REPLACE ───────────────────────────────────────────
+  let findMode = 'find';
+
+  // Regex from the find modal's input and options; null when empty or invalid
+  function buildFindRegex(flags) {
+    const term = document.getElementById('find-input').value;
+    if (!term) return null;
+    const caseSensitive = document.getElementById('opt-case').checked;
+    const useRegex = document.getElementById('opt-regex').checked;
+    try {
+      return new RegExp(useRegex ? term : escapeRegex(term), caseSensitive ? flags : flags + 'i');
+    } catch (_) { return null; }
+  }
+
+  // Expand $&, $1…$99, $<name>, $`, $' and $$ the way String#replace does,
+  // for a single match m taken from matchAll over `line`
+  function expandReplacement(template, m, line) {
+    return template.replace(/\$(\$|&|`|'|\d{1,2}|<[^>]*>)/g, (tok, ref) => {
+      if (ref === '$') return '$';
+      if (ref === '&') return m[0];
+      if (ref === '`') return line.slice(0, m.index);
+      if (ref === "'") return line.slice(m.index + m[0].length);
+      if (ref[0] === '<') return m.groups ? (m.groups[ref.slice(1, -1)] ?? '') : tok;
+      const n = Number(ref);
+      if (n >= 1 && n < m.length) return m[n] ?? '';
+      // "$12" with only one group means group 1 followed by "2"
+      if (ref.length === 2 && Number(ref[0]) >= 1 && Number(ref[0]) < m.length) return (m[ref[0]] ?? '') + ref[1];
+      return tok;
+    });
+  }
+
+  // Matches of the find query in the active note, searched in the raw
+  // markdown so syntax and code fences are included
+  let findState = { matches: [], current: -1 }; // matches: [{ line, start, end }]
+
+  function findMatches() {
+    const regex = buildFindRegex('g');
+    if (!regex) return [];
+    const out = [];
+    lines.forEach((line, i) => {
+      for (const m of line.matchAll(regex)) {
+        if (m[0]) out.push({ line: i, start: m.index, end: m.index + m[0].length });
+      }
+    });
+    return out;
+  }
+
+  function updateFindCount() {
+    const el = document.getElementById('find-count');
+    const { matches, current } = findState;
+    const term = document.getElementById('find-input').value;
+    el.textContent = !term || document.getElementById('opt-all-notes').checked ? ''
+      : !buildFindRegex('g') ? 'Invalid'
+      : !matches.length ? 'No results'
+      : current >= 0 ? `${current + 1} of ${matches.length}`
+      : `${matches.length} match${matches.length === 1 ? '' : 'es'}`;
+    el.classList.toggle('none', !!term && !matches.length);
+    container.querySelectorAll('.editor-line.find-current').forEach(e => e.classList.remove('find-current'));
+    if (current >= 0) getLineEl(matches[current].line)?.classList.add('find-current');
+  }
+
+  // Find hit classes and rendered-text highlights for one line element
+  function decorateFindLine(idx, el) {
+    if (!findState.matches.length) return;
+    const current = findState.matches[findState.current];
+    el.classList.toggle('find-current', !!current && current.line === idx);
+    if (!findState.matches.some(m => m.line === idx)) return;
+    el.classList.add('find-hit');
+    if (el.classList.contains('editing')) return;
+    const regex = buildFindRegex('g');
+    const rendered = el.querySelector('.line-rendered');
+    if (!regex || !rendered) return;
+    // Highlight in rendered text; matches inside markdown syntax only mark the line
+    rendered.innerHTML = rendered.innerHTML.replace(/<[^>]*>|([^<]+)/g, (match, textPart) => {
+      if (!textPart) return match; // it's a tag
+      return textPart.replace(regex, m => m ? `<mark class="search-highlight">${escapeHtml(m)}</mark>` : m);
+    });
+  }
+
+  // Open the match's line in raw mode with the match selected. focus=false
+  // keeps typing in the find field; the raw line stays open (see the blur handler).
+  function selectMatch(m, focus) {
+    goToLine(m.line);
+    const raw = getLineEl(m.line)?.querySelector('.line-raw');
+    if (!raw) return;
+    raw.setSelectionRange(m.start, m.end);
+    if (focus) raw.focus();
+    else document.getElementById('find-input').focus();
+    getLineEl(m.line)?.classList.add('find-current');
+  }
+
+  // ── PROJECT-WIDE REPLACE ─────────────────────────────────────
+  // Matches across every library note, previewed in the find modal with
+  // "All notes" ticked. Each note's replacements are applied as one edit
+  // and can be reverted together from the banner shown afterwards.
+  let projectReplace = null; // { template, groups: [{ id, name, content, matches: [{ line, start, end, text, replacement, include }] }] }
+
+  function collectProjectMatches(regex, template) {
+    notes.flushCurrent();
+    const groups = [];
+    notes.index.notes.forEach(({ id, name, folderId }) => {
+      const content = id === notes.index.activeId ? lines.join('\n') : notes.loadNoteContent(id);
+      const matches = [];
+      content.split('\n').forEach((line, lineIdx) => {
+        for (const m of line.matchAll(regex)) {
+          if (!m[0]) continue; // empty matches would replace nothing visible
+          matches.push({
+            line: lineIdx, start: m.index, end: m.index + m[0].length,
+            text: line, replacement: expandReplacement(template, m, line), include: true
+          });
+        }
+      });
+      if (matches.length) groups.push({ id, name, folder: notes.folderPath(folderId), content, matches });
+    });
+    return groups;
+  }
+
+  function applyMatches(content, matches) {
+    const out = content.split('\n');
+    // Right to left so earlier offsets on the same line stay valid
+    matches.filter(m => m.include).sort((a, b) => b.line - a.line || b.start - a.start).forEach(m => {
+      const line = out[m.line];
+      out[m.line] = line.slice(0, m.start) + m.replacement + line.slice(m.end);
+    });
+    return out.join('\n');
+  }
+
+  function renderProjectPreview() {
+    const el = document.getElementById('find-preview');
+    const groups = projectReplace ? projectReplace.groups : [];
+    const total = groups.reduce((n, g) => n + g.matches.length, 0);
+    const chosen = groups.reduce((n, g) => n + g.matches.filter(m => m.include).length, 0);
+    document.getElementById('replace-all-btn').disabled = !chosen;
+    if (!groups.length) {
+      el.innerHTML = '<div class="search-result-empty">No matches found</div>';
+      return;
+    }
+    const context = (m) => {
+      const from = Math.max(0, m.start - 40);
+      return (from > 0 ? '…' : '') + escapeHtml(m.text.slice(from, m.start)) +
+        `<del>${escapeHtml(m.text.slice(m.start, m.end))}</del><ins>${escapeHtml(m.replacement)}</ins>` +
+        escapeHtml(m.text.slice(m.end, m.end + 60));
+    };
+    el.innerHTML = `<div class="find-preview-summary">${chosen} of ${total} match${total === 1 ? '' : 'es'} in ${groups.length} note${groups.length === 1 ? '' : 's'} selected</div>` +
+      groups.map((g, gi) => {
+        const on = g.matches.filter(m => m.include).length;
+        return `
+        <div class="find-preview-group">
+          <label class="find-preview-note">
+            <input type="checkbox" ${on === g.matches.length ? 'checked' : ''} onchange="app._toggleProjectGroup(${gi}, this.checked)">
+            <span class="search-result-name">${escapeHtml(g.name)}${g.folder ? `<span class="search-result-folder">${escapeHtml(g.folder)}</span>` : ''}</span>
+            <span class="search-result-count">${on}/${g.matches.length}</span>
+          </label>
+          ${g.matches.map((m, mi) => `
+            <label class="find-preview-match">
+              <input type="checkbox" ${m.include ? 'checked' : ''} onchange="app._toggleProjectMatch(${gi}, ${mi}, this.checked)">
+              <span class="search-hit-line">${m.line + 1}</span>
+              <span class="search-result-preview">${context(m)}</span>
+            </label>`).join('')}
+        </div>`;
+      }).join('');
+    // Indeterminate state can only be set from script
+    el.querySelectorAll('.find-preview-note input').forEach((box, gi) => {
+      const on = groups[gi].matches.filter(m => m.include).length;
+      box.indeterminate = on > 0 && on < groups[gi].matches.length;
+    });
+  }
+
+  function clearHighlights() {
+    container.querySelectorAll('.search-highlight').forEach(el => {
+      el.outerHTML = el.innerHTML;
+    });
+  }
+
+  // ── REVISION HISTORY ─────────────────────────────────────────
+  // A revision is recorded on autosave whenever the content changed. Edits
+  // within REVISION_MERGE_MS of the newest revision replace it, and older
+  // history is thinned to one revision per bucket (see thinRevisionTimes).
+  const REVISION_MERGE_MS = 60 * 1000;
+  const REVISION_MAX = 200;
+  const lastRevision = {}; // noteId → { ts, content } of the newest stored revision
+  const revisionWrites = {}; // noteId → promise of its last queued revision write
+
+  // keep: store as a separate revision even inside the merge window. A note's
+  // writes run one after another, so locking it can wait for them to finish.
+  function recordRevision(noteId, content, keep) {
+    const write = (revisionWrites[noteId] || Promise.resolve()).then(() => writeRevision(noteId, content, keep));
+    revisionWrites[noteId] = write;
+    return write;
+  }
+
+  async function writeRevision(noteId, content, keep) {
+    // Locked notes keep no history; it would be plain text
+    if (isLockedContent(content) || noteLocks.isEncrypted(noteId)) return;
+    try {
+      if (!(noteId in lastRevision)) {
+        const latest = await noteStore.getLatestRevision(noteId);
+        lastRevision[noteId] = latest ? { ts: latest.ts, content: latest.content } : null;
+      }
+      const prev = lastRevision[noteId];
+      if (prev && prev.content === content) return;
+      // Revisions are keyed by timestamp, so never reuse the newest one's
+      const ts = Math.max(Date.now(), prev ? prev.ts + 1 : 0);
+      const replace = !keep && !!prev && ts - prev.ts < REVISION_MERGE_MS;
+      lastRevision[noteId] = { ts: replace ? prev.ts : ts, content };
+      await noteStore.addRevision({ noteId, ts: lastRevision[noteId].ts, content }, replace);
+    } catch (ex) {
+      console.warn('Recording revision failed', ex);
+    }
+  }
+
+  // Given ascending revision timestamps, return the ones to keep:
+  // everything from the last hour, then the newest revision per
+  // 15 minutes (last day), per hour (last week) and per day beyond that.
+  function thinRevisionTimes(times, now) {
+    const HOUR = 3600 * 1000;
+    const DAY = 24 * HOUR;
+    const bucketOf = ts => {
+      const age = now - ts;
+      if (age < HOUR) return 'r' + ts;
+      if (age < DAY) return 'q' + Math.floor(ts / (15 * 60 * 1000));
+      if (age < 7 * DAY) return 'h' + Math.floor(ts / HOUR);
+      return 'd' + Math.floor(ts / DAY);
+    };
+    const newestPerBucket = new Map();
+    times.forEach(ts => {
+      const b = bucketOf(ts);
+      if (!newestPerBucket.has(b) || newestPerBucket.get(b) < ts) newestPerBucket.set(b, ts);
+    });
+    return [...newestPerBucket.values()].sort((a, b) => a - b).slice(-REVISION_MAX);
+  }
+
+  // ── LINE DIFF ────────────────────────────────────────────────
+  // Myers O(ND) diff over two arrays of lines. Returns a list of
+  // { type: 'eq'|'del'|'add', text, a, b } where a/b are 0-based line
+  // numbers in the old/new array (null on the side the line is missing).
+  function diffLines(a, b) {
+    let pre = 0;
+    while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+    let suf = 0;
+    while (suf < a.length - pre && suf < b.length - pre &&
+           a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+    const A = a.slice(pre, a.length - suf);
+    const B = b.slice(pre, b.length - suf);
+    const N = A.length, M = B.length, MAX = N + M;
+    const v = new Array(2 * MAX + 2).fill(0);
+    const trace = [];
+    outer:
+    for (let d = 0; d <= MAX; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[MAX + k - 1] < v[MAX + k + 1]))
+          ? v[MAX + k + 1] : v[MAX + k - 1] + 1;
+        let y = x - k;
+        while (x < N && y < M && A[x] === B[y]) { x++; y++; }
+        v[MAX + k] = x;
+        if (x >= N && y >= M) break outer;
+      }
+    }
+
+    // Walk the trace backwards to recover the edit script
+    const mid = [];
+    let x = N, y = M;
+    for (let d = trace.length - 1; d > 0; d--) {
+      const vd = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && vd[MAX + k - 1] < vd[MAX + k + 1])) ? k + 1 : k - 1;
+      const prevX = vd[MAX + prevK];
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) { x--; y--; mid.push({ type: 'eq', text: A[x], a: pre + x, b: pre + y }); }
+      if (x === prevX) { y--; mid.push({ type: 'add', text: B[y], a: null, b: pre + y }); }
+      else { x--; mid.push({ type: 'del', text: A[x], a: pre + x, b: null }); }
+    }
+    while (x > 0 && y > 0) { x--; y--; mid.push({ type: 'eq', text: A[x], a: pre + x, b: pre + y }); }
+    mid.reverse();
+
+    const out = [];
+    for (let i = 0; i < pre; i++) out.push({ type: 'eq', text: a[i], a: i, b: i });
+    out.push(...mid);
+    for (let i = suf; i > 0; i--) {
+      out.push({ type: 'eq', text: a[a.length - i], a: a.length - i, b: b.length - i });
+    }
+    return out;
+  }
+
+  function formatTimestamp(ts) {
+    const d = new Date(ts);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  }
+
+  let historyState = null; // { noteId, revs: [{ts, content}], a, b } while the modal is open
+
+  // ── ZIP ARCHIVES ─────────────────────────────────────────────
+  // Minimal ZIP writer/reader used by library export/import. Entries are
+  // deflated with CompressionStream where available and stored otherwise.
+  // No ZIP64, encryption or multi-disk support.
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function pipeBytes(bytes, transform) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(transform))
+      .arrayBuffer().then(buf => new Uint8Array(buf));
+  }
+
+  // files: [{ path, data: string|Uint8Array, date? }] → Blob
+  async function buildZip(files) {
+    const enc = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = enc.encode(file.path);
+      const raw = typeof file.data === 'string' ? enc.encode(file.data) : file.data;
+      let method = 0;
+      let body = raw;
+      if (typeof CompressionStream !== 'undefined' && raw.length > 64) {
+        const deflated = await pipeBytes(raw, new CompressionStream('deflate-raw'));
+        if (deflated.length < raw.length) { method = 8; body = deflated; }
+      }
+      const d = new Date(file.date || Date.now());
+      const dosTime = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+      const dosDate = ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+      const crc = crc32(raw);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);          // version needed
+      local.setUint16(6, 0x0800, true);      // UTF-8 names
+      local.setUint16(8, method, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, body.length, true);
+      local.setUint32(22, raw.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local.buffer, name, body);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);          // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, method, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, body.length, true);
+      entry.setUint32(24, raw.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + body.length;
+    }
+    const centralSize = central.reduce((n, part) => n + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+  }
+
+  // ArrayBuffer → [{ path, data: Uint8Array }] (directory entries skipped)
+  async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const dec = new TextDecoder();
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a ZIP archive');
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    const files = [];
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+      const method = view.getUint16(p + 10, true);
+      const compSize = view.getUint32(p + 20, true);
+      const nameLen = view.getUint16(p + 28, true);
+      const extraLen = view.getUint16(p + 30, true);
+      const commentLen = view.getUint16(p + 32, true);
+      const localOffset = view.getUint32(p + 42, true);
+      const path = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+      if (path.endsWith('/')) continue;
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const body = bytes.subarray(dataStart, dataStart + compSize);
+      let data;
+      if (method === 0) data = body;
+      else if (method === 8 && typeof DecompressionStream !== 'undefined') data = await pipeBytes(body, new DecompressionStream('deflate-raw'));
+      else throw new Error(`Unsupported compression in "${path}"`);
+      files.push({ path, data });
+    }
+    return files;
+  }
+
+  // ── LIBRARY EXPORT / IMPORT ──────────────────────────────────
+  // Archive layout: one <folder path>/<note name>.md per note plus
+  // LIBRARY_MANIFEST, which carries ids, folders, pin state and order.
+  const LIBRARY_MANIFEST = 'markvoid-library.json';
+  let pendingImport = null; // parsed archive while the import modal is open
+
+  async function exportLibrary() {
+    notes.flushCurrent();
+    // Unlocked notes reach records only once encrypted
+    await Promise.all([...noteLocks.open.values()].map(entry => entry.saving));
+    const pinned = notes.index.pinned || [];
+    const files = [];
+    const manifest = {
+      format: 'markvoid-library',
+      version: 1,
+      exported: Date.now(),
+      activeId: notes.index.activeId,
+      folders: notes.index.folders.map(({ id, name, parentId, collapsed }) => ({ id, name, parentId: parentId || null, collapsed: !!collapsed })),
+      notes: []
+    };
+    notes.index.notes.forEach((entry, order) => {
+      const dir = notes.folderPath(entry.folderId).split(' / ').filter(Boolean).join('/');
+      const path = (dir ? dir + '/' : '') + entry.name + '.md';
+      const record = notes.records[entry.id] || { content: '', lastSaved: Date.now() };
+      manifest.notes.push({
+        id: entry.id, name: entry.name, folderId: entry.folderId || null,
+        path, pinned: pinned.includes(entry.id), order, lastSaved: record.lastSaved
+      });
+      files.push({ path, data: record.content || '', date: record.lastSaved });
+    });
+    files.unshift({ path: LIBRARY_MANIFEST, data: JSON.stringify(manifest, null, 2) });
+    return buildZip(files);
+  }
+
+  // A name from an archive made to pass VALID_NAME, as upload does
+  function importedName(name, fallback) {
+    return String(name ?? '').replace(/[^a-zA-Z0-9_ ]/g, ' ').replace(/\s+/g, ' ').trim() || fallback;
+  }
+
+  // Parse an archive into { folders, notes: [{..., content}], activeId }.
+  // Archives without a manifest (any zip of .md files) are accepted too.
+  async function parseLibrary(buffer) {
+    const files = await readZip(buffer);
+    const dec = new TextDecoder();
+    const byPath = new Map(files.map(f => [f.path, f.data]));
+    // Names cleaned up can collide; number them the way createNote does
+    const taken = new Set();
+    const uniqueName = name => {
+      let unique = name;
+      for (let count = 2; taken.has(unique.toLowerCase()); count++) unique = `${name} ${count}`;
+      taken.add(unique.toLowerCase());
+      return unique;
+    };
+    const manifestData = byPath.get(LIBRARY_MANIFEST);
+    if (manifestData) {
+      const manifest = JSON.parse(dec.decode(manifestData));
+      if (manifest.format !== 'markvoid-library') throw new Error('Unknown manifest format');
+      const noteList = manifest.notes
+        .slice().sort((a, b) => a.order - b.order)
+        .map(n => ({
+          ...n,
+          name: uniqueName(importedName(n.name, 'Untitled')),
+          content: byPath.has(n.path) ? dec.decode(byPath.get(n.path)) : ''
+        }));
+      const folders = (manifest.folders || []).map(f => ({ ...f, name: importedName(f.name, 'Folder') }));
+      return { folders, notes: noteList, activeId: manifest.activeId };
+    }
+    const folders = [];
+    const folderByPath = new Map();
+    const folderFor = dir => {
+      if (!dir) return null;
+      if (folderByPath.has(dir)) return folderByPath.get(dir);
+      const slash = dir.lastIndexOf('/');
+      const parentId = folderFor(slash < 0 ? '' : dir.slice(0, slash));
+      const id = 'f' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+      folders.push({ id, name: dir.slice(slash + 1).replace(/[^a-zA-Z0-9_ ]/g, '') || 'Folder', parentId, collapsed: false });
+      folderByPath.set(dir, id);
+      return id;
+    };
+    const noteList = files
+      .filter(f => /\.(md|markdown|txt)$/i.test(f.path))
+      .map(f => {
+        const slash = f.path.lastIndexOf('/');
+        const base = f.path.slice(slash + 1).replace(/\.[^.]+$/, '');
+        return {
+          id: notes.genId(),
+          name: uniqueName(importedName(base, 'Untitled')),
+          folderId: folderFor(slash < 0 ? '' : f.path.slice(0, slash)),
+          pinned: false,
+          content: dec.decode(f.data)
+        };
+      });
+    return { folders, notes: noteList, activeId: null };
+  }
+
+  function renderImportModal() {
+    const imp = pendingImport;
+    if (!imp) return;
+    const mode = document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+    const existing = new Map(notes.index.notes.map(n => [n.name.toLowerCase(), n]));
+    imp.conflicts = mode === 'merge'
+      ? imp.notes.filter(n => existing.has(n.name.toLowerCase()))
+      : [];
+    document.getElementById('import-summary').textContent =
+      `${imp.notes.length} note${imp.notes.length !== 1 ? 's' : ''}, ` +
+      `${imp.folders.length} folder${imp.folders.length !== 1 ? 's' : ''} in archive.` +
+      (mode === 'replace' ? ` Replacing will delete all ${notes.index.notes.length} current notes.` : '');
+    const listEl = document.getElementById('import-conflicts');
+    if (!imp.conflicts.length) {
+      listEl.innerHTML = mode === 'merge' ? '<div class="search-result-empty">No name conflicts</div>' : '';
+      return;
+    }
+    listEl.innerHTML = `<div class="stat-label">NAME CONFLICTS (${imp.conflicts.length})</div>` +
+      imp.conflicts.map((n, i) => `
+        <div class="import-conflict">
+          <span class="import-conflict-name" title="${escapeHtml(n.path || n.name)}">${escapeHtml(n.name)}</span>
+          <select data-conflict="${i}">
+            <option value="skip">Skip (keep current)</option>
+            <option value="overwrite">Overwrite current</option>
+            <option value="both">Keep both</option>
+          </select>
+        </div>`).join('');
+  }
+
+  function applyImport() {
+    const imp = pendingImport;
+    const mode = document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+    const pinned = notes.index.pinned || (notes.index.pinned = []);
+    notes.flushCurrent();
+
+    if (mode === 'replace') {
+      notes.index.notes.forEach(n => notes.deleteNoteStorage(n.id));
+      notes.index.notes = [];
+      notes.index.folders = imp.folders.map(f => ({ ...f }));
+      notes.index.pinned = [];
+      imp.notes.forEach(n => {
+        const entry = { id: n.id, name: n.name };
+        if (n.folderId) entry.folderId = n.folderId;
+        notes.index.notes.push(entry);
+        if (n.pinned) notes.index.pinned.push(n.id);
+        notes.saveNoteContent(n.id, n.content);
+      });
+      if (!notes.index.notes.length) {
+        const id = notes.genId();
+        notes.index.notes.push({ id, name: 'Untitled' });
+        notes.saveNoteContent(id, '');
+      }
+      const active = notes.index.notes.find(n => n.id === imp.activeId) || notes.index.notes[0];
+      notes.index.activeId = active.id;
+      notes.saveIndex();
+      setContent(notes.loadNoteContent(active.id));
+      notes.renderList();
+      return { added: imp.notes.length, skipped: 0, overwritten: 0 };
+    }
+
+    // Merge: archive folders are matched to existing folders by path
+    const folderMap = new Map();
+    const archivePath = id => {
+      const parts = [];
+      let f = imp.folders.find(x => x.id === id);
+      while (f) { parts.unshift(f.name); f = imp.folders.find(x => x.id === f.parentId); }
+      return parts;
+    };
+    const ensureFolder = archiveId => {
+      if (!archiveId || !imp.folders.find(f => f.id === archiveId)) return null;
+      if (folderMap.has(archiveId)) return folderMap.get(archiveId);
+      let parentId = null;
+      archivePath(archiveId).forEach(name => {
+        let f = notes.index.folders.find(x => (x.parentId || null) === parentId && x.name === name);
+        if (!f) {
+          f = { id: 'f' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name, parentId, collapsed: false };
+          notes.index.folders.push(f);
+        }
+        parentId = f.id;
+      });
+      folderMap.set(archiveId, parentId);
+      return parentId;
+    };
+
+    const choices = new Map();
+    document.querySelectorAll('#import-conflicts select[data-conflict]').forEach(sel => {
+      choices.set(imp.conflicts[parseInt(sel.dataset.conflict)], sel.value);
+    });
+    const stats = { added: 0, skipped: 0, overwritten: 0 };
+    imp.notes.forEach(n => {
+      const choice = choices.get(n);
+      if (choice === 'skip') { stats.skipped++; return; }
+      const folderId = ensureFolder(n.folderId);
+      if (choice === 'overwrite') {
+        const target = notes.index.notes.find(x => x.name.toLowerCase() === n.name.toLowerCase());
+        notes.saveNoteContent(target.id, n.content);
+        stats.overwritten++;
+        return;
+      }
+      let name = n.name;
+      if (choice === 'both') {
+        const taken = notes.index.notes.map(x => x.name);
+        let count = 2;
+        while (taken.includes(name)) name = `${n.name} ${count++}`;
+      }
+      const id = notes.records[n.id] || notes.index.notes.some(x => x.id === n.id) ? notes.genId() : n.id;
+      const entry = { id, name };
+      if (folderId) entry.folderId = folderId;
+      notes.index.notes.push(entry);
+      if (n.pinned && !pinned.includes(id)) pinned.push(id);
+      notes.saveNoteContent(id, n.content);
+      stats.added++;
+    });
+    notes.saveIndex();
+    // The active note may have been overwritten
+    setContent(notes.loadNoteContent(notes.index.activeId));
+    notes.renderList();
+    return stats;
+  }
+
+  // ── BACKLINKS ────────────────────────────────────────────────
+  // Call fn(match, lineIdx) for every [[link]] outside code fences
+  function forEachWikiLink(text, fn) {
+    forEachUnfencedLine(text.split('\n'), (line, i) => {
+      if (!line.includes('[[')) return;
+      for (const m of line.matchAll(WIKILINK_RE)) fn(m, i, line);
+    });
+  }
+
+  function renderBacklinks() {
+    const panel = document.getElementById('backlinks');
+    const active = notes.index.notes.find(n => n.id === notes.index.activeId);
+    if (!panel) return;
+    // Local files are not part of the notes library and have no backlinks
+    panel.classList.toggle('hidden', !active);
+    if (!active) return;
+    const key = normalizeNoteName(active.name);
+    const found = [];
+    notes.index.notes.forEach(({ id, name }) => {
+      if (id === active.id) return;
+      forEachWikiLink(notes.loadNoteContent(id), (m, line, text) => {
+        if (normalizeNoteName(m[1]) !== key) return;
+        const snippet = escapeHtml(text.slice(0, m.index)) +
+          `<mark>${escapeHtml(m[0])}</mark>` + escapeHtml(text.slice(m.index + m[0].length));
+        found.push({ id, name, line, snippet });
+      });
+    });
+    document.getElementById('backlinks-count').textContent = found.length;
+    document.getElementById('backlinks-list').innerHTML = found.length
+      ? found.map(b => `
+        <div class="search-result-item" onclick="app._openBacklink('${b.id}', ${b.line})">
+          <div class="search-result-name">${escapeHtml(b.name)}<span class="search-result-folder">line ${b.line + 1}</span></div>
+          <div class="search-result-preview">${b.snippet}</div>
+        </div>`).join('')
+      : '<div class="search-result-empty">No notes link here</div>';
+  }
+
+  // Re-render rendered lines containing links (a link target appeared or vanished)
+  function refreshWikiLinks() {
+    lines.forEach((line, i) => {
+      if (!line.includes('[[')) return;
+      const lineEl = getLineEl(i);
+      if (lineEl && !lineEl.classList.contains('editing')) updateRendered(i);
+    });
+  }
+
+  // Point every [[oldName]] link in every note at newName
+  function rewriteWikiLinks(oldName, newName) {
+    const key = normalizeNoteName(oldName);
+    const rewrite = text => {
+      let changed = false;
+      const out = text.split('\n');
+      forEachUnfencedLine(out, (line, i) => {
+        if (!line.includes('[[')) return;
+        out[i] = line.replace(WIKILINK_RE, (all, target, alias) => {
+          if (normalizeNoteName(target) !== key) return all;
+          changed = true;
+          return `[[${newName}${alias || ''}]]`;
+        });
+      });
+      return changed ? out : null;
+    };
+    notes.index.notes.forEach(({ id }) => {
+      if (id === notes.index.activeId) {
+        const updated = rewrite(lines.join('\n'));
+        if (!updated) return;
+        lines = updated;
+        buildAllLines();
+        pushUndo();
+        scheduleAutosave();
+      } else {
+        const updated = rewrite(notes.loadNoteContent(id));
+        if (updated) notes.saveNoteContent(id, updated.join('\n'));
+      }
+    });
+  }
+
+  // ── SEARCH INDEX ─────────────────────────────────────────────
+  // Inverted index over note contents: term → Map(noteId → occurrences).
+  // Built lazily on the first search, then kept current by saveNoteContent
+  // and deleteNoteStorage so a query never re-reads every note.
+  const SEARCH_MAX_HITS = 20;   // matching lines listed per note
+
+  const tokenize = text => text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+  const searchIndex = {
+    built: false,
+    postings: new Map(),  // term → Map(id → count)
+    docs: new Map(),      // id → { terms: Map(term → count), lines: string[] (lowercased) }
+
+    ensure() {
+      if (this.built) return;
+      notes.index.notes.forEach(({ id }) => {
+        if (!noteLocks.isLocked(id)) this.update(id, notes.loadNoteContent(id));
+      });
+      this.built = true;
+    },
+
+    update(id, content) {
+      this.remove(id);
+      // Locked notes stay out of search; unlocked ones are searched as text
+      if (isLockedContent(content)) {
+        if (!noteLocks.open.has(id)) return;
+        content = noteLocks.open.get(id).text;
+      }
+      const terms = new Map();
+      tokenize(content).forEach(t => terms.set(t, (terms.get(t) || 0) + 1));
+      terms.forEach((count, term) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        this.postings.get(term).set(id, count);
+      });
+      this.docs.set(id, { terms, lines: content.toLowerCase().split('\n') });
+    },
+
+    remove(id) {
+      const doc = this.docs.get(id);
+      if (!doc) return;
+      doc.terms.forEach((_, term) => {
+        const posting = this.postings.get(term);
+        posting.delete(id);
+        if (!posting.size) this.postings.delete(term);
+      });
+      this.docs.delete(id);
+    },
+
+    // All indexed terms starting with prefix, so results update while typing
+    expand(prefix) {
+      const out = [];
+      this.postings.forEach((_, term) => { if (term.startsWith(prefix)) out.push(term); });
+      return out;
+    }
+  };
+
+  // Split a query into terms, "quoted phrases" and -exclusions (either kind)
+  function parseSearchQuery(query) {
+    const q = { terms: [], phrases: [], notTerms: [], notPhrases: [] };
+    const re = /(-?)(?:"([^"]*)"?|(\S+))/g;
+    let m;
+    while ((m = re.exec(query))) {
+      const neg = m[1] === '-';
+      if (m[2] !== undefined) {
+        const phrase = m[2].trim().toLowerCase();
+        if (phrase) (neg ? q.notPhrases : q.phrases).push(phrase);
+      } else {
+        const words = tokenize(m[3]);
+        if (!words.length) continue;
+        // "foo-bar" is one query item; treat it as the phrase "foo bar" when it splits
+        if (words.length > 1) (neg ? q.notPhrases : q.phrases).push(m[3].toLowerCase());
+        else (neg ? q.notTerms : q.terms).push(words[0]);
+      }
+    }
+    return q;
+  }
+
+  // Returns [{ id, name, folder, score, hits: [{ line, text }], more }] best first
+  function searchNotes(query) {
+    searchIndex.ensure();
+    const q = parseSearchQuery(query);
+    if (!q.terms.length && !q.phrases.length) return [];
+
+    const entries = notes.index.notes;
+    const total = entries.length || 1;
+    const nameTokens = new Map(entries.map(n => [n.id, tokenize(n.name)]));
+    const termPostings = q.terms.map(term => {
+      const postings = searchIndex.expand(term).map(t => searchIndex.postings.get(t));
+      const df = new Set(postings.flatMap(p => [...p.keys()])).size;
+      return { term, postings, idf: Math.log(1 + total / Math.max(df, 1)) };
+    });
+    const results = [];
+
+    entries.forEach(({ id, name, folderId }) => {
+      const doc = searchIndex.docs.get(id);
+      if (!doc) return;
+      const text = doc.lines.join('\n');
+      const nameLower = name.toLowerCase();
+      let score = 0;
+
+      for (const { term, postings, idf } of termPostings) {
+        const tf = postings.reduce((sum, p) => sum + (p.get(id) || 0), 0);
+        const inName = nameTokens.get(id).some(t => t.startsWith(term));
+        if (!tf && !inName) return;
+        score += (tf ? (1 + Math.log(tf)) * idf : 0) + (inName ? 3 : 0);
+      }
+      for (const phrase of q.phrases) {
+        const count = text.split(phrase).length - 1;
+        const inName = nameLower.includes(phrase);
+        if (!count && !inName) return;
+        score += 2 * (1 + Math.log(count || 1)) + (inName ? 3 : 0);
+      }
+      if (q.notTerms.some(t => doc.terms.has(t) || nameTokens.get(id).includes(t))) return;
+      if (q.notPhrases.some(p => text.includes(p) || nameLower.includes(p))) return;
+
+      const raw = notes.loadNoteContent(id).split('\n');
+      const hits = [];
+      let matched = 0;
+      doc.lines.forEach((line, idx) => {
+        const lineTokens = q.terms.length ? tokenize(line) : [];
+        const hit = q.phrases.some(p => line.includes(p)) ||
+          q.terms.some(term => lineTokens.some(t => t.startsWith(term)));
+        if (!hit) return;
+        matched++;
+        if (hits.length < SEARCH_MAX_HITS) hits.push({ line: idx, text: raw[idx] });
+      });
+      results.push({ id, name, folder: notes.folderPath(folderId), score, hits, more: matched - hits.length });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  }
+
+  // Highlight query terms (as word prefixes) and phrases inside one line of text
+  function highlightSearchLine(text, query) {
+    const q = parseSearchQuery(query);
+    const parts = [
+      ...q.phrases.map(escapeRegex),
+      ...q.terms.map(t => `(?<![\\p{L}\\p{N}_])${escapeRegex(t)}[\\p{L}\\p{N}_]*`)
+    ];
+    const re = new RegExp(parts.join('|'), 'giu');
+    // Keep long lines readable: start shortly before the first match
+    const first = text.search(re);
+    const start = first > 40 ? first - 30 : 0;
+    const shown = text.slice(start, start + 200);
+    let html = '', last = 0;
+    for (const m of shown.matchAll(re)) {
+      if (!m[0]) continue;
+      html += escapeHtml(shown.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+      last = m.index + m[0].length;
+    }
+    return (start > 0 ? '…' : '') + html + escapeHtml(shown.slice(last));
+  }
+
+  // ── NOTE LOCKS ───────────────────────────────────────────────
+  // A locked note is stored encrypted: its content is LOCK_PREFIX followed
+  // by JSON { kdf, iterations, salt, iv, data }, AES-GCM under a key derived
+  // from the passphrase with PBKDF2-SHA256. Everything that copies records
+  // around (library export, WebDAV, tab sync) therefore only ever sees the
+  // ciphertext. Unlocking keeps the key and the text in memory (noteLocks.open)
+  // until the note is locked again by hand or after AUTO_LOCK_MS without
+  // input; while open, saves are encrypted on their way to the store.
+  // A locked note reads as '' (loadNoteContent), is left out of search and
+  // revision history, and shows the lock screen instead of the editor.
+  const LOCK_PREFIX = 'markvoid-locked:';
+  const LOCK_ITERATIONS = 600000;
+  const AUTO_LOCK_MS = 5 * 60 * 1000;
+
+  const isLockedContent = content => typeof content === 'string' && content.startsWith(LOCK_PREFIX);
+
+  function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin);
+  }
+
+  function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+  }
+
+  const noteLocks = {
+    open: new Map(),   // id → { key, salt, iterations, text, saving }
+    timer: null,
+
+    isEncrypted(id) {
+      return isLockedContent(notes.records[id]?.content);
+    },
+
+    isLocked(id) {
+      return this.isEncrypted(id) && !this.open.has(id);
+    },
+
+    async deriveKey(passphrase, salt, iterations) {
+      const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+      return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    },
+
+    async encrypt(text, { key, salt, iterations }) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text)));
+      return LOCK_PREFIX + JSON.stringify({
+        kdf: 'PBKDF2-SHA256', iterations, salt: bytesToBase64(salt), iv: bytesToBase64(iv), data: bytesToBase64(data)
+      });
+    },
+
+    // The text of an envelope another tab saved, with an open note's key;
+    // null when it was locked again under a different passphrase
+    async read(content, { key, salt }) {
+      const box = JSON.parse(content.slice(LOCK_PREFIX.length));
+      if (box.salt !== bytesToBase64(salt)) return null;
+      try {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(box.iv) }, key, base64ToBytes(box.data));
+        return new TextDecoder().decode(plain);
+      } catch (_) {
+        return null;
+      }
+    },
+
+    // Rejects on a wrong passphrase (AES-GCM fails to authenticate)
+    async decrypt(content, passphrase) {
+      const box = JSON.parse(content.slice(LOCK_PREFIX.length));
+      const salt = base64ToBytes(box.salt);
+      const key = await this.deriveKey(passphrase, salt, box.iterations);
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(box.iv) }, key, base64ToBytes(box.data));
+      return { key, salt, iterations: box.iterations, text: new TextDecoder().decode(plain) };
+    },
+
+    // Encrypt a plain note under a new passphrase and lock it
+    async lock(id, passphrase) {
+      // No edits or autosaves while the key is derived; they would be lost
+      const active = id === notes.index.activeId;
+      if (active) {
+        clearTimeout(autosaveTimer);
+        container.inert = true;
+      }
+      try {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, LOCK_ITERATIONS);
+        // Read now: typed just before, or saved by a switch to another note
+        const text = id === notes.index.activeId ? lines.join('\n') : notes.loadNoteContent(id);
+        const envelope = await this.encrypt(text, { key, salt, iterations: LOCK_ITERATIONS });
+        if (!await notes.saveNoteContent(id, envelope)) return false;
+        // The plain text must not outlive the lock in history, including
+        // revisions still being written for earlier saves
+        delete lastRevision[id];
+        await revisionWrites[id];
+        await noteStore.deleteRevisions(id).catch(ex => console.warn('Deleting revisions failed', ex));
+        this.closeNote(id);
+        return true;
+      } finally {
+        if (active) container.inert = false;
+      }
+    },
+
+    async unlock(id, passphrase) {
+      const opened = await this.decrypt(notes.records[id].content, passphrase);
+      this.open.set(id, { ...opened, saving: Promise.resolve(true) });
+      if (searchIndex.built) searchIndex.update(id, notes.records[id].content);
+      if (id === notes.index.activeId) setContent(opened.text, noteViews[id]);
+      notes.renderList();
+      this.touch();
+    },
+
+    // Lock an open note again, after its last save is written
+    async relock(id) {
+      const entry = this.open.get(id);
+      if (!entry) return;
+      if (id === notes.index.activeId) {
+        clearTimeout(autosaveTimer);
+        notes.flushCurrent();
+      }
+      await entry.saving;
+      this.closeNote(id);
+    },
+
+    relockAll() {
+      return Promise.all([...this.open.keys()].map(id => this.relock(id)));
+    },
+
+    // Decrypt for good
+    async removeLock(id) {
+      const entry = this.open.get(id);
+      if (!entry) return;
+      if (id === notes.index.activeId) notes.flushCurrent();
+      await entry.saving;
+      this.open.delete(id);
+      await notes.storeNote(id, entry.text);
+      notes.renderList();
+    },
+
+    // Called by notes.saveNoteContent for an open note
+    save(id, text) {
+      const entry = this.open.get(id);
+      entry.text = text;
+      if (searchIndex.built) searchIndex.update(id, text);
+      entry.saving = entry.saving
+        .then(() => this.encrypt(text, entry))
+        .then(envelope => notes.storeNote(id, envelope))
+        .catch(ex => {
+          console.warn('Encrypting note failed', ex);
+          setSaveError(ex);
+          return false;
+        });
+      return entry.saving;
+    },
+
+    // Drop the key and text; the active note goes behind the lock screen
+    closeNote(id) {
+      this.open.delete(id);
+      searchIndex.remove(id);
+      if (id === notes.index.activeId) setContent('');
+      undoHistories.delete(id);
+      notes.renderList();
+    },
+
+    // Any input keeps open notes open for another AUTO_LOCK_MS
+    touch() {
+      if (!this.open.size) return;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.relockAll(), AUTO_LOCK_MS);
+    },
+
+    renderScreen() {
+      const id = notes.index.activeId;
+      const locked = !!id && this.isLocked(id);
+      document.getElementById('editor-pane').classList.toggle('locked', locked);
+      document.getElementById('lock-screen').classList.toggle('hidden', !locked);
+      if (!locked) return;
+      const name = notes.index.notes.find(n => n.id === id)?.name || 'This note';
+      document.getElementById('lock-screen-text').textContent = `"${name}" is locked.`;
+      if (container.contains(document.activeElement)) document.activeElement.blur();
+    }
+  };
+
+  // ── EDITOR BANNER ────────────────────────────────────────────
+  // Non-modal notice above the editor. actions: [{ label, run, primary? }].
+  // A banner with the same key replaces the previous one.
+  function showBanner(key, message, actions) {
+    const banner = document.getElementById('editor-banner');
+    banner.dataset.key = key;
+    banner.innerHTML = '';
+    const text = document.createElement('span');
+    text.className = 'banner-text';
+    text.textContent = message;
+    banner.appendChild(text);
+    (actions || []).forEach(({ label, run, primary }) => {
+      const btn = document.createElement('button');
+      btn.className = primary ? 'btn-primary' : 'btn-secondary';
+      btn.textContent = label;
+      btn.addEventListener('click', () => { hideBanner(key); run(); });
+      banner.appendChild(btn);
+    });
+    banner.classList.remove('hidden');
+  }
+
+  function hideBanner(key) {
+    const banner = document.getElementById('editor-banner');
+    if (key && banner.dataset.key !== key) return;
+    banner.classList.add('hidden');
+    banner.dataset.key = '';
+  }
+
+  // ── SERVICE WORKER ───────────────────────────────────────────
+  // sw.js serves the app shell from its cache so the editor boots offline.
+  // A newly deployed version installs next to the running one and waits;
+  // the banner lets the user switch over (and reload) when it suits them.
+  const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+  let updateAccepted = false;
+
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').then(reg => {
+      // Waiting from an earlier visit
+      if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+      // Browsers only look for a new sw.js on navigation; tabs stay open for days
+      setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    }).catch(ex => console.warn('Service worker registration failed', ex));
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!updateAccepted) return;
+      updateAccepted = false;
+      location.reload();
+    });
+  }
+
+  function offerUpdate(worker) {
+    showBanner('update', 'A new version of MarkVoid is available.', [
+      { label: 'Update', primary: true, run: () => {
+        updateAccepted = true;
+        // Let the open note reach storage before the page reloads
+        const id = notes.index.activeId;
+        Promise.resolve(id && notes.saveNoteContent(id, lines.join('\n')))
+          .then(() => worker.postMessage('skipWaiting'));
+      } },
+      { label: 'Later', run: () => {} }
+    ]);
+  }
+
+  // ── TAB SYNC ─────────────────────────────────────────────────
+  // Tabs share one IndexedDB but each holds its own lines[] and notes.index.
+  // After every successful write a tab tells the others, over a
+  // BroadcastChannel or, where that is missing, a storage event:
+  // { type: 'index', index } or { type: 'note', id, content, lastSaved }.
+  // The index is taken over apart from which note this tab has open. An open
+  // note without edits of its own is refreshed; one with unsaved edits gets a
+  // banner and is not autosaved until the user picks a version. Either way
+  // the other tab's save is also in Revision History.
+  const TAB_SYNC_KEY = 'mv_tab_sync';
+  const tabId = Math.random().toString(36).slice(2, 10);
+  const tabChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('markvoid') : null;
+  const tabSync = { conflict: null };   // id of the open note another tab saved over our edits
+
+  function broadcast(msg) {
+    msg = { ...msg, from: tabId };
+    if (tabChannel) { tabChannel.postMessage(msg); return; }
+    try {
+      localStorage.setItem(TAB_SYNC_KEY, JSON.stringify(msg));
+      localStorage.removeItem(TAB_SYNC_KEY);
+    } catch (_) {}
+  }
+
+  function receiveTabMessage(msg) {
+    // Nothing to merge into before the notes have loaded
+    if (!msg || msg.from === tabId || !notes.index.activeId) return;
+    if (msg.type === 'index') applyRemoteIndex(msg.index);
+    else if (msg.type === 'note') applyRemoteNote(msg.id, msg.content, msg.lastSaved);
+  }
+
+  function applyRemoteIndex(index) {
+    const activeId = notes.index.activeId;
+    const active = notes.index.notes.find(n => n.id === activeId);
+    const known = new Set(index.notes.map(n => n.id));
+    Object.keys(notes.records).forEach(id => {
+      if (known.has(id)) return;
+      delete notes.records[id];
+      searchIndex.remove(id);
+    });
+    notes.index = { ...index, activeId };
+
+    if (active && !known.has(activeId)) {
+      // Deleted over there: open another note, but offer our copy back
+      const content = lines.join('\n');
+      tabSync.conflict = null;
+      hideBanner('tab-conflict');
+      const next = notes.index.notes[0];
+      if (next) {
+        notes.index.activeId = next.id;
+        setContent(notes.loadNoteContent(next.id), noteViews[next.id]);
+        syncLocation(undefined, true);
+      }
+      showBanner('tab-deleted', `"${active.name}" was deleted in another tab.`, [
+        { label: 'Restore it', primary: true, run: () => restoreDeletedNote(active, content) },
+        { label: 'Dismiss', run: () => {} }
+      ]);
+    }
+    notes.renderList();
+    refreshWikiLinks();
+    renderBacklinks();
+  }
+
+  function restoreDeletedNote(entry, content) {
+    if (notes.index.notes.some(n => n.id === entry.id)) { notes.switchTo(entry.id); return; }
+    const restored = { ...entry };
+    if (restored.folderId && !notes.getFolder(restored.folderId)) delete restored.folderId;
+    notes.index.notes.push(restored);
+    notes.saveNoteContent(entry.id, content);
+    notes.switchTo(entry.id);
+  }
+
+  function applyRemoteNote(id, content, lastSaved) {
+    const previous = notes.records[id]?.content;
+    notes.records[id] = { id, content, lastSaved };
+    if (searchIndex.built) searchIndex.update(id, content);
+    if (isLockedContent(content)) {
+      if (noteLocks.open.has(id)) {
+        applyRemoteLockedNote(id, content);
+      } else if (id === notes.index.activeId) {
+        // Locked over there; edits made here since the last save are not dropped
+        if (isLockedContent(previous) || lines.join('\n') === (previous ?? '')) setContent('');
+        else reportLockedElsewhere(id);
+      }
+      return;
+    }
+    if (id !== notes.index.activeId) return;
+    reconcileTabNote(id, content, previous);
+  }
+
+  // A save to a note that is unlocked here too: read it with this tab's key
+  async function applyRemoteLockedNote(id, content) {
+    const entry = noteLocks.open.get(id);
+    const previous = entry.text;
+    const text = await noteLocks.read(content, entry);
+    // Overtaken by a newer save, or locked or unlocked here meanwhile
+    if (notes.records[id]?.content !== content || noteLocks.open.get(id) !== entry) return;
+    const active = id === notes.index.activeId;
+    if (text === null) {
+      // Locked again under another passphrase; this key no longer opens it
+      if (active && lines.join('\n') !== previous) {
+        noteLocks.open.delete(id);
+        searchIndex.remove(id);
+        reportLockedElsewhere(id);
+      } else {
+        noteLocks.closeNote(id);
+      }
+      return;
+    }
+    entry.text = text;
+    if (searchIndex.built) searchIndex.update(id, content);
+    if (active) reconcileTabNote(id, text, previous);
+  }
+
+  // content: the text another tab saved; previous: what it was before
+  function reconcileTabNote(id, content, previous) {
+    const local = lines.join('\n');
+    if (local === content) {
+      resolveTabConflict(null);
+    } else if (local === previous && tabSync.conflict !== id) {
+      // Nothing edited here since the last save: show theirs
+      setContent(content, currentView());
+      lastSavedContent = content;
+      setSaved();
+    } else {
+      reportTabConflict(id);
+    }
+  }
+
+  // The note can no longer be saved here; its text is kept until the user
+  // picks a way out
+  function reportLockedElsewhere(id) {
+    const local = lines.join('\n');
+    if (tabSync.conflict === id) {
+      tabSync.conflict = null;
+      hideBanner('tab-conflict');
+    }
+    clearTimeout(autosaveTimer);
+    autosaveEl.textContent = '⚠ LOCKED IN ANOTHER TAB';
+    autosaveEl.className = 'error';
+    const entry = notes.index.notes.find(n => n.id === id);
+    const name = entry?.name || 'This note';
+    showBanner('tab-locked', `"${name}" was locked in another tab while you were editing it here.`, [
+      { label: 'Keep mine as a copy', primary: true, run: () => {
+        const text = id === notes.index.activeId ? lines.join('\n') : local;
+        notes.createNote(name + ' Copy', entry?.folderId, false);
+        notes.saveNoteContent(notes.index.activeId, text);
+        setContent(text);
+      } },
+      { label: 'Discard mine', run: () => {
+        if (id === notes.index.activeId) setContent('');
+        setSaved();
+      } }
+    ]);
+  }
+
+  function reportTabConflict(id) {
+    tabSync.conflict = id;
+    clearTimeout(autosaveTimer);
+    autosaveEl.textContent = '⚠ CHANGED IN ANOTHER TAB';
+    autosaveEl.className = 'error';
+    const name = notes.index.notes.find(n => n.id === id)?.name || 'This note';
+    showBanner('tab-conflict', `"${name}" was saved in another tab while you were editing it here.`, [
+      { label: 'Load theirs', primary: true, run: () => resolveTabConflict('reload') },
+      { label: 'Keep mine', run: () => resolveTabConflict('keep') }
+    ]);
+  }
+
+  // choice: 'reload' | 'keep', or null when the versions agree again
+  function resolveTabConflict(choice) {
+    const id = tabSync.conflict;
+    if (!id) return;
+    tabSync.conflict = null;
+    hideBanner('tab-conflict');
+    if (id !== notes.index.activeId) return;
+    if (choice === 'keep') { saveDocument(); return; }
+    if (choice === 'reload') {
+      const content = notes.loadNoteContent(id);
+      setContent(content, currentView());
+      lastSavedContent = content;
+    }
+    setSaved();
+  }
+
+  // ── SHARE SESSION ────────────────────────────────────────────
+  // Several people editing one note at once through server/relay.js. The
+  // note's text is mirrored in an RGA (crdt.js): shortly after a local edit
+  // lines[] is diffed against it and the change goes out as ops; remote ops
+  // are merged into it and the lines they touched are rebuilt. Carets are
+  // sent as CRDT keys, so a peer's caret stays on its character while text
+  // moves around it, and are drawn as a marker in the gutter.
+  const COLLAB_RELAY_KEY = 'mv_collab_relay';
+  const COLLAB_NAME_KEY = 'mv_collab_name';
+  const COLLAB_FLUSH_DELAY = 50;
+  const COLLAB_PRESENCE_DELAY = 150;
+  const PEER_COLORS = ['#ff79c6', '#8be9fd', '#ffb86c', '#50fa7b', '#bd93f9', '#f1fa8c', '#ff5555', '#4fc3f7'];
+
+  const collab = {
+    ws: null,
+    doc: null,          // MarkvoidCRDT.RGA of the shared note; null when not sharing
+    noteId: null,
+    relay: '',
+    room: '',
+    name: '',
+    site: '',
+    color: '',
+    synced: '',         // the doc's text as last written to or read from lines[]
+    outbox: [],         // ops made while disconnected
+    peers: new Map(),   // site → { name, color, anchor, away }
+    flushTimer: null,
+    presenceTimer: null
+  };
+
+  function peerColor(site) {
+    let h = 0;
+    for (const ch of site) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    return PEER_COLORS[h % PEER_COLORS.length];
+  }
+
+  function collabConnect() {
+    const url = `${collab.relay.replace(/\/+$/, '')}/${encodeURIComponent(collab.room)}`;
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (ex) {
+      alert(`Could not connect to ${url}: ${ex.message || ex}`);
+      collabReset();
+      return;
+    }
+    collab.ws = ws;
+    updateCollabStatus();
+    ws.addEventListener('message', (e) => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch (_) { return; }
+      receiveCollabMessage(msg);
+    });
+    ws.addEventListener('close', () => {
+      if (collab.ws !== ws) return;   // left, or replaced by a reconnect
+      collab.ws = null;
+      if (!collab.doc) {
+        alert(`Could not join "${collab.room}" on ${collab.relay}.`);
+        collabReset();
+        return;
+      }
+      updateCollabStatus();
+      showBanner('collab', `Lost the connection to the shared session "${collab.room}". Edits are kept and sent when you reconnect.`, [
+        { label: 'Reconnect', primary: true, run: collabConnect },
+        { label: 'Leave session', run: () => app.leaveShare() }
+      ]);
+    });
+  }
+
+  function receiveCollabMessage(msg) {
+    if (msg.type === 'welcome') collabWelcome(msg);
+    else if (msg.type === 'ops') applyCollabOps(msg.ops);
+    else if (msg.type === 'presence') {
+      if (msg.site === collab.site) return;
+      collab.peers.set(msg.site, msg);
+      renderPresence();
+      updateCollabStatus();
+    } else if (msg.type === 'leave') {
+      collab.peers.delete(msg.site);
+      renderPresence();
+      updateCollabStatus();
+    }
+  }
+
+  function collabWelcome(msg) {
+    const joining = !collab.doc;
+    if (joining) {
+      collab.doc = new MarkvoidCRDT.RGA(collab.site);
+    } else {
+      collabFlush();
+    }
+    if (msg.seed) {
+      // Empty room: fill it with our note, or everything we had if the
+      // relay restarted under us
+      if (joining) {
+        collab.noteId = notes.index.activeId;
+        collab.synced = lines.join('\n');
+        collab.doc.insert(0, collab.synced);
+      }
+      collab.outbox = collab.doc.ops.slice();
+    } else {
+      const caret = collabCaret();
+      msg.ops.forEach(op => collab.doc.apply(op));
+      if (joining) {
+        // The room's text goes into the open note if it is empty or the
+        // same already, a new note otherwise
+        const text = collab.doc.text();
+        const current = lines.join('\n');
+        if (current !== '' && current !== text) {
+          const name = `Shared ${collab.room}`.replace(/[^a-zA-Z0-9_ ]/g, '').trim();
+          notes.createNote(name, undefined, false);
+        }
+        collab.noteId = notes.index.activeId;
+        collab.synced = lines.join('\n');
+      }
+      showCollabText(caret);
+    }
+    if (collab.outbox.length) collabSend(collab.outbox.splice(0));
+    collab.peers = new Map(msg.peers.filter(p => p.site !== collab.site).map(p => [p.site, p]));
+    hideBanner('collab');
+    sendPresence();
+    updateCollabStatus();
+  }
+
+  function applyCollabOps(ops) {
+    if (!collab.doc) return;
+    collabFlush();   // ours go first, so the caret key exists in the doc
+    const caret = collabCaret();
+    ops.forEach(op => collab.doc.apply(op));
+    showCollabText(caret);
+  }
+
+  // Where the caret is as a doc key, null when it is not in the shared note
+  function collabCaret() {
+    if (notes.index.activeId !== collab.noteId) return null;
+    const raw = getLineEl(activeLineIdx)?.querySelector('.line-raw');
+    if (!raw || document.activeElement !== raw) return null;
+    let offset = raw.selectionStart;
+    for (let i = 0; i < activeLineIdx; i++) offset += lines[i].length + 1;
+    return { key: collab.doc.keyAt(offset - 1) };
+  }
+
+  // Offset of a doc key → { line, col } in the synced text
+  function collabPosition(key) {
+    const offset = collab.doc.offsetAfter(key);
+    const before = collab.synced.slice(0, offset).split('\n');
+    return { line: before.length - 1, col: before[before.length - 1].length };
+  }
+
+  // Bring lines[] up to the doc after remote ops
+  function showCollabText(caret) {
+    const text = collab.doc.text();
+    if (text === collab.synced) return;
+    collab.synced = text;
+    if (notes.index.activeId !== collab.noteId) {
+      notes.saveNoteContent(collab.noteId, text);
+      return;
+    }
+    const next = text.split('\n');
+    let from = 0;
+    while (from < lines.length && from < next.length && lines[from] === next[from]) from++;
+    commitUndo();
+    lines = next;
+    rebaseUndo();
+    rebuildFromIndex(Math.min(from, lines.length - 1));
+    scheduleAutosave();
+    renderPresence();
+    if (caret) {
+      const pos = collabPosition(caret.key);
+      const scroll = document.getElementById('editor-pane').scrollTop;
+      requestAnimationFrame(() => restoreView({ ...pos, scroll }));
+    }
+  }
+
+  function scheduleCollabFlush() {
+    if (!collab.doc) return;
+    clearTimeout(collab.flushTimer);
+    collab.flushTimer = setTimeout(collabFlush, COLLAB_FLUSH_DELAY);
+  }
+
+  // Turn the edits made to the shared note since the last flush into ops
+  function collabFlush() {
+    clearTimeout(collab.flushTimer);
+    if (!collab.doc || notes.index.activeId !== collab.noteId) return;
+    const text = lines.join('\n');
+    if (text === collab.synced) return;
+    const { pos, del, ins } = MarkvoidCRDT.diffText(collab.synced, text);
+    const ops = [collab.doc.remove(pos, del), collab.doc.insert(pos, ins)].filter(Boolean);
+    collab.synced = text;
+    collabSend(ops);
+    renderPresence();
+  }
+
+  function collabSend(ops) {
+    if (!ops.length) return;
+    if (collab.ws && collab.ws.readyState === WebSocket.OPEN) {
+      collab.ws.send(JSON.stringify({ type: 'ops', ops }));
+    } else {
+      collab.outbox.push(...ops);
+    }
+  }
+
+  function scheduleCollabPresence() {
+    if (!collab.ws) return;
+    clearTimeout(collab.presenceTimer);
+    collab.presenceTimer = setTimeout(sendPresence, COLLAB_PRESENCE_DELAY);
+  }
+
+  function sendPresence() {
+    clearTimeout(collab.presenceTimer);
+    if (!collab.ws || collab.ws.readyState !== WebSocket.OPEN) return;
+    collabFlush();
+    const caret = collabCaret();
+    collab.ws.send(JSON.stringify({
+      type: 'presence',
+      site: collab.site,
+      name: collab.name,
+      color: collab.color,
+      anchor: caret ? caret.key : null,
+      away: !caret
+    }));
+    renderPresence();
+  }
+
+  // Tint the lines peers are on and put their initial in the gutter
+  function renderPresence() {
+    container.querySelectorAll('.peer-marker').forEach(el => el.remove());
+    container.querySelectorAll('.peer-line').forEach(el => {
+      el.classList.remove('peer-line');
+      el.style.removeProperty('--peer-color');
+    });
+    if (!collab.doc || notes.index.activeId !== collab.noteId) return;
+    collab.peers.forEach(peer => {
+      if (peer.away) return;
+      const lineEl = getLineEl(collabPosition(peer.anchor).line);
+      if (!lineEl) return;
+      lineEl.classList.add('peer-line');
+      lineEl.style.setProperty('--peer-color', peer.color);
+      const marker = document.createElement('span');
+      marker.className = 'peer-marker';
+      marker.style.background = peer.color;
+      marker.textContent = (peer.name || '?').charAt(0).toUpperCase();
+      marker.title = peer.name;
+      lineEl.querySelector('.line-gutter').prepend(marker);
+    });
+  }
+
+  function updateCollabStatus() {
+    const el = document.getElementById('status-collab');
+    el.classList.toggle('hidden', !collab.room);
+    if (!collab.room) return;
+    const open = collab.ws && collab.ws.readyState === WebSocket.OPEN;
+    const others = collab.peers.size;
+    el.textContent = !collab.ws ? `⇄ ${collab.room} · offline`
+      : !open ? `⇄ ${collab.room} · connecting…`
+      : `⇄ ${collab.room} · ${others ? `${others} other${others === 1 ? '' : 's'}` : 'alone'}`;
+    el.title = [...collab.peers.values()].map(p => p.name).join(', ');
+    el.classList.toggle('offline', !open);
+  }
+
+  function collabReset() {
+    const ws = collab.ws;
+    clearTimeout(collab.flushTimer);
+    clearTimeout(collab.presenceTimer);
+    Object.assign(collab, { ws: null, doc: null, noteId: null, room: '', synced: '', outbox: [], peers: new Map() });
+    if (ws) ws.close();
+    hideBanner('collab');
+    renderPresence();
+    updateCollabStatus();
+  }
+
+  // ── LOCAL FOLDER (File System Access API) ────────────────────
+  // A directory opened from disk is listed below the notes. Its .md files
+  // are edited in place: they use ids of the form "fs:<relative path>" and
+  // notes.saveNoteContent/loadNoteContent route those ids here.
+  const FILE_ID_PREFIX = 'fs:';
+  const isFileId = id => typeof id === 'string' && id.startsWith(FILE_ID_PREFIX);
+
+  const localFolder = {
+    dir: null,            // FileSystemDirectoryHandle
+    needsPermission: false,
+    files: new Map(),     // id → { id, path, handle, content, lastModified, pending? }
+    conflict: null,       // id whose on-disk copy changed under us
+
+    supported() {
+      return typeof window.showDirectoryPicker === 'function';
+    },
+
+    async open() {
+      if (!this.supported()) {
+        alert('Opening folders needs the File System Access API (Chromium-based browsers).');
+        return;
+      }
+      let dir;
+      try {
+        dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+      } catch (_) { return; } // picker cancelled
+      this.dir = dir;
+      this.needsPermission = false;
+      noteStore.putMeta('dirHandle', dir).catch(() => {});
+      await this.scan();
+    },
+
+    // Reattach the folder remembered from the last session
+    async restore() {
+      if (!this.supported()) return;
+      let dir;
+      try { dir = await noteStore.getMeta('dirHandle'); } catch (_) { return; }
+      if (!dir) return;
+      this.dir = dir;
+      if (await dir.queryPermission({ mode: 'readwrite' }) === 'granted') await this.scan();
+      else { this.needsPermission = true; this.render(); }
+    },
+
+    // Permission prompts need a user gesture, hence the Reconnect button
+    async reconnect() {
+      if (!this.dir) return;
+      if (await this.dir.requestPermission({ mode: 'readwrite' }) !== 'granted') return;
+      this.needsPermission = false;
+      await this.scan();
+    },
+
+    close() {
+      if (isFileId(notes.index.activeId)) {
+        notes.flushCurrent();
+        const fallback = notes.index.notes[0];
+        if (fallback) notes.switchTo(fallback.id);
+      }
+      this.dir = null;
+      this.files.clear();
+      this.needsPermission = false;
+      noteStore.putMeta('dirHandle', undefined).catch(() => {});
+      this.render();
+    },
+
+    async scan() {
+      if (!this.dir) return;
+      const found = new Map();
+      const walk = async (dir, prefix) => {
+        for await (const [name, handle] of dir.entries()) {
+          if (name.startsWith('.') || name === 'node_modules') continue;
+          const path = prefix + name;
+          if (handle.kind === 'directory') await walk(handle, path + '/');
+          else if (/\.(md|markdown)$/i.test(name)) {
+            const id = FILE_ID_PREFIX + path;
+            found.set(id, this.files.get(id) || { id, path, handle, content: null, lastModified: 0 });
+          }
+        }
+      };
+      try {
+        await walk(this.dir, '');
+      } catch (ex) {
+        alert(`Could not read folder: ${ex.message || ex}`);
+        return;
+      }
+      this.files = new Map([...found.entries()].sort((a, b) => a[1].path.localeCompare(b[1].path)));
+      this.render();
+    },
+
+    async load(id) {
+      const file = this.files.get(id);
+      const disk = await file.handle.getFile();
+      file.content = await disk.text();
+      file.lastModified = disk.lastModified;
+      return file.content;
+    },
+
+    async openFile(id) {
+      const file = this.files.get(id);
+      if (!file) return;
+      try {
+        if (file.content === null) await this.load(id);
+      } catch (ex) {
+        alert(`Could not open "${file.path}": ${ex.message || ex}`);
+        return;
+      }
+      notes.switchTo(id);
+    },
+
+    // Write back to disk unless the file changed there since we read it;
+    // in that case ask first. Resolves true when the write happened.
+    async save(id, content, force) {
+      const file = this.files.get(id);
+      if (!file) {
+        // Gone from disk or the folder was closed; callers expect the error shown
+        setSaveError(new Error(`${id.slice(FILE_ID_PREFIX.length)} is no longer in the open folder`));
+        return false;
+      }
+      if (!force && content === file.content) return true;
+      try {
+        if (!force) {
+          const disk = await file.handle.getFile();
+          if (disk.lastModified !== file.lastModified && await disk.text() !== file.content) {
+            // Kept for "Keep mine", which may come after the file was left
+            file.pending = content;
+            this.reportConflict(id);
+            return false;
+          }
+        }
+        const writable = await file.handle.createWritable();
+        await writable.write(content);
+        await writable.close();
+        file.content = content;
+        delete file.pending;
+        file.lastModified = (await file.handle.getFile()).lastModified;
+        if (this.conflict === id) { this.conflict = null; hideBanner('fs-conflict'); }
+        return true;
+      } catch (ex) {
+        console.warn('Writing file failed', ex);
+        setSaveError(ex);
+        return false;
+      }
+    },
+
+    reportConflict(id) {
+      if (this.conflict === id) return;
+      this.conflict = id;
+      const file = this.files.get(id);
+      autosaveEl.textContent = '⚠ CHANGED ON DISK';
+      autosaveEl.className = 'error';
+      showBanner('fs-conflict', `"${file.path}" was changed on disk since it was opened.`, [
+        { label: 'Reload from disk', primary: true, run: () => this.resolveConflict(id, 'reload') },
+        { label: 'Keep mine', run: () => this.resolveConflict(id, 'keep') }
+      ]);
+    },
+
+    async resolveConflict(id, choice) {
+      this.conflict = null;
+      if (choice === 'keep') {
+        const file = this.files.get(id);
+        const content = id === notes.index.activeId ? lines.join('\n') : file.pending ?? file.content;
+        if (await this.save(id, content, true)) setSaved();
+        return;
+      }
+      delete this.files.get(id).pending;
+      const content = await this.load(id);
+      if (id === notes.index.activeId) {
+        setContent(content);
+        lastSavedContent = content;
+        setSaved();
+      }
+    },
+
+    // Called when the window regains focus: notice edits made by other programs
+    async checkActive() {
+      const id = notes.index.activeId;
+      const file = isFileId(id) && this.files.get(id);
+      if (!file || this.conflict) return;
+      try {
+        const disk = await file.handle.getFile();
+        if (disk.lastModified === file.lastModified) return;
+        const text = await disk.text();
+        if (text === file.content) { file.lastModified = disk.lastModified; return; }
+        this.reportConflict(id);
+      } catch (_) {}
+    },
+
+    async newFile() {
+      if (!this.dir) return;
+      let name = (prompt('New file name:', 'untitled.md') || '').trim();
+      if (!name) return;
+      if (!/\.(md|markdown)$/i.test(name)) name += '.md';
+      try {
+        await this.dir.getFileHandle(name, { create: true });
+      } catch (ex) {
+        alert(`Could not create "${name}": ${ex.message || ex}`);
+        return;
+      }
+      await this.scan();
+      this.openFile(FILE_ID_PREFIX + name);
+    },
+
+    render() {
+      const section = document.getElementById('folder-section');
+      const list = document.getElementById('folder-list');
+      if (!section || !list) return;
+      section.classList.toggle('hidden', !this.dir);
+      if (!this.dir) return;
+      document.getElementById('folder-title').textContent = this.dir.name.toUpperCase();
+      list.innerHTML = '';
+      if (this.needsPermission) {
+        const btn = document.createElement('button');
+        btn.className = 'btn-secondary folder-reconnect';
+        btn.textContent = 'Reconnect folder';
+        btn.addEventListener('click', () => this.reconnect());
+        list.appendChild(btn);
+        return;
+      }
+      if (!this.files.size) {
+        list.innerHTML = '<div class="search-result-empty">No .md files</div>';
+        return;
+      }
+      this.files.forEach(({ id, path }) => {
+        const row = document.createElement('div');
+        row.className = 'note-entry file-entry' + (id === notes.index.activeId ? ' active' : '');
+        row.dataset.id = id;
+        row.title = path;
+
+        const icon = document.createElement('div');
+        icon.className = 'note-icon';
+        icon.textContent = '◇';
+
+        const nameEl = document.createElement('div');
+        nameEl.className = 'note-name';
+        nameEl.textContent = path;
+
+        row.appendChild(icon);
+        row.appendChild(nameEl);
+        row.addEventListener('click', () => this.openFile(id));
+        list.appendChild(row);
+      });
+    }
+  };
+
+  window.addEventListener('focus', () => localFolder.checkActive());
+
+  // ── WEBDAV SYNC ──────────────────────────────────────────────
+  // Mirrors the notes library to a folder on a WebDAV server: one <id>.md
+  // per note plus index.json with the names, folders and pins. Sync is
+  // two-way and incremental. For every note the state after the last sync
+  // (the server's ETag, our lastSaved and a CRC of the text) is kept in
+  // IndexedDB meta 'webdavState'; whichever side moved since then is copied
+  // to the other.
+  // When both moved, ours stays in the note and the server's is added next
+  // to it as a conflict copy. Writes carry If-Match / If-None-Match, so a
+  // file another machine changed in the meantime is left for the next sync
+  // rather than overwritten. The server has to allow this page's origin
+  // (CORS), e.g. rclone serve webdav --allow-origin '*'.
+  const WEBDAV_KEY = 'mv_webdav';
+  const WEBDAV_PASSWORD_KEY = 'mv_webdav_password';   // sessionStorage, when not remembered
+  const WEBDAV_INDEX_FILE = 'index.json';
+  const WEBDAV_INTERVAL = 5 * 60 * 1000;
+  const WEBDAV_AFTER_SAVE_DELAY = 15 * 1000;
+  const SYNCABLE_ID = /^[\w-]+$/;
+
+  const webdav = {
+    config: null,      // { url, user, password, remember }
+    running: null,     // promise of the sync in progress
+    timer: null,
+    interval: null,
+    lastResult: '',
+
+    restore() {
+      try {
+        this.config = JSON.parse(localStorage.getItem(WEBDAV_KEY)) || null;
+        if (this.config?.remember === false) this.config.password = sessionStorage.getItem(WEBDAV_PASSWORD_KEY);
+      } catch (_) {}
+      if (!this.config) return;
+      if (this.needsPassword()) {
+        this.lastResult = 'Enter the password to sync again.';
+        return;
+      }
+      this.start();
+    },
+
+    // A password that is not remembered lives in sessionStorage, so it
+    // survives reloads but not closing the tab
+    saveConfig() {
+      try {
+        sessionStorage.removeItem(WEBDAV_PASSWORD_KEY);
+        if (!this.config) { localStorage.removeItem(WEBDAV_KEY); return; }
+        const { password, ...rest } = this.config;
+        if (rest.remember !== false) {
+          localStorage.setItem(WEBDAV_KEY, JSON.stringify(this.config));
+          return;
+        }
+        localStorage.setItem(WEBDAV_KEY, JSON.stringify(rest));
+        sessionStorage.setItem(WEBDAV_PASSWORD_KEY, password || '');
+      } catch (_) {}
+    },
+
+    // Set up without a remembered password and none given since
+    needsPassword() {
+      return !!this.config?.user && this.config.password == null;
+    },
+
+    configure(config) {
+      this.config = config;
+      this.saveConfig();
+      noteStore.putMeta('webdavState', undefined).catch(() => {});
+      clearInterval(this.interval);
+      clearTimeout(this.timer);
+      this.lastResult = '';
+      if (config) this.start();
+    },
+
+    start() {
+      clearInterval(this.interval);
+      this.interval = setInterval(() => this.sync(), WEBDAV_INTERVAL);
+      this.sync();
+    },
+
+    // Called after local saves; sync's own saves do not count
+    scheduleSync() {
+      if (!this.config || this.running) return;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.sync(), WEBDAV_AFTER_SAVE_DELAY);
+    },
+
+    // One sync at a time, and in one tab at a time where Web Locks exist
+    sync() {
+      if (!this.config || this.needsPassword()) return Promise.resolve(false);
+      if (!this.running) {
+        const run = navigator.locks
+          ? navigator.locks.request('markvoid-webdav', { ifAvailable: true }, lock => lock ? this.run() : false)
+          : this.run();
+        this.running = run.finally(() => { this.running = null; });
+      }
+      return this.running;
+    },
+
+    async request(method, name, { body, headers = {}, allow = [] } = {}) {
+      const { url, user, password } = this.config;
+      if (user) headers.Authorization = 'Basic ' + btoa(unescape(encodeURIComponent(`${user}:${password || ''}`)));
+      const res = await fetch(url.replace(/\/*$/, '/') + encodeURIComponent(name), { method, headers, body, cache: 'no-store' });
+      if (!res.ok && !allow.includes(res.status)) {
+        throw new Error(`${method} ${name || url}: ${res.status} ${res.statusText}`.trim());
+      }
+      return res;
+    },
+
+    // File name → ETag of everything in the folder, creating the folder on first use
+    async list() {
+      const res = await this.request('PROPFIND', '', {
+        headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+        body: '<?xml version="1.0" encoding="utf-8"?><propfind xmlns="DAV:"><prop><getetag/></prop></propfind>',
+        allow: [404]
+      });
+      if (res.status === 404) {
+        await this.request('MKCOL', '');
+        return new Map();
+      }
+      const xml = new DOMParser().parseFromString(await res.text(), 'application/xml');
+      const files = new Map();
+      for (const response of xml.getElementsByTagNameNS('DAV:', 'response')) {
+        const href = response.getElementsByTagNameNS('DAV:', 'href')[0]?.textContent || '';
+        const etag = response.getElementsByTagNameNS('DAV:', 'getetag')[0]?.textContent;
+        if (!etag || href.endsWith('/')) continue;   // the folder itself, subfolders
+        files.set(decodeURIComponent(href.split('/').pop()), etag);
+      }
+      return files;
+    },
+
+    async get(name) {
+      return (await this.request('GET', name)).text();
+    },
+
+    // etag: the version we expect to replace, null for a new file. Resolves
+    // to the new ETag, null when the server does not tell, false when the
+    // file changed under us (412).
+    async put(name, body, etag) {
+      const res = await this.request('PUT', name, {
+        body,
+        headers: {
+          'Content-Type': name.endsWith('.json') ? 'application/json' : 'text/markdown; charset=utf-8',
+          ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+        },
+        allow: [412]
+      });
+      if (res.status === 412) return false;
+      return res.headers.get('ETag');
+    },
+
+    async run() {
+      const active = notes.index.activeId;
+      if (active && lines.join('\n') !== notes.loadNoteContent(active)) notes.flushCurrent();
+      clearTimeout(this.timer);
+      this.setStatus('⇅ SYNCING…', 'saving');
+      const url = this.config.url;
+      let conflicts = 0;
+      try {
+        let state = await noteStore.getMeta('webdavState').catch(() => null);
+        if (!state || state.url !== url) state = { url, files: {}, index: null, indexEtag: null };
+        const remote = await this.list();
+
+        // The server's index, fetched only when it changed
+        const indexEtag = remote.get(WEBDAV_INDEX_FILE) || null;
+        let remoteIndex = null;
+        if (indexEtag && indexEtag === state.indexEtag) remoteIndex = state.index;
+        else if (indexEtag) remoteIndex = JSON.parse(await this.get(WEBDAV_INDEX_FILE));
+
+        const ids = new Set([...notes.index.notes.map(n => n.id), ...Object.keys(state.files)]);
+        remote.forEach((_, name) => { if (name.endsWith('.md')) ids.add(name.slice(0, -3)); });
+        const unknownEtags = [];
+        // Notes pulled, copied or removed below change the index in memory only
+        let indexChanged = false;
+        const crcOf = text => crc32(new TextEncoder().encode(text));
+        const record = (id, etag, { content, lastSaved }) => {
+          state.files[id] = { etag, lastSaved, crc: crcOf(content) };
+          if (etag === null) unknownEtags.push(id);
+        };
+
+        for (const id of ids) {
+          if (!SYNCABLE_ID.test(id)) continue;
+          const name = `${id}.md`;
+          const entry = notes.index.notes.find(n => n.id === id);
+          const local = entry && (notes.records[id] || { content: '', lastSaved: 0 });
+          const etag = remote.get(name);
+          const base = state.files[id];
+          // Saved since, and not just saved again unchanged
+          const localChanged = local && (!base || (local.lastSaved > base.lastSaved && crcOf(local.content) !== base.crc));
+          const remoteChanged = etag && (!base || etag !== base.etag);
+
+          if (local && !etag) {
+            // Deleted on the server, unless we edited it since (or it is our last note)
+            if (base && !localChanged && notes.index.notes.length > 1) {
+              this.removeLocal(id);
+              indexChanged = true;
+              delete state.files[id];
+              continue;
+            }
+            const newEtag = await this.put(name, local.content, null);
+            if (newEtag !== false) record(id, newEtag, local);
+          } else if (!local && etag) {
+            if (base && !remoteChanged) {
+              // Deleted here
+              const res = await this.request('DELETE', name, { headers: { 'If-Match': etag }, allow: [404, 412] });
+              if (res.status !== 412) delete state.files[id];
+              continue;
+            }
+            const content = await this.get(name);
+            const remoteEntry = remoteIndex?.notes?.find(n => n.id === id);
+            notes.index.notes.push(remoteEntry ? { ...remoteEntry } : { id, name: 'Untitled' });
+            indexChanged = true;
+            notes.saveNoteContent(id, content);
+            recordRevision(id, content, true);
+            record(id, etag, notes.records[id]);
+          } else if (local && etag) {
+            if (!localChanged && !remoteChanged) continue;
+            if (!remoteChanged) {
+              const newEtag = await this.put(name, local.content, base.etag);
+              if (newEtag !== false) record(id, newEtag, local);
+              continue;
+            }
+            const content = await this.get(name);
+            if (!localChanged || content === local.content) {
+              if (this.updateLocal(id, content)) record(id, etag, notes.records[id]);
+              continue;
+            }
+            // Both sides edited: theirs becomes a conflict copy, ours goes up
+            const copy = this.addConflictCopy(entry, content);
+            indexChanged = true;
+            record(copy.id, await this.put(`${copy.id}.md`, content, null) || null, copy);
+            const newEtag = await this.put(name, local.content, etag);
+            if (newEtag !== false) record(id, newEtag, local);
+            conflicts++;
+          }
+        }
+
+        // Names, folders and pins
+        const merged = mergeSyncIndex(state.index, syncIndexOf(notes.index), remoteIndex);
+        if (JSON.stringify(merged) !== JSON.stringify(syncIndexOf(notes.index))) {
+          Object.assign(notes.index, merged);
+          indexChanged = true;
+        }
+        // Before the sync state, or a reload would take pulled notes for
+        // ones deleted here
+        if (indexChanged) await notes.saveIndex();
+        state.index = merged;
+        state.indexEtag = indexEtag;
+        if (JSON.stringify(merged) !== JSON.stringify(remoteIndex)) {
+          const newEtag = await this.put(WEBDAV_INDEX_FILE, JSON.stringify(merged, null, 2), indexEtag);
+          // Changed over there meanwhile: both sides are merged again next time
+          if (newEtag === false) state.indexEtag = null;
+          else state.indexEtag = newEtag;
+          if (newEtag === null) unknownEtags.push(WEBDAV_INDEX_FILE);
         }
-      });
+
+        // The server did not send ETags back (not exposed over CORS?): ask for them
+        if (unknownEtags.length) {
+          const fresh = await this.list();
+          unknownEtags.forEach(id => {
+            if (id === WEBDAV_INDEX_FILE) state.indexEtag = fresh.get(id) || null;
+            else if (state.files[id]) state.files[id].etag = fresh.get(`${id}.md`) || null;
+          });
+        }
+        await noteStore.putMeta('webdavState', state).catch(() => {});
+
+        notes.renderList();
+        refreshWikiLinks();
+        renderBacklinks();
+        const time = new Date().toLocaleTimeString();
+        if (conflicts) {
+          this.lastResult = `Synced at ${time}; ${conflicts} conflict${conflicts === 1 ? '' : 's'} kept as copies.`;
+          this.setStatus(`⚠ ${conflicts} SYNC CONFLICT${conflicts === 1 ? '' : 'S'}`, 'error', this.lastResult);
+        } else {
+          this.lastResult = `Synced at ${time}.`;
+          this.setStatus('✓ SYNCED', 'saved', this.lastResult);
+          setTimeout(() => { if (autosaveEl.textContent === '✓ SYNCED') setSaved(); }, 1800);
+        }
+        return true;
+      } catch (ex) {
+        console.warn('WebDAV sync failed', ex);
+        this.lastResult = `Sync failed: ${ex.message || ex}`;
+        this.setStatus('✕ SYNC FAILED', 'error', this.lastResult);
+        return false;
+      } finally {
+        const status = document.getElementById('sync-status');
+        if (status) status.textContent = this.lastResult;
+      }
+    },
+
+    setStatus(text, className, title) {
+      autosaveEl.textContent = text;
+      autosaveEl.className = className;
+      autosaveEl.title = title || '';
+    },
+
+    // Take the server's copy of a note; false when it is being edited here
+    updateLocal(id, content) {
+      if (id === notes.index.activeId) {
+        if (lines.join('\n') !== notes.loadNoteContent(id)) return false;
+        // An encrypted note is shown (locked) once saved below
+        if (!isLockedContent(content)) setContent(content, currentView());
+        lastSavedContent = content;
+      }
+      notes.saveNoteContent(id, content);
+      recordRevision(id, content, true);
+      return true;
+    },
+
+    removeLocal(id) {
+      notes.index.notes = notes.index.notes.filter(n => n.id !== id);
+      notes.deleteNoteStorage(id);
+      forgetView(id);
+      if (id !== notes.index.activeId) return;
+      const next = notes.index.notes[0];
+      notes.index.activeId = next.id;
+      setContent(notes.loadNoteContent(next.id), noteViews[next.id]);
+      syncLocation(undefined, true);
+    },
+
+    // Put the server's version next to ours as "<name> conflict <date>"
+    addConflictCopy(entry, content) {
+      const d = new Date();
+      const pad = n => String(n).padStart(2, '0');
+      const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())} ${pad(d.getHours())}${pad(d.getMinutes())}`;
+      const base = `${entry.name} conflict ${stamp}`;
+      const names = notes.index.notes.map(n => n.name);
+      let name = base;
+      for (let i = 2; names.includes(name); i++) name = `${base} ${i}`;
+      const id = notes.genId();
+      const copy = { id, name };
+      if (entry.folderId) copy.folderId = entry.folderId;
+      notes.index.notes.splice(notes.index.notes.indexOf(entry) + 1, 0, copy);
+      notes.saveNoteContent(id, content);
+      return notes.records[id];
     }
-    scheduleAutosave();
-    pushUndo();
+  };
+
+  // The part of notes.index that is synced
+  function syncIndexOf(index) {
+    return {
+      notes: index.notes.filter(n => SYNCABLE_ID.test(n.id)),
+      folders: index.folders || [],
+      pinned: index.pinned || []
+    };
   }
 
-  // ── HTML → MARKDOWN ──────────────────────────────────────────
-  function htmlToMarkdown(html) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    return nodeToMarkdown(doc.body).trim();
+  // Three-way merge of the synced index. Which notes exist was settled file
+  // by file already; here an entry takes the side that changed since base,
+  // ours when both did.
+  function mergeSyncIndex(base, local, remote) {
+    if (!remote) return local;
+    base = base || { notes: [], folders: [], pinned: [] };
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const byId = list => new Map((list || []).map(x => [x.id, x]));
+    const baseNotes = byId(base.notes), remoteNotes = byId(remote.notes);
+    const notesOut = local.notes.map(n => {
+      const r = remoteNotes.get(n.id);
+      return r && same(n, baseNotes.get(n.id)) ? { ...r } : n;
+    });
+
+    const baseFolders = byId(base.folders), localFolders = byId(local.folders), remoteFolders = byId(remote.folders);
+    const folders = [];
+    [...localFolders.keys(), ...[...remoteFolders.keys()].filter(id => !localFolders.has(id))].forEach(id => {
+      const l = localFolders.get(id), r = remoteFolders.get(id), b = baseFolders.get(id);
+      if (l && r) folders.push(same(l, b) ? r : l);
+      else if (l) { if (!same(l, b)) folders.push(l); }     // deleted there unless changed here
+      else if (!same(r, b)) folders.push(r);                 // deleted here unless changed there
+    });
+    const folderIds = new Set(folders.map(f => f.id));
+    folders.forEach(f => { if (f.parentId && !folderIds.has(f.parentId)) f.parentId = null; });
+    notesOut.forEach(n => { if (n.folderId && !folderIds.has(n.folderId)) delete n.folderId; });
+
+    const noteIds = new Set(notesOut.map(n => n.id));
+    const pinned = (same(local.pinned, base.pinned) ? remote.pinned || [] : local.pinned).filter(id => noteIds.has(id));
+    return { notes: notesOut, folders, pinned };
   }
 
-  function nodeToMarkdown(node) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      return node.textContent;
+  // ── NOTE VIEWS & NAVIGATION ──────────────────────────────────
+  // Each note remembers where the caret and scroll were when it was last
+  // open (mv_note_views: id → { line, col, scroll, at }); switching back
+  // restores them, and `at` orders the note switcher. Alt+←/→ walk a
+  // back/forward stack of { id, line } positions, pushed when a note is
+  // left and before jumps to a distant line.
+  const NOTE_VIEWS_MAX = 200;
+  const NAV_HISTORY_MAX = 50;
+  const NAV_MIN_DISTANCE = 10;  // shorter jumps are not worth a history entry
+
+  let noteViews = loadNoteViews();
+  const navHistory = { back: [], forward: [] };
+  let navigating = false;     // moving through the history; record nothing
+
+  function loadNoteViews() {
+    try { return JSON.parse(localStorage.getItem('mv_note_views')) || {}; } catch (_) { return {}; }
+  }
+
+  function currentView() {
+    const raw = getLineEl(activeLineIdx)?.querySelector('.line-raw');
+    return {
+      line: activeLineIdx,
+      col: raw && document.activeElement === raw ? raw.selectionStart : 0,
+      scroll: document.getElementById('editor-pane').scrollTop
+    };
+  }
+
+  // Store the active note's view; called when it is left or saved
+  function rememberView() {
+    const id = notes.index.activeId;
+    if (!id) return;
+    noteViews[id] = { ...currentView(), at: Date.now() };
+    const ids = Object.keys(noteViews);
+    if (ids.length > NOTE_VIEWS_MAX) {
+      ids.sort((a, b) => noteViews[b].at - noteViews[a].at)
+        .slice(NOTE_VIEWS_MAX).forEach(old => delete noteViews[old]);
     }
-    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    try { localStorage.setItem('mv_note_views', JSON.stringify(noteViews)); } catch (_) {}
+  }
 
-    const tag = node.tagName.toLowerCase();
-    const children = () => Array.from(node.childNodes).map(nodeToMarkdown).join('');
+  function forgetView(id) {
+    delete noteViews[id];
+    try { localStorage.setItem('mv_note_views', JSON.stringify(noteViews)); } catch (_) {}
+  }
 
-    switch (tag) {
-      case 'script': case 'style': return '';
-      case 'b': case 'strong': return `**${children()}**`;
-      case 'i': case 'em': return `*${children()}*`;
-      case 'del': case 's': return `~~${children()}~~`;
-      case 'code': return '`' + node.textContent + '`';
-      case 'pre': {
-        const codeEl = node.querySelector('code');
-        const lang = (codeEl?.className || '').replace('language-', '');
-        return '\n```' + lang + '\n' + (codeEl?.textContent || node.textContent) + '\n```\n';
-      }
-      case 'a': return `[${children()}](${node.getAttribute('href') || ''})`;
-      case 'img': {
-        const src = node.getAttribute('src') || '';
-        const alt = node.getAttribute('alt') || '';
-        return `![${alt}](${src})`;
-      }
-      case 'h1': return `\n# ${children()}\n`;
-      case 'h2': return `\n## ${children()}\n`;
-      case 'h3': return `\n### ${children()}\n`;
-      case 'h4': return `\n#### ${children()}\n`;
-      case 'h5': return `\n##### ${children()}\n`;
-      case 'h6': return `\n###### ${children()}\n`;
-      case 'p': return `\n${children()}\n`;
-      case 'br': return '\n';
-      case 'hr': return '\n---\n';
-      case 'blockquote': return `\n> ${children().trim().split('\n').join('\n> ')}\n`;
-      case 'ul': return '\n' + Array.from(node.children).map(li => `- ${nodeToMarkdown(li).trim()}`).join('\n') + '\n';
-      case 'ol': return '\n' + Array.from(node.children).map((li, i) => `${i + 1}. ${nodeToMarkdown(li).trim()}`).join('\n') + '\n';
-      case 'li': return children();
-      case 'table': return convertTableToMd(node);
-      case 'thead': case 'tbody': case 'tfoot': return children();
-      case 'tr': return children();
-      case 'th': case 'td': return children();
-      case 'div': case 'section': case 'article': return '\n' + children() + '\n';
-      case 'span': return children();
-      default: return children();
+  // Note ids, the open note first, then by when they were last open
+  function recentNoteIds() {
+    const active = notes.index.activeId;
+    const ids = Object.keys(noteViews)
+      .filter(id => id !== active && notes.index.notes.some(n => n.id === id))
+      .sort((a, b) => noteViews[b].at - noteViews[a].at);
+    return active ? [active, ...ids] : ids;
+  }
+
+  // Caret on view.line (clamped), col and scroll restored when present
+  function restoreView(view) {
+    const idx = Math.max(0, Math.min(view.line || 0, lines.length - 1));
+    ensureLineEl(idx);
+    getLineEl(idx)?.querySelector('.line-rendered').click();
+    const raw = getLineEl(idx)?.querySelector('.line-raw');
+    if (raw && document.activeElement === raw) {
+      const col = Math.min(view.col || 0, raw.value.length);
+      raw.setSelectionRange(col, col);
+      updateStatus(idx, raw);
     }
+    const pane = document.getElementById('editor-pane');
+    if (view.scroll !== undefined) pane.scrollTop = view.scroll;
+    else getLineEl(idx)?.scrollIntoView({ block: 'center' });
   }
 
-  function convertTableToMd(table) {
-    const rows = Array.from(table.querySelectorAll('tr'));
-    if (!rows.length) return '';
-    const cells = rows.map(row =>
-      Array.from(row.querySelectorAll('th,td')).map(cell =>
-        cell.textContent.replace(/\|/g, '\\|').trim()
-      )
-    );
-    const maxCols = Math.max(...cells.map(r => r.length));
-    const normalized = cells.map(row => {
-      while (row.length < maxCols) row.push('');
-      return row;
-    });
-    const header = '| ' + normalized[0].join(' | ') + ' |';
-    const sep = '| ' + normalized[0].map(() => '---').join(' | ') + ' |';
-    const body = normalized.slice(1).map(row => '| ' + row.join(' | ') + ' |');
-    return '\n' + [header, sep, ...body].join('\n') + '\n';
+  // Push where we are before moving away; a new move drops the forward stack
+  function recordNav() {
+    const id = notes.index.activeId;
+    if (navigating || !id) return;
+    const top = navHistory.back[navHistory.back.length - 1];
+    if (!top || top.id !== id || top.line !== activeLineIdx) navHistory.back.push({ id, line: activeLineIdx });
+    if (navHistory.back.length > NAV_HISTORY_MAX) navHistory.back.shift();
+    navHistory.forward = [];
   }
 
-  // ── DRAG & DROP IMAGES ───────────────────────────────────────
-  function handleDrop(e, idx) {
-    e.preventDefault();
-    const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
-    files.forEach(file => insertImageFile(file, idx));
+  function navExists(id) {
+    return notes.index.notes.some(n => n.id === id) || localFolder.files.has(id);
   }
 
-  function insertImageFile(file, idx) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const b64 = e.target.result;
-      const md = `![${file.name}](${b64})`;
-      lines.splice(idx + 1, 0, md);
-      rebuildFromIndex(idx);
-      scheduleAutosave();
-    };
-    reader.readAsDataURL(file);
+  // Pop a position off one stack, leaving the current one on the other
+  function navigate(from, to) {
+    let target;
+    do target = from.pop(); while (target && !navExists(target.id));
+    if (!target) return;
+    to.push({ id: notes.index.activeId, line: activeLineIdx });
+    navigating = true;
+    try {
+      if (target.id === notes.index.activeId) goToLine(target.line);
+      else notes.switchTo(target.id, { line: target.line });
+    } finally {
+      navigating = false;
+    }
   }
 
-  // ── UNDO / REDO ──────────────────────────────────────────────
-  let undoPushTimer = null;
-  function pushUndo() {
-    clearTimeout(undoPushTimer);
-    undoPushTimer = setTimeout(() => {
-      const snapshot = lines.slice();
-      if (undoStack.length && JSON.stringify(undoStack[undoStack.length - 1]) === JSON.stringify(snapshot)) return;
-      undoStack.push(snapshot);
-      if (undoStack.length > 200) undoStack.shift();
-      redoStack = [];
-    }, 300);
+  // ── DEEP LINKS ───────────────────────────────────────────────
+  // location.hash names the open note and optionally a place in it:
+  // #/n/<id>, #/n/<id>/L42 (1-based) or #/n/<id>/h/<heading-slug>.
+  // Switching notes and Go to Line push a browser history entry, so Back
+  // retraces them; hashchange opens whatever the URL points at.
+  const LINK_RE = /^#\/n\/([^/]+)(?:\/L(\d+)|\/h\/(.+))?$/;
+  let applyingLink = false;   // opening a URL; don't push it again
+
+  // The anchor insertTOC writes for a heading
+  function headingSlug(text) {
+    return text.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
   }
 
-  // ── AUTOSAVE ─────────────────────────────────────────────────
-  function scheduleAutosave() {
-    setSaving();
-    clearTimeout(autosaveTimer);
-    autosaveTimer = setTimeout(saveDocument, AUTOSAVE_DELAY);
+  // Headings link by slug, which survives edits above them; other lines by number
+  function noteLink(id, line) {
+    let hash = '#/n/' + encodeURIComponent(id);
+    if (line === undefined) return hash;
+    const m = id === notes.index.activeId && lines[line]?.match(/^#{1,6}\s+(.+)$/);
+    const slug = m && headingSlug(m[1].trim());
+    return hash + (slug ? '/h/' + encodeURIComponent(slug) : '/L' + (line + 1));
   }
 
-  function setSaving() {
-    autosaveEl.textContent = '◌ SAVING…';
-    autosaveEl.className = 'saving';
+  function parseLink(hash) {
+    const m = LINK_RE.exec(hash);
+    if (!m) return null;
+    try {
+      return {
+        id: decodeURIComponent(m[1]),
+        line: m[2] ? Math.max(0, parseInt(m[2]) - 1) : undefined,
+        heading: m[3] ? decodeURIComponent(m[3]) : undefined
+      };
+    } catch (_) { return null; }
   }
 
-  function setSaved() {
-    autosaveEl.textContent = '● SAVED';
-    autosaveEl.className = 'saved';
+  // Point the URL at the open note (and line); replace instead of pushing
+  // when the move should not get its own Back step
+  function syncLocation(line, replace) {
+    if (applyingLink || !notes.index.activeId) return;
+    const hash = noteLink(notes.index.activeId, line);
+    if (location.hash === hash) return;
+    try { history[replace ? 'replaceState' : 'pushState'](null, '', hash); } catch (_) {}
   }
 
-  function saveDocument() {
-    const content = lines.join('\n');
-    const theme = document.body.getAttribute('data-theme') || 'retro-neon';
+  // Open a parsed link; false when its note no longer exists
+  function openLink(link) {
+    if (!navExists(link.id)) return false;
+    let line = link.line;
+    if (link.heading !== undefined) {
+      const text = link.id === notes.index.activeId ? lines : notes.loadNoteContent(link.id).split('\n');
+      const at = text.findIndex(l => {
+        const m = l.match(/^#{1,6}\s+(.+)$/);
+        return m && headingSlug(m[1].trim()) === link.heading;
+      });
+      if (at >= 0) line = at;
+    }
+    applyingLink = true;
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify({
-        content,
-        lastSaved: Date.now(),
-        theme
-      }));
-      lastSavedContent = content;
-    } catch (ex) {
-      console.warn('localStorage save failed', ex);
+      if (link.id !== notes.index.activeId) notes.switchTo(link.id, line !== undefined ? { line } : undefined);
+      else if (line !== undefined) goToLine(line);
+    } finally {
+      applyingLink = false;
     }
-    setSaved();
+    return true;
   }
 
-  function loadDocument() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return;
-      const data = JSON.parse(raw);
-      if (data.theme) app.setTheme(data.theme, true);
-      if (data.content !== undefined) {
-        setContent(data.content);
-      }
-    } catch (_) {}
+  // ── COMMAND PALETTE ──────────────────────────────────────────
+  // Every app command with its default shortcuts (see KEYMAP). run defaults
+  // to app[id](); themes and notes are added when the palette opens.
+  // anywhere: the shortcut also fires while typing in a dialog or input.
+  // Left out on purpose: a dialog's own close*/commit* steps, which need its
+  // fields filled in, and methods taking arguments, listed per argument via run.
+  const COMMANDS = [
+    { id: 'newDocument',         title: 'New Note',                  category: 'File' },
+    { id: 'openSwitcher',        title: 'Open Note',                 category: 'File', keys: 'Ctrl+O', anywhere: true },
+    { id: 'uploadFile',          title: 'Upload .md',                category: 'File' },
+    { id: 'openFolder',          title: 'Open Folder',               category: 'File' },
+    { id: 'newFolderFile',       title: 'New File in Folder',        category: 'File' },
+    { id: 'refreshFolder',       title: 'Refresh Folder',            category: 'File' },
+    { id: 'closeFolder',         title: 'Close Folder',              category: 'File' },
+    { id: 'downloadFile',        title: 'Download .md',              category: 'File' },
+    { id: 'exportHtml',          title: 'Export as HTML',            category: 'File' },
+    { id: 'toggleExportFormulas', title: 'Toggle Formulas in Exports', category: 'File' },
+    { id: 'openHistory',         title: 'Revision History',          category: 'File' },
+    { id: 'openShare',           title: 'Share Session',             category: 'File' },
+    { id: 'leaveShare',          title: 'Leave Share Session',       category: 'File' },
+    { id: 'openSync',            title: 'WebDAV Sync Settings',      category: 'File' },
+    { id: 'syncNow',             title: 'Sync Now',                  category: 'File' },
+    { id: 'turnOffSync',         title: 'Turn Off WebDAV Sync',      category: 'File' },
+    { id: 'lockNote',            title: 'Lock / Unlock Note',        category: 'File' },
+    { id: 'openLock',            title: 'Lock / Unlock with Passphrase', category: 'File' },
+    { id: 'lockAllNotes',        title: 'Lock All Notes',            category: 'File' },
+    { id: 'removeNoteLock',      title: 'Remove Note Lock',          category: 'File' },
+    { id: 'exportLibrary',       title: 'Export Library (.zip)',     category: 'File' },
+    { id: 'importLibrary',       title: 'Import Library',            category: 'File' },
+    { id: 'save',                title: 'Save',                      category: 'File', keys: 'Ctrl+S', anywhere: true, run: () => saveDocument() },
+    { id: 'printNote',           title: 'Print',                     category: 'File', keys: 'Ctrl+P' },
+    { id: 'undo',                title: 'Undo',                      category: 'Edit', keys: 'Ctrl+Z' },
+    { id: 'redo',                title: 'Redo',                      category: 'Edit', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'] },
+    { id: 'selectAll',           title: 'Select All',                category: 'Edit', keys: 'Ctrl+A' },
+    { id: 'openFind',            title: 'Find',                      category: 'Edit', keys: 'Ctrl+F', anywhere: true },
+    { id: 'openFindReplace',     title: 'Find & Replace',            category: 'Edit', keys: 'Ctrl+H', anywhere: true },
+    { id: 'findNext',            title: 'Find Next',                 category: 'Edit' },
+    { id: 'findPrev',            title: 'Find Previous',             category: 'Edit' },
+    { id: 'findHighlight',       title: 'Highlight All Matches',     category: 'Edit' },
+    { id: 'replaceOne',          title: 'Replace Match',             category: 'Edit' },
+    { id: 'replaceAll',          title: 'Replace All',               category: 'Edit' },
+    { id: 'openProjectReplace',  title: 'Replace in All Notes',      category: 'Edit', keys: 'Ctrl+Shift+H', anywhere: true },
+    { id: 'openNoteSearch',      title: 'Search Notes',              category: 'Edit', keys: 'Ctrl+Shift+F', anywhere: true },
+    { id: 'navigateBack',        title: 'Go Back',                   category: 'Edit', keys: 'Alt+ArrowLeft' },
+    { id: 'navigateForward',     title: 'Go Forward',                category: 'Edit', keys: 'Alt+ArrowRight' },
+    { id: 'openGoToLine',        title: 'Go to Line',                category: 'Edit', keys: 'Ctrl+G' },
+    { id: 'goToFirstLine',       title: 'Go to First Line',          category: 'Edit', keys: 'Ctrl+Home', run: () => jumpToEdge(false) },
+    { id: 'goToLastLine',        title: 'Go to Last Line',           category: 'Edit', keys: 'Ctrl+End', run: () => jumpToEdge(true) },
+    { id: 'duplicateLine',       title: 'Duplicate Line',            category: 'Edit', keys: 'Ctrl+D' },
+    { id: 'moveLineUp',          title: 'Move Line Up',              category: 'Edit', keys: 'Alt+ArrowUp' },
+    { id: 'moveLineDown',        title: 'Move Line Down',            category: 'Edit', keys: 'Alt+ArrowDown' },
+    { id: 'addCursorAbove',      title: 'Add Cursor Above',          category: 'Edit', keys: 'Ctrl+Alt+ArrowUp' },
+    { id: 'addCursorBelow',      title: 'Add Cursor Below',          category: 'Edit', keys: 'Ctrl+Alt+ArrowDown' },
+    { id: 'toggleComment',       title: 'Toggle Comment',            category: 'Edit', keys: 'Ctrl+/' },
+    { id: 'toggleBold',          title: 'Bold',                      category: 'Edit', keys: 'Ctrl+B' },
+    { id: 'toggleItalic',        title: 'Italic',                    category: 'Edit', keys: 'Ctrl+I' },
+    { id: 'toggleStrike',        title: 'Strikethrough',             category: 'Edit', keys: 'Ctrl+Shift+X' },
+    { id: 'toggleInlineCode',    title: 'Inline Code',               category: 'Edit', keys: 'Ctrl+`' },
+    { id: 'insertLink',          title: 'Insert Link',               category: 'Edit', keys: 'Ctrl+K' },
+    { id: 'bulletify',           title: 'Bulletify',                 category: 'Tools' },
+    { id: 'insertTaskList',      title: 'Insert Task List',          category: 'Tools' },
+    { id: 'indentLines',         title: 'Indent',                    category: 'Tools', keys: 'Ctrl+]' },
+    { id: 'outdentLines',        title: 'Outdent',                   category: 'Tools', keys: 'Ctrl+[' },
+    { id: 'sortLines',           title: 'Sort Lines',                category: 'Tools' },
+    { id: 'insertTOC',           title: 'Insert Table of Contents',  category: 'Tools' },
+    { id: 'insertTimestamp',     title: 'Insert Timestamp',          category: 'Tools' },
+    { id: 'unicodeToAscii',      title: 'Unicode → ASCII',           category: 'Tools' },
+    { id: 'copyAsHtml',          title: 'Copy as HTML',              category: 'Tools' },
+    { id: 'copyLineLink',        title: 'Copy Link to Line',         category: 'Tools' },
+    { id: 'showStats',           title: 'Word Count & Stats',        category: 'Tools' },
+    { id: 'insertTable',         title: 'Insert Table',              category: 'Table' },
+    { id: 'importTable',         title: 'Import CSV / TSV',          category: 'Table' },
+    { id: 'tableInsertRowAbove', title: 'Insert Row Above',          category: 'Table', run: () => app.tableInsertRow(false) },
+    { id: 'tableInsertRowBelow', title: 'Insert Row Below',          category: 'Table', run: () => app.tableInsertRow(true) },
+    { id: 'tableDeleteRow',      title: 'Delete Row',                category: 'Table' },
+    { id: 'tableInsertColumnLeft',  title: 'Insert Column Left',     category: 'Table', run: () => app.tableInsertColumn(false) },
+    { id: 'tableInsertColumnRight', title: 'Insert Column Right',    category: 'Table', run: () => app.tableInsertColumn(true) },
+    { id: 'tableDeleteColumn',   title: 'Delete Column',             category: 'Table' },
+    { id: 'tableAlignLeft',      title: 'Align Column Left',         category: 'Table', run: () => app.tableAlign('left') },
+    { id: 'tableAlignCenter',    title: 'Align Column Center',       category: 'Table', run: () => app.tableAlign('center') },
+    { id: 'tableAlignRight',     title: 'Align Column Right',        category: 'Table', run: () => app.tableAlign('right') },
+    { id: 'tableAlignNone',      title: 'Clear Column Alignment',    category: 'Table', run: () => app.tableAlign('') },
+    { id: 'tableSortAsc',        title: 'Sort by Column A→Z',        category: 'Table', run: () => app.tableSort(false) },
+    { id: 'tableSortDesc',       title: 'Sort by Column Z→A',        category: 'Table', run: () => app.tableSort(true) },
+    { id: 'copyTableCsv',        title: 'Copy Table as CSV',         category: 'Table', run: () => app.copyTableAs('csv') },
+    { id: 'copyTableTsv',        title: 'Copy Table as TSV',         category: 'Table', run: () => app.copyTableAs('tsv') },
+    { id: 'toggleZen',           title: 'Zen Mode',                  category: 'View', keys: 'F11', anywhere: true },
+    { id: 'toggleWordWrap',      title: 'Toggle Word Wrap',          category: 'View', keys: 'Alt+Z' },
+    { id: 'toggleLineNumbers',   title: 'Toggle Line Numbers',       category: 'View' },
+    { id: 'toggleVim',           title: 'Toggle Vim Mode',           category: 'View' },
+    { id: 'toggleSidebar',       title: 'Toggle Sidebar',            category: 'View' },
+    { id: 'toggleBacklinks',     title: 'Toggle Backlinks',          category: 'View' },
+    { id: 'fontSizeUp',          title: 'Increase Font Size',        category: 'View', run: () => app.changeFontSize(1) },
+    { id: 'fontSizeDown',        title: 'Decrease Font Size',        category: 'View', run: () => app.changeFontSize(-1) },
+    { id: 'openPalette',         title: 'Command Palette',           category: 'View', keys: 'Ctrl+Shift+P', anywhere: true },
+    { id: 'openKeymap',          title: 'Keyboard Shortcuts',        category: 'View' },
+    { id: 'exportKeymap',        title: 'Export Shortcuts',          category: 'View' },
+    { id: 'importKeymap',        title: 'Import Shortcuts',          category: 'View' },
+    { id: 'resetKeymap',         title: 'Reset Shortcuts',           category: 'View' },
+  ];
+
+  const THEMES = [
+    ['retro-neon', 'Retro Neon'], ['black', 'Black'], ['white', 'White'], ['red', 'Red'],
+    ['dracula', 'Dracula'], ['solarized', 'Solarized Dark'], ['ocean', 'Ocean'],
+    ['amber', 'Amber'], ['nord', 'Nord'], ['sepia', 'Sepia'],
+  ];
+
+  const PALETTE_RECENT_MAX = 10;
+  const PALETTE_MAX_RESULTS = 50;
+  let paletteItems = [];
+  let paletteSel = 0;
+  let paletteMode = 'all';    // 'all' | 'notes' (the Ctrl+O note switcher)
+
+  function paletteEntries() {
+    if (paletteMode === 'notes') return noteEntries();
+    const entries = COMMANDS.map(c => ({ ...c, keys: formatChord(commandChords(c.id)[0]), run: () => runCommand(c) }));
+    THEMES.forEach(([theme, label]) => entries.push({
+      id: 'theme:' + theme, title: label, category: 'Theme',
+      run: () => app.setTheme(theme)
+    }));
+    return entries.concat(noteEntries());
   }
 
-  function setContent(text) {
-    lines = text.split('\n');
-    if (!lines.length) lines = [''];
-    undoStack = [];
-    redoStack = [];
-    buildAllLines();
-    updateStatusBar();
-    requestAnimationFrame(() => {
-      if (lines.length > 0) {
-        const firstEl = getLineEl(0);
-        if (firstEl) firstEl.querySelector('.line-rendered').click();
-      }
+  function noteEntries() {
+    return notes.index.notes.map(({ id, name, folderId }) => ({
+      id: 'note:' + id, title: name, category: 'Note', detail: notes.folderPath(folderId),
+      run: () => notes.switchTo(id)
+    }));
+  }
+
+  // Entry ids, most recently used first
+  function paletteRecent() {
+    return paletteMode === 'notes' ? recentNoteIds().map(id => 'note:' + id) : loadRecentCommands();
+  }
+
+  function loadRecentCommands() {
+    try { return JSON.parse(localStorage.getItem('mv_recent_commands')) || []; } catch (_) { return []; }
+  }
+
+  function rememberCommand(id) {
+    const recent = [id, ...loadRecentCommands().filter(r => r !== id)].slice(0, PALETTE_RECENT_MAX);
+    try { localStorage.setItem('mv_recent_commands', JSON.stringify(recent)); } catch (_) {}
+  }
+
+  // Subsequence match of query in text. Returns null when some query character
+  // is missing, otherwise { score, positions }: runs of consecutive characters
+  // and matches at the start of a word score higher, gaps cost a little.
+  function fuzzyMatch(query, text) {
+    const q = query.toLowerCase(), t = text.toLowerCase();
+    const positions = [];
+    let score = 0, from = 0, prev = -2;
+    for (const ch of q) {
+      if (ch === ' ') continue;
+      const at = t.indexOf(ch, from);
+      if (at < 0) return null;
+      if (at === prev + 1) score += 5;
+      if (at === 0 || /[\s\-_/:.]/.test(t[at - 1])) score += 8;
+      score -= Math.min(at - from, 10) * 0.5;
+      positions.push(at);
+      prev = at;
+      from = at + 1;
+    }
+    return { score, positions };
+  }
+
+  function highlightPositions(text, positions) {
+    const marked = new Set(positions);
+    return [...text].map((ch, i) => marked.has(i) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch)).join('');
+  }
+
+  // With no query, recent entries come first, in the order they were last
+  // used. Otherwise fuzzy score, with recent entries nudged upwards.
+  function filterPalette(query) {
+    const recent = paletteRecent();
+    const recentRank = id => {
+      const r = recent.indexOf(id);
+      return r < 0 || r >= PALETTE_RECENT_MAX ? -1 : PALETTE_RECENT_MAX - r;
+    };
+    const entries = paletteEntries();
+    if (!query.trim()) {
+      const order = id => { const r = recent.indexOf(id); return r < 0 ? Infinity : r; };
+      return entries
+        .map((entry, i) => ({ entry, positions: [], rank: order(entry.id), order: i }))
+        .sort((a, b) => a.rank - b.rank || a.order - b.order)
+        .slice(0, PALETTE_MAX_RESULTS);
+    }
+    const results = [];
+    entries.forEach(entry => {
+      const label = entry.category === 'Note' ? entry.title : `${entry.category}: ${entry.title}`;
+      const onTitle = fuzzyMatch(query, entry.title);
+      const onLabel = onTitle ? null : fuzzyMatch(query, label);
+      const m = onTitle || onLabel;
+      if (!m) return;
+      const rank = recentRank(entry.id);
+      results.push({
+        entry,
+        positions: onTitle ? m.positions : [],
+        rank: m.score + (rank > 0 ? 10 + rank : 0)
+      });
     });
+    return results
+      .sort((a, b) => b.rank - a.rank || a.entry.title.localeCompare(b.entry.title))
+      .slice(0, PALETTE_MAX_RESULTS);
   }
 
-  // ── STATUS BAR ───────────────────────────────────────────────
-  function updateStatus(idx, raw) {
-    const col = raw ? raw.selectionStart + 1 : 1;
-    statusPos.textContent = `Ln ${idx + 1}, Col ${col}`;
-    updateStatusBar();
+  function renderPalette() {
+    const list = document.getElementById('palette-results');
+    if (!paletteItems.length) {
+      list.innerHTML = `<div class="search-result-empty">No matching ${paletteMode === 'notes' ? 'notes' : 'commands'}</div>`;
+      return;
+    }
+    // Everything in the note switcher is ordered by recency; no need to say so
+    const recent = new Set(paletteMode === 'notes' ? [] : loadRecentCommands());
+    list.innerHTML = paletteItems.map(({ entry, positions }, i) => `
+      <div class="palette-item${i === paletteSel ? ' selected' : ''}" data-index="${i}">
+        <span class="palette-category">${escapeHtml(entry.category)}</span>
+        <span class="palette-title">${highlightPositions(entry.title, positions)}${entry.detail ? `<span class="search-result-folder">${escapeHtml(entry.detail)}</span>` : ''}</span>
+        ${recent.has(entry.id) ? '<span class="palette-recent">recent</span>' : ''}
+        ${entry.keys ? `<span class="kbd">${escapeHtml(entry.keys)}</span>` : ''}
+      </div>`).join('');
+    list.querySelector('.palette-item.selected')?.scrollIntoView({ block: 'nearest' });
   }
 
-  function updateStatusBar() {
-    const total = lines.length;
-    const wordCount = lines.join(' ').split(/\s+/).filter(w => w).length;
-    statusLines.textContent = `${total} lines`;
-    statusWords.textContent = `${wordCount} words`;
+  // ── KEYMAP ───────────────────────────────────────────────────
+  // Chords are written 'Ctrl+Alt+Shift+Key' (Cmd counts as Ctrl). The user's
+  // changes are stored in mv_keymap as { commandId: [chord, …] } on top of the
+  // defaults in COMMANDS; an empty list unbinds the command.
+  const COMMAND_BY_ID = new Map(COMMANDS.map(c => [c.id, c]));
+
+  // The browser keeps these for itself; a page never receives them
+  const RESERVED_CHORDS = new Set([
+    'Ctrl+N', 'Ctrl+T', 'Ctrl+W', 'Ctrl+Q', 'Ctrl+Tab', 'Ctrl+Shift+Tab',
+    'Ctrl+Shift+N', 'Ctrl+Shift+T', 'Ctrl+Shift+W',
+  ]);
+  // Binding one of these replaces what the browser or OS would do with it
+  const BROWSER_CHORDS = new Map([
+    ['Ctrl+B', 'Bookmarks'], ['Ctrl+D', 'Bookmark page'], ['Ctrl+F', 'Find in page'],
+    ['Ctrl+G', 'Find next'], ['Ctrl+H', 'History'], ['Ctrl+J', 'Downloads'],
+    ['Ctrl+K', 'Search bar'], ['Ctrl+L', 'Address bar'], ['Ctrl+O', 'Open file'], ['Ctrl+P', 'Print page'],
+    ['Ctrl+S', 'Save page'], ['Ctrl+U', 'View source'], ['Ctrl+Shift+P', 'Private window'],
+    ['Alt+ArrowLeft', 'Back'], ['Alt+ArrowRight', 'Forward'],
+    ['F5', 'Reload'], ['F11', 'Full screen'], ['F12', 'Developer tools'],
+  ]);
+  const CHORD_LABELS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+
+  let keymapOverrides = loadKeymapOverrides();
+  let chordIndex = null;      // chord → [command id], rebuilt after a change
+  let keymapCapture = null;   // command id waiting for a chord in the settings modal
+
+  function loadKeymapOverrides() {
+    try { return JSON.parse(localStorage.getItem('mv_keymap')) || {}; } catch (_) { return {}; }
   }
 
-  // ── FIND & REPLACE ───────────────────────────────────────────
-  let findMode = 'find';
+  function saveKeymap() {
+    chordIndex = null;
+    try { localStorage.setItem('mv_keymap', JSON.stringify(keymapOverrides)); } catch (_) {}
+    updateMenuShortcuts();
+  }
 
-  function clearHighlights() {
-    container.querySelectorAll('.search-highlight').forEach(el => {
-      el.outerHTML = el.innerHTML;
+  function defaultChords(id) { return [].concat(COMMAND_BY_ID.get(id)?.keys || []); }
+  function commandChords(id) { return keymapOverrides[id] || defaultChords(id); }
+
+  // Store chords for a command, dropping the override when it equals the default
+  function setCommandChords(id, chords) {
+    const defaults = defaultChords(id);
+    if (chords.length === defaults.length && chords.every(c => defaults.includes(c))) delete keymapOverrides[id];
+    else keymapOverrides[id] = chords;
+  }
+
+  function keymapIndex() {
+    if (chordIndex) return chordIndex;
+    chordIndex = new Map();
+    COMMANDS.forEach(({ id }) => commandChords(id).forEach(chord => {
+      if (!chordIndex.has(chord)) chordIndex.set(chord, []);
+      chordIndex.get(chord).push(id);
+    }));
+    return chordIndex;
+  }
+
+  function eventChord(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'].includes(e.key)) return '';
+    let key = e.key;
+    // Option on macOS turns Alt+Z into 'Ω': fall back to the physical key
+    if (/^(Key[A-Z]|Digit[0-9])$/.test(e.code || '') && !/^[a-z0-9]$/i.test(key)) key = e.code.slice(-1);
+    if (key === ' ') key = 'Space';
+    if (key === '+') key = 'Plus';
+    if (key.length === 1) key = key.toUpperCase();
+    return [(e.ctrlKey || e.metaKey) && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', key]
+      .filter(Boolean).join('+');
+  }
+
+  function formatChord(chord) {
+    return chord ? chord.split('+').map(k => CHORD_LABELS[k] || k).join('+') : '';
+  }
+
+  function runCommand(cmd) {
+    if (cmd.run) cmd.run();
+    else app[cmd.id]();
+  }
+
+  // Run the command bound to this key event. Inside dialogs and other text
+  // fields only commands marked anywhere fire, so Ctrl+A, Ctrl+Z etc. keep
+  // their native meaning there.
+  function dispatchKeymap(e) {
+    if (e.defaultPrevented || e.isComposing) return false;
+    const chord = eventChord(e);
+    const id = chord && keymapIndex().get(chord)?.[0];
+    if (!id) return false;
+    const cmd = COMMAND_BY_ID.get(id);
+    const t = e.target;
+    const inField = t.closest?.('.modal-box') ||
+      (t.matches?.('input, textarea, select, [contenteditable]') && !t.classList.contains('line-raw'));
+    if (inField && !cmd.anywhere) return false;
+    e.preventDefault();
+    runCommand(cmd);
+    return true;
+  }
+
+  function updateMenuShortcuts() {
+    document.querySelectorAll('.dropdown [data-cmd]').forEach(btn => {
+      const chord = commandChords(btn.dataset.cmd)[0];
+      let kbd = btn.querySelector('.kbd');
+      if (!chord) { kbd?.remove(); return; }
+      if (!kbd) {
+        kbd = document.createElement('span');
+        kbd.className = 'kbd';
+        btn.appendChild(kbd);
+      }
+      kbd.textContent = formatChord(chord);
+    });
+  }
+
+  function bindChord(id, chord) {
+    const label = formatChord(chord);
+    if (RESERVED_CHORDS.has(chord)) {
+      alert(`${label} is kept by the browser and cannot be used.`);
+      return;
+    }
+    if (!/^(Ctrl|Alt)\+|^(Shift\+)?F\d{1,2}$/.test(chord)) {
+      alert('A shortcut needs Ctrl or Alt, or a function key.');
+      return;
+    }
+    const others = (keymapIndex().get(chord) || []).filter(o => o !== id);
+    if (others.length) {
+      const names = others.map(o => `"${COMMAND_BY_ID.get(o).title}"`).join(', ');
+      if (!confirm(`${label} is already bound to ${names}. Move it to "${COMMAND_BY_ID.get(id).title}"?`)) return;
+      others.forEach(o => setCommandChords(o, commandChords(o).filter(c => c !== chord)));
+    }
+    setCommandChords(id, [...commandChords(id).filter(c => c !== chord), chord]);
+    saveKeymap();
+  }
+
+  // Import reads what exportKeymap writes: { format, version, keymap: { id: [chords] } }.
+  // Unknown commands and chords the browser keeps are skipped.
+  function parseKeymap(text) {
+    const data = JSON.parse(text);
+    const map = data?.format === 'markvoid-keymap' ? data.keymap : null;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) throw new Error('not a markvoid keymap file');
+    const overrides = {};
+    let skipped = 0;
+    Object.entries(map).forEach(([id, chords]) => {
+      if (!COMMAND_BY_ID.has(id) || !Array.isArray(chords)) { skipped++; return; }
+      const valid = chords.filter(c => typeof c === 'string' && c && !RESERVED_CHORDS.has(c));
+      skipped += chords.length - valid.length;
+      overrides[id] = [...new Set(valid)];
     });
+    return { overrides, skipped };
+  }
+
+  function renderKeymap() {
+    const list = document.getElementById('keymap-list');
+    const query = document.getElementById('keymap-filter').value.trim().toLowerCase();
+    const index = keymapIndex();
+    const rows = COMMANDS.filter(c => !query ||
+      `${c.category} ${c.title}`.toLowerCase().includes(query) ||
+      commandChords(c.id).some(ch => ch.toLowerCase().includes(query) || formatChord(ch).toLowerCase().includes(query)));
+    if (!rows.length) {
+      list.innerHTML = `<div class="search-result-empty">No matching commands</div>`;
+      return;
+    }
+    list.innerHTML = rows.map(c => {
+      const chips = commandChords(c.id).map((chord, i) => {
+        const others = index.get(chord).filter(o => o !== c.id);
+        const hints = [];
+        if (others.length) hints.push('Also bound to ' + others.map(o => COMMAND_BY_ID.get(o).title).join(', '));
+        if (BROWSER_CHORDS.has(chord)) hints.push(`Replaces the browser's ${BROWSER_CHORDS.get(chord)}`);
+        const cls = (others.length ? ' conflict' : '') + (BROWSER_CHORDS.has(chord) ? ' browser' : '');
+        return `<span class="keymap-chord${cls}" title="${escapeHtml(hints.join('. '))}">${escapeHtml(formatChord(chord))}` +
+          `<button title="Remove" onclick="app._unbindChord('${c.id}', ${i})">✕</button></span>`;
+      }).join('');
+      const capturing = keymapCapture === c.id ? '<span class="keymap-chord capturing">Press keys… (Esc cancels)</span>' : '';
+      return `
+      <div class="keymap-row${keymapOverrides[c.id] ? ' custom' : ''}">
+        <span class="palette-category">${escapeHtml(c.category)}</span>
+        <span class="keymap-title">${escapeHtml(c.title)}</span>
+        <span class="keymap-chords">${chips}${capturing}</span>
+        <button class="keymap-btn" title="Add shortcut" onclick="app._captureChord('${c.id}')">＋</button>
+        <button class="keymap-btn" title="Reset to default" onclick="app._resetChords('${c.id}')"${keymapOverrides[c.id] ? '' : ' disabled'}>↺</button>
+      </div>`;
+    }).join('');
   }
 
   // ── PUBLIC API ───────────────────────────────────────────────
@@ -1249,7 +6042,7 @@
     },
 
     downloadFile() {
-      const content = lines.join('\n');
+      const content = exportFormulas === 'values' ? withFormulaValues(lines.join('\n')) : lines.join('\n');
       const now = new Date();
       const pad = n => String(n).padStart(2, '0');
       const fname = `document-${now.getFullYear()}${pad(now.getMonth()+1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}.md`;
@@ -1263,23 +6056,19 @@
     },
 
     undo() {
-      if (!undoStack.length) return;
-      const current = lines.slice();
-      redoStack.push(current);
-      const prev = undoStack.pop();
-      lines = prev;
-      buildAllLines();
-      scheduleAutosave();
+      commitUndo();
+      const op = undoStack.pop();
+      if (!op) return;
+      redoStack.push(op);
+      applyUndoEntry(op, true);
     },
 
     redo() {
-      if (!redoStack.length) return;
-      const current = lines.slice();
-      undoStack.push(current);
-      const next = redoStack.pop();
-      lines = next;
-      buildAllLines();
-      scheduleAutosave();
+      commitUndo();
+      const op = redoStack.pop();
+      if (!op) return;
+      undoStack.push(op);
+      applyUndoEntry(op, false);
     },
 
     openFind() {
@@ -1288,9 +6077,12 @@
       document.getElementById('replace-row').style.display = 'none';
       document.getElementById('replace-one-btn').style.display = 'none';
       document.getElementById('replace-all-btn').style.display = 'none';
+      document.getElementById('opt-all-notes-label').style.display = 'none';
+      document.getElementById('opt-all-notes').checked = false;
+      app._syncFindScope();
       findModal.classList.remove('hidden');
-      modalOverlay.classList.remove('hidden');
-      requestAnimationFrame(() => document.getElementById('find-input').focus());
+      requestAnimationFrame(() => document.getElementById('find-input').select());
+      app._refreshFind();
     },
 
     openFindReplace() {
@@ -1299,12 +6091,109 @@
       document.getElementById('replace-row').style.display = 'flex';
       document.getElementById('replace-one-btn').style.display = 'inline-block';
       document.getElementById('replace-all-btn').style.display = 'inline-block';
+      document.getElementById('opt-all-notes-label').style.display = '';
+      app._syncFindScope();
       findModal.classList.remove('hidden');
-      modalOverlay.classList.remove('hidden');
-      requestAnimationFrame(() => document.getElementById('find-input').focus());
+      requestAnimationFrame(() => document.getElementById('find-input').select());
+      app._refreshFind();
+    },
+
+    openProjectReplace() {
+      app.openFindReplace();
+      document.getElementById('opt-all-notes').checked = true;
+      app._syncFindScope();
+    },
+
+    // Switch the find modal between the active note and all notes
+    _syncFindScope() {
+      const all = document.getElementById('opt-all-notes').checked;
+      projectReplace = null;
+      findModal.querySelector('.modal-box').classList.toggle('modal-box--wide', all);
+      document.getElementById('find-primary-btn').textContent = all ? 'Preview' : 'Highlight All';
+      document.getElementById('replace-all-btn').textContent = all ? 'Replace Selected' : 'Replace All';
+      document.getElementById('replace-all-btn').disabled = all;
+      document.getElementById('replace-one-btn').style.display = findMode === 'replace' && !all ? 'inline-block' : 'none';
+      // The editor stays visible for in-note find; all-notes mode is a real modal
+      modalOverlay.classList.toggle('hidden', !all);
+      const preview = document.getElementById('find-preview');
+      preview.classList.toggle('hidden', !all);
+      preview.innerHTML = '';
+    },
+
+    previewProjectReplace() {
+      const regex = buildFindRegex('g');
+      if (!regex) { projectReplace = null; document.getElementById('find-preview').innerHTML = ''; return; }
+      const template = document.getElementById('replace-input').value;
+      projectReplace = { template, groups: collectProjectMatches(regex, template) };
+      renderProjectPreview();
+    },
+
+    _toggleProjectMatch(gi, mi, on) {
+      projectReplace.groups[gi].matches[mi].include = on;
+      renderProjectPreview();
+    },
+
+    _toggleProjectGroup(gi, on) {
+      projectReplace.groups[gi].matches.forEach(m => { m.include = on; });
+      renderProjectPreview();
+    },
+
+    async commitProjectReplace() {
+      if (!projectReplace) return;
+      // The preview may be stale if the replacement text changed since
+      if (document.getElementById('replace-input').value !== projectReplace.template) {
+        app.previewProjectReplace();
+        return;
+      }
+      notes.flushCurrent();
+      const applied = [], stale = [];
+      for (const g of projectReplace.groups) {
+        if (!g.matches.some(m => m.include)) continue;
+        const isActive = g.id === notes.index.activeId;
+        const current = isActive ? lines.join('\n') : notes.loadNoteContent(g.id);
+        if (current !== g.content) { stale.push(g.name); continue; }
+        const after = applyMatches(g.content, g.matches);
+        // Keep the pre-replace text as its own revision so it can be restored later too
+        await recordRevision(g.id, g.content, true);
+        if (isActive) replaceDocument(after);
+        else await notes.saveNoteContent(g.id, after);
+        await recordRevision(g.id, after, true);
+        applied.push({ id: g.id, before: g.content, after, count: g.matches.filter(m => m.include).length });
+      }
+      projectReplace = null;
+      app.closeFind();
+      notes.renderList();
+      refreshWikiLinks();
+
+      if (stale.length) alert(`Skipped notes edited since the preview: ${stale.join(', ')}`);
+      if (!applied.length) return;
+      const count = applied.reduce((n, a) => n + a.count, 0);
+      showBanner('project-replace',
+        `Replaced ${count} match${count === 1 ? '' : 'es'} in ${applied.length} note${applied.length === 1 ? '' : 's'}.`, [
+          { label: 'Undo', run: () => app._undoProjectReplace(applied) },
+          { label: 'Dismiss', run: () => {} }
+        ]);
+    },
+
+    // Revert every note still holding exactly the text the replace produced
+    async _undoProjectReplace(applied) {
+      notes.flushCurrent();
+      const changed = [];
+      for (const a of applied) {
+        const isActive = a.id === notes.index.activeId;
+        const current = isActive ? lines.join('\n') : notes.loadNoteContent(a.id);
+        if (current !== a.after) { changed.push(notes.index.notes.find(n => n.id === a.id)?.name || a.id); continue; }
+        if (isActive) replaceDocument(a.before);
+        else await notes.saveNoteContent(a.id, a.before);
+        await recordRevision(a.id, a.before, true);
+      }
+      notes.renderList();
+      refreshWikiLinks();
+      if (changed.length) alert(`Not reverted because they were edited afterwards: ${changed.join(', ')}`);
     },
 
     closeFind() {
+      const wasOpen = !findModal.classList.contains('hidden');
       findModal.classList.add('hidden');
       modalOverlay.classList.add('hidden');
       clearHighlights();
@@ -1315,79 +6204,105 @@
           updateRendered(i);
         }
       });
+      // Hand the current match over to the editor, still selected
+      const current = findState.matches[findState.current];
+      findState = { matches: [], current: -1 };
+      updateFindCount();
+      if (wasOpen && current) selectMatch(current, true);
+    },
+
+    // Recount matches after the query, an option or the document changed
+    _refreshFind() {
+      if (document.getElementById('opt-all-notes').checked) return;
+      const prev = findState.matches[findState.current];
+      findState.matches = findMatches();
+      findState.current = prev
+        ? findState.matches.findIndex(m => m.line === prev.line && m.start === prev.start && m.end === prev.end)
+        : -1;
+      updateFindCount();
+      app.findHighlight();
+    },
+
+    findNext() { app._stepFind(1); },
+    findPrev() { app._stepFind(-1); },
+
+    _stepFind(dir) {
+      app._refreshFind();
+      const { matches } = findState;
+      if (!matches.length) return;
+      const cur = matches[findState.current];
+      let next;
+      if (cur) {
+        next = (findState.current + dir + matches.length) % matches.length;
+      } else {
+        // Start from the cursor line
+        const from = matches.findIndex(m => m.line >= activeLineIdx);
+        next = dir > 0 ? (from === -1 ? 0 : from)
+          : ((from === -1 ? matches.length : from) - 1 + matches.length) % matches.length;
+      }
+      findState.current = next;
+      updateFindCount();
+      selectMatch(matches[next], false);
     },
 
     findHighlight() {
+      if (document.getElementById('opt-all-notes').checked) { app.previewProjectReplace(); return; }
       clearHighlights();
-      const term = document.getElementById('find-input').value;
-      if (!term) return;
-      const caseSensitive = document.getElementById('opt-case').checked;
-      const useRegex = document.getElementById('opt-regex').checked;
-
-      let regex;
-      try {
-        const flags = caseSensitive ? 'g' : 'gi';
-        regex = useRegex ? new RegExp(term, flags) : new RegExp(escapeRegex(term), flags);
-      } catch (_) { return; }
-
-      lines.forEach((line, i) => {
+      container.querySelectorAll('.editor-line.find-hit').forEach(el => el.classList.remove('find-hit'));
+      new Set(findState.matches.map(m => m.line)).forEach(i => {
         const lineEl = getLineEl(i);
-        if (!lineEl || lineEl.classList.contains('editing')) return;
-        const rendered = lineEl.querySelector('.line-rendered');
-        if (!rendered) return;
-        // Highlight in rendered text
-        const text = rendered.innerHTML;
-        const highlighted = rendered.innerHTML.replace(/<[^>]*>|([^<]+)/g, (match, textPart) => {
-          if (!textPart) return match; // it's a tag
-          return textPart.replace(regex, m => `<mark class="search-highlight">${escapeHtml(m)}</mark>`);
-        });
-        rendered.innerHTML = highlighted;
+        if (lineEl) decorateFindLine(i, lineEl);
       });
     },
 
+    // Replace the current match, then move on to the next one. With no
+    // current match this only selects the next one, so you see what changes.
     replaceOne() {
-      const term = document.getElementById('find-input').value;
-      const replacement = document.getElementById('replace-input').value;
-      if (!term) return;
-
-      const caseSensitive = document.getElementById('opt-case').checked;
-      const useRegex = document.getElementById('opt-regex').checked;
-      const flags = caseSensitive ? '' : 'i';
-
-      let regex;
-      try {
-        regex = useRegex ? new RegExp(term, flags) : new RegExp(escapeRegex(term), flags);
-      } catch (_) { return; }
-
-      for (let i = 0; i < lines.length; i++) {
-        if (regex.test(lines[i])) {
-          lines[i] = lines[i].replace(regex, replacement);
-          updateRendered(i);
-          break;
-        }
-      }
+      app._refreshFind();
+      const m = findState.matches[findState.current];
+      if (!m) { app.findNext(); return; }
+      const regex = buildFindRegex('g');
+      const line = lines[m.line];
+      regex.lastIndex = m.start;
+      const exec = regex.exec(line);
+      if (!exec || exec.index !== m.start) { app.findNext(); return; }
+      const replacement = expandReplacement(document.getElementById('replace-input').value, exec, line);
+      commitUndo();
+      lines[m.line] = line.slice(0, m.start) + replacement + line.slice(m.end);
+      const raw = getLineEl(m.line)?.querySelector('.line-raw');
+      if (raw) raw.value = lines[m.line];
+      linesChanged(m.line, m.line);
+      updateRendered(m.line);
       scheduleAutosave();
-      pushUndo();
+      commitUndo();
+
+      // Continue after the inserted text
+      findState.matches = findMatches();
+      const after = findState.matches.findIndex(x =>
+        x.line > m.line || (x.line === m.line && x.start >= m.start + replacement.length));
+      findState.current = -1;
+      updateFindCount();
+      app.findHighlight();
+      if (findState.matches.length) {
+        findState.current = after === -1 ? 0 : after;
+        updateFindCount();
+        selectMatch(findState.matches[findState.current], false);
+      }
     },
 
     replaceAll() {
-      const term = document.getElementById('find-input').value;
-      const replacement = document.getElementById('replace-input').value;
-      if (!term) return;
-
-      const caseSensitive = document.getElementById('opt-case').checked;
-      const useRegex = document.getElementById('opt-regex').checked;
-      const flags = caseSensitive ? 'g' : 'gi';
-
-      let regex;
-      try {
-        regex = useRegex ? new RegExp(term, flags) : new RegExp(escapeRegex(term), flags);
-      } catch (_) { return; }
+      if (document.getElementById('opt-all-notes').checked) { app.commitProjectReplace(); return; }
+      const regex = buildFindRegex('g');
+      if (!regex) return;
+      const template = document.getElementById('replace-input').value;
 
-      lines = lines.map(line => line.replace(regex, replacement));
+      commitUndo();
+      lines = lines.map(line => line.replace(regex, template));
       buildAllLines();
       scheduleAutosave();
-      pushUndo();
+      commitUndo();
+      findState = { matches: [], current: -1 };
+      app._refreshFind();
     },
 
     bulletify() {
@@ -1473,6 +6388,10 @@
       scheduleAutosave();
     },
 
+    // ── MULTI-CURSOR ────────────────────────────────────────────
+    addCursorAbove() { addCaretVertical(-1); },
+    addCursorBelow() { addCaretVertical(1); },
+
     // ── MOVE LINE UP ────────────────────────────────────────────
     moveLineUp() {
       const idx = activeLineIdx;
@@ -1558,8 +6477,7 @@
         if (m) {
           const level = m[1].length;
           const text = m[2].trim();
-          const anchor = text.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
-          headings.push({ level, text, anchor });
+          headings.push({ level, text, anchor: headingSlug(text) });
         }
       });
 
@@ -1598,7 +6516,8 @@
       const readingMins = Math.max(1, Math.round(words / 200));
 
       const headings = lines.filter(l => /^#{1,6}\s/.test(l));
-      const codeBlocks = lines.filter(l => l.startsWith('```')).length / 2;
+      computeFenceStates();
+      const codeBlocks = fenceStates.filter(st => st.fence === 'open').length;
       const links = (text.match(/\[.+?\]\(.+?\)/g) || []).length;
       const images = (text.match(/!\[.+?\]\(.+?\)/g) || []).length;
 
@@ -1645,7 +6564,330 @@
       app.closeFind();
       app.closeStats();
       app.closeNoteSearch();
+      app.closePalette();
+      app.closeKeymap();
       app.closeLink();
+      app.closeHistory();
+      app.closeImport();
+    },
+
+    // ── LOCAL FOLDER ────────────────────────────────────────────
+    openFolder()      { localFolder.open(); },
+    closeFolder()     { localFolder.close(); },
+    refreshFolder()   { localFolder.scan(); },
+    newFolderFile()   { localFolder.newFile(); },
+
+    // ── LIBRARY EXPORT / IMPORT ─────────────────────────────────
+    exportLibrary() {
+      exportLibrary().then(blob => {
+        const now = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `markvoid-library-${now.getFullYear()}${pad(now.getMonth()+1)}${pad(now.getDate())}.zip`;
+        a.click();
+        URL.revokeObjectURL(url);
+      }).catch(ex => alert(`Export failed: ${ex.message || ex}`));
+    },
+
+    importLibrary() {
+      libraryInput.click();
+    },
+
+    closeImport() {
+      pendingImport = null;
+      document.getElementById('import-modal').classList.add('hidden');
+      document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    _renderImport() {
+      renderImportModal();
+    },
+
+    commitImport() {
+      if (!pendingImport) return;
+      const mode = document.querySelector('input[name="import-mode"]:checked')?.value;
+      if (mode === 'replace' && !confirm('Replace ALL current notes with the archive? This cannot be undone.')) return;
+      const stats = applyImport();
+      app.closeImport();
+      const parts = [`${stats.added} added`];
+      if (stats.overwritten) parts.push(`${stats.overwritten} overwritten`);
+      if (stats.skipped) parts.push(`${stats.skipped} skipped`);
+      alert(`Library imported: ${parts.join(', ')}.`);
+    },
+
+    // ── REVISION HISTORY ────────────────────────────────────────
+    openHistory(noteId) {
+      noteId = noteId || notes.index.activeId;
+      const entry = notes.index.notes.find(n => n.id === noteId);
+      if (!entry) return;
+      const isActive = noteId === notes.index.activeId;
+      const current = isActive ? lines.join('\n') : notes.loadNoteContent(noteId);
+
+      document.getElementById('history-title').textContent = `HISTORY — ${entry.name}`;
+      document.getElementById('history-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      document.getElementById('history-list').innerHTML = '<div class="search-result-empty">Loading…</div>';
+      document.getElementById('history-diff').innerHTML = '';
+
+      noteStore.getRevisions(noteId).then(stored => {
+        // Newest first; the live document is always offered as "Current"
+        const revs = stored.map(r => ({ ts: r.ts, content: r.content })).reverse();
+        revs.unshift({ ts: null, content: current });
+        historyState = { noteId, revs, a: Math.min(1, revs.length - 1), b: 0 };
+        app._renderHistory();
+      }).catch(ex => {
+        document.getElementById('history-list').innerHTML =
+          `<div class="search-result-empty">Could not load history: ${escapeHtml(String(ex.message || ex))}</div>`;
+      });
+    },
+
+    closeHistory() {
+      historyState = null;
+      document.getElementById('history-modal').classList.add('hidden');
+      document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    _selectRevision(which, i) {
+      if (!historyState) return;
+      historyState[which] = i;
+      app._renderHistory();
+    },
+
+    _renderHistory() {
+      const st = historyState;
+      if (!st) return;
+      const listEl = document.getElementById('history-list');
+      if (st.revs.length < 2 && !noteStore.db) {
+        listEl.innerHTML = '<div class="search-result-empty">Revision history needs IndexedDB, which is unavailable in this browser.</div>';
+      } else {
+        listEl.innerHTML = st.revs.map((r, i) => {
+          const label = r.ts === null ? 'Current' : formatTimestamp(r.ts);
+          const count = r.content.split('\n').length;
+          return `<div class="history-row${i === st.a || i === st.b ? ' selected' : ''}">` +
+            `<label title="Compare from"><input type="radio" name="rev-a" ${i === st.a ? 'checked' : ''} onchange="app._selectRevision('a', ${i})"> A</label>` +
+            `<label title="Compare to"><input type="radio" name="rev-b" ${i === st.b ? 'checked' : ''} onchange="app._selectRevision('b', ${i})"> B</label>` +
+            `<span class="history-time">${label}</span>` +
+            `<span class="history-lines">${count} line${count !== 1 ? 's' : ''}</span>` +
+            `</div>`;
+        }).join('');
+      }
+
+      const a = st.revs[st.a].content.split('\n');
+      const b = st.revs[st.b].content.split('\n');
+      const diff = diffLines(a, b);
+      const CONTEXT = 3;
+      // Only show unchanged lines that are within CONTEXT lines of a change
+      const near = new Array(diff.length).fill(false);
+      diff.forEach((d, i) => {
+        if (d.type === 'eq') return;
+        for (let j = Math.max(0, i - CONTEXT); j <= Math.min(diff.length - 1, i + CONTEXT); j++) near[j] = true;
+      });
+      let html = '';
+      let skipped = 0;
+      const flushSkipped = () => {
+        if (skipped) html += `<div class="diff-skip">⋯ ${skipped} unchanged line${skipped !== 1 ? 's' : ''}</div>`;
+        skipped = 0;
+      };
+      diff.forEach((d, i) => {
+        if (d.type === 'eq' && !near[i]) { skipped++; return; }
+        flushSkipped();
+        const sign = d.type === 'add' ? '+' : d.type === 'del' ? '−' : ' ';
+        html += `<div class="diff-line diff-${d.type}">` +
+          `<span class="diff-num">${d.a !== null ? d.a + 1 : ''}</span>` +
+          `<span class="diff-num">${d.b !== null ? d.b + 1 : ''}</span>` +
+          `<span class="diff-sign">${sign}</span>` +
+          `<span class="diff-text">${escapeHtml(d.text) || ' '}</span></div>`;
+      });
+      flushSkipped();
+      const changed = diff.some(d => d.type !== 'eq');
+      document.getElementById('history-diff').innerHTML = changed ? html
+        : '<div class="search-result-empty">No differences</div>';
+      document.getElementById('history-restore-btn').disabled = st.revs[st.a].ts === null;
+    },
+
+    // Restore revision A into its note as one undoable change
+    restoreRevision() {
+      const st = historyState;
+      if (!st) return;
+      const rev = st.revs[st.a];
+      if (!rev || rev.ts === null) return;
+      app.closeHistory();
+      if (notes.index.activeId !== st.noteId) notes.switchTo(st.noteId);
+      replaceDocument(rev.content);
+    },
+
+    // ── SHARE SESSION ───────────────────────────────────────────
+    openShare() {
+      let relay = 'ws://localhost:8787', name = '';
+      try {
+        relay = localStorage.getItem(COLLAB_RELAY_KEY) || relay;
+        name = localStorage.getItem(COLLAB_NAME_KEY) || '';
+      } catch (_) {}
+      document.getElementById('share-relay').value = collab.relay || relay;
+      document.getElementById('share-room').value = collab.room || Math.random().toString(36).slice(2, 8);
+      document.getElementById('share-name').value = collab.name || name;
+      document.getElementById('share-leave').classList.toggle('hidden', !collab.room);
+      document.getElementById('share-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      requestAnimationFrame(() => document.getElementById('share-room').focus());
+    },
+
+    closeShare() {
+      document.getElementById('share-modal').classList.add('hidden');
+      document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    commitShare() {
+      const relay = document.getElementById('share-relay').value.trim();
+      const room = document.getElementById('share-room').value.trim();
+      const name = document.getElementById('share-name').value.trim() || 'Guest';
+      if (!/^wss?:\/\/./.test(relay)) { alert('The relay address starts with ws:// or wss://.'); return; }
+      if (!room) { alert('Enter a room name.'); return; }
+      app.closeShare();
+      if (collab.room) collabReset();
+      try {
+        localStorage.setItem(COLLAB_RELAY_KEY, relay);
+        localStorage.setItem(COLLAB_NAME_KEY, name);
+      } catch (_) {}
+      const site = Math.random().toString(36).slice(2, 10);
+      Object.assign(collab, { relay, room, name, site, color: peerColor(site) });
+      collabConnect();
+    },
+
+    leaveShare() {
+      app.closeShare();
+      collabReset();
+    },
+
+    // ── WEBDAV SYNC ─────────────────────────────────────────────
+    openSync() {
+      const config = webdav.config || {};
+      document.getElementById('sync-url').value = config.url || '';
+      document.getElementById('sync-user').value = config.user || '';
+      document.getElementById('sync-password').value = config.password || '';
+      document.getElementById('sync-remember').checked = config.remember !== false;
+      document.getElementById('sync-status').textContent = webdav.config ? webdav.lastResult : 'Sync is off.';
+      document.getElementById('sync-off').classList.toggle('hidden', !webdav.config);
+      document.getElementById('sync-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      requestAnimationFrame(() => document.getElementById('sync-url').focus());
+    },
+
+    closeSync() {
+      document.getElementById('sync-modal').classList.add('hidden');
+      document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    commitSync() {
+      const url = document.getElementById('sync-url').value.trim();
+      const user = document.getElementById('sync-user').value.trim();
+      const password = document.getElementById('sync-password').value;
+      const remember = document.getElementById('sync-remember').checked;
+      if (!/^https?:\/\/./.test(url)) { alert('The WebDAV address starts with http:// or https://.'); return; }
+      const old = webdav.config;
+      // Same folder: keep what was synced already
+      if (old && old.url === url) {
+        const resume = webdav.needsPassword();
+        webdav.config = { url, user, password, remember };
+        webdav.saveConfig();
+        if (resume) webdav.start();
+        else webdav.sync();
+      } else {
+        webdav.configure({ url, user, password, remember });
+      }
+      document.getElementById('sync-status').textContent = 'Syncing…';
+      document.getElementById('sync-off').classList.remove('hidden');
+    },
+
+    syncNow() {
+      if (!webdav.config || webdav.needsPassword()) { app.openSync(); return Promise.resolve(false); }
+      return webdav.sync();
+    },
+
+    turnOffSync() {
+      webdav.configure(null);
+      app.closeSync();
+      setSaved();
+    },
+
+    // ── NOTE LOCKS ──────────────────────────────────────────────
+    // Lock with a new passphrase, or unlock, depending on the note
+    openLock(id = notes.index.activeId) {
+      if (!window.crypto?.subtle) {
+        alert('Locking notes needs WebCrypto, which browsers only offer on https:// and localhost.');
+        return;
+      }
+      const entry = notes.index.notes.find(n => n.id === id);
+      if (!entry) return;
+      const unlocking = noteLocks.isEncrypted(id);
+      const modal = document.getElementById('lock-modal');
+      modal.dataset.id = id;
+      modal.dataset.mode = unlocking ? 'unlock' : 'lock';
+      document.getElementById('lock-title').textContent = unlocking ? 'UNLOCK NOTE' : 'LOCK NOTE';
+      document.getElementById('lock-note').textContent = unlocking
+        ? `Enter the passphrase for "${entry.name}".`
+        : `"${entry.name}" will be stored encrypted. There is no way to recover it without the passphrase.`;
+      document.getElementById('lock-confirm-row').classList.toggle('hidden', unlocking);
+      document.getElementById('lock-passphrase').value = '';
+      document.getElementById('lock-confirm').value = '';
+      document.getElementById('lock-error').textContent = '';
+      modal.classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      requestAnimationFrame(() => document.getElementById('lock-passphrase').focus());
+    },
+
+    closeLock() {
+      document.getElementById('lock-passphrase').value = '';
+      document.getElementById('lock-confirm').value = '';
+      document.getElementById('lock-modal').classList.add('hidden');
+      document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    async commitLock() {
+      const modal = document.getElementById('lock-modal');
+      const { id, mode } = modal.dataset;
+      const passphrase = document.getElementById('lock-passphrase').value;
+      const error = document.getElementById('lock-error');
+      if (!passphrase) { error.textContent = 'Enter a passphrase.'; return; }
+      if (mode === 'lock' && passphrase !== document.getElementById('lock-confirm').value) {
+        error.textContent = 'The passphrases do not match.';
+        return;
+      }
+      error.textContent = mode === 'lock' ? 'Encrypting…' : 'Unlocking…';
+      try {
+        if (mode === 'unlock') {
+          await noteLocks.unlock(id, passphrase);
+        } else if (!await noteLocks.lock(id, passphrase)) {
+          error.textContent = 'Saving the locked note failed.';
+          return;
+        }
+      } catch (ex) {
+        error.textContent = mode === 'unlock' ? 'Wrong passphrase.' : `Could not lock the note: ${ex.message || ex}`;
+        return;
+      }
+      app.closeLock();
+      if (mode === 'unlock' && id !== notes.index.activeId) notes.switchTo(id);
+    },
+
+    // The active note: lock it (again), or ask for its passphrase
+    lockNote() {
+      const id = notes.index.activeId;
+      if (noteLocks.open.has(id)) noteLocks.relock(id);
+      else app.openLock(id);
+    },
+
+    lockAllNotes() {
+      noteLocks.relockAll();
+    },
+
+    removeNoteLock() {
+      const id = notes.index.activeId;
+      if (noteLocks.isLocked(id)) { alert('Unlock the note first.'); return; }
+      if (!noteLocks.isEncrypted(id)) return;
+      if (!confirm('Store this note as plain text again?')) return;
+      noteLocks.removeLock(id);
     },
 
     // ── BOLD / ITALIC / LINK ────────────────────────────────────
@@ -1675,7 +6917,7 @@
         raw.setSelectionRange(start + before.length, end + before.length);
       }
       lines[activeLineIdx] = raw.value;
-      computeFenceStates();
+      linesChanged(activeLineIdx, activeLineIdx);
       updateRendered(activeLineIdx);
       scheduleAutosave();
       pushUndo();
@@ -1725,7 +6967,7 @@
         raw.value = newVal;
         raw.setSelectionRange(pos + md_link.length, pos + md_link.length);
         lines[activeLineIdx] = newVal;
-        computeFenceStates();
+        linesChanged(activeLineIdx, activeLineIdx);
         updateRendered(activeLineIdx);
         scheduleAutosave();
         pushUndo();
@@ -1757,7 +6999,7 @@
         raw.value = newVal;
         raw.setSelectionRange(pos + ts.length, pos + ts.length);
         lines[activeLineIdx] = newVal;
-        computeFenceStates();
+        linesChanged(activeLineIdx, activeLineIdx);
         updateRendered(activeLineIdx);
         scheduleAutosave();
         pushUndo();
@@ -1767,7 +7009,7 @@
     // ── COPY AS HTML ────────────────────────────────────────────
     copyAsHtml() {
       const fullMd = lines.join('\n');
-      const html = md.render(fullMd).replace(/<!--[\s\S]*?-->/g, '');
+      const html = md.render(fullMd, { formulas: exportFormulas }).replace(/<!--[\s\S]*?-->/g, '');
       navigator.clipboard?.writeText(html).then(() => {
         const ind = document.getElementById('autosave-indicator');
         const prev = ind.textContent;
@@ -1776,6 +7018,19 @@
       }).catch(() => alert('Clipboard write failed.'));
     },
 
+    // ── COPY LINK ───────────────────────────────────────────────
+    copyLineLink(idx = activeLineIdx) {
+      const id = notes.index.activeId;
+      if (!id) return;
+      const url = location.href.split('#')[0] + noteLink(id, idx);
+      navigator.clipboard?.writeText(url).then(() => {
+        const ind = document.getElementById('autosave-indicator');
+        const prev = ind.textContent;
+        ind.textContent = '✓ LINK COPIED';
+        setTimeout(() => { ind.textContent = prev; }, 1800);
+      }).catch(() => alert('Clipboard write failed.'));
+    },
+
     // ── FONT SIZE ───────────────────────────────────────────────
     changeFontSize(delta) {
       const root = document.documentElement;
@@ -1791,6 +7046,14 @@
       });
     },
 
+    // ── FORMULAS IN EXPORTS ─────────────────────────────────────
+    toggleExportFormulas(mode) {
+      exportFormulas = mode || (exportFormulas === 'values' ? 'raw' : 'values');
+      document.getElementById('export-formulas-opt').textContent =
+        'Formulas in Exports: ' + (exportFormulas === 'values' ? 'Values' : 'Raw');
+      try { localStorage.setItem('mv_export_formulas', exportFormulas); } catch (_) {}
+    },
+
     // ── TOGGLE LINE NUMBERS ─────────────────────────────────────
     toggleLineNumbers() {
       const on = document.body.classList.toggle('no-line-numbers');
@@ -1813,55 +7076,167 @@
     },
 
     doNoteSearch() {
-      const term = document.getElementById('note-search-input').value.trim();
+      const query = document.getElementById('note-search-input').value.trim();
       const resultsEl = document.getElementById('note-search-results');
-      if (!term) { resultsEl.innerHTML = ''; return; }
-
-      const results = [];
-      const termLower = term.toLowerCase();
-
-      window.notes.index.notes.forEach(({ id, name }) => {
-        const content = window.notes.loadNoteContent(id) || '';
-        const nameLower = name.toLowerCase();
-        const contentLower = content.toLowerCase();
-
-        if (nameLower.includes(termLower) || contentLower.includes(termLower)) {
-          // Find preview snippet around the match
-          let preview = '';
-          const ci = contentLower.indexOf(termLower);
-          if (ci !== -1) {
-            const start = Math.max(0, ci - 40);
-            const end = Math.min(content.length, ci + term.length + 60);
-            preview = (start > 0 ? '…' : '') +
-              escapeHtml(content.slice(start, ci)) +
-              `<mark>${escapeHtml(content.slice(ci, ci + term.length))}</mark>` +
-              escapeHtml(content.slice(ci + term.length, end)) +
-              (end < content.length ? '…' : '');
-          } else {
-            preview = escapeHtml(content.slice(0, 100));
-          }
-          results.push({ id, name, preview });
-        }
-      });
+      if (!query) { resultsEl.innerHTML = ''; return; }
 
+      const results = searchNotes(query);
       if (!results.length) {
         resultsEl.innerHTML = `<div class="search-result-empty">No matches found</div>`;
         return;
       }
 
       resultsEl.innerHTML = results.map(r => `
-        <div class="search-result-item" onclick="app._jumpToNote('${r.id}')">
-          <div class="search-result-name">${escapeHtml(r.name)}</div>
-          <div class="search-result-preview">${r.preview}</div>
+        <div class="search-result-group">
+          <div class="search-result-item" onclick="app._jumpToNote('${r.id}', ${r.hits.length ? r.hits[0].line : -1})">
+            <div class="search-result-name">${escapeHtml(r.name)}${r.folder ? `<span class="search-result-folder">${escapeHtml(r.folder)}</span>` : ''}<span class="search-result-count">${r.hits.length ? `${r.hits.length + r.more} line${r.hits.length + r.more === 1 ? '' : 's'}` : 'title match'}</span></div>
+          </div>
+          ${r.hits.map(h => `
+            <div class="search-result-hit" onclick="app._jumpToNote('${r.id}', ${h.line})">
+              <span class="search-hit-line">${h.line + 1}</span>
+              <span class="search-result-preview">${highlightSearchLine(h.text, query)}</span>
+            </div>`).join('')}
+          ${r.more > 0 ? `<div class="search-result-more">+${r.more} more</div>` : ''}
         </div>
       `).join('');
     },
 
-    _jumpToNote(id) {
+    _jumpToNote(id, line = -1) {
       app.closeNoteSearch();
-      window.notes.switchTo(id);
+      if (id !== notes.index.activeId) window.notes.switchTo(id, line >= 0 ? { line } : undefined);
+      else if (line >= 0) requestAnimationFrame(() => goToLine(line));
+    },
+
+    // ── COMMAND PALETTE ─────────────────────────────────────────
+    openPalette(mode = 'all') {
+      paletteMode = mode;
+      document.getElementById('palette-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      document.getElementById('palette-title').textContent = mode === 'notes' ? 'OPEN NOTE' : 'COMMAND PALETTE';
+      const input = document.getElementById('palette-input');
+      input.placeholder = mode === 'notes' ? 'Type a note name…' : 'Type a command, theme or note…';
+      input.value = '';
+      app.filterPalette();
+      requestAnimationFrame(() => input.focus());
+    },
+
+    // Notes only, most recent first, with the previous note preselected so
+    // Ctrl+O Enter flips between two notes
+    openSwitcher() {
+      app.openPalette('notes');
+      if (paletteItems[0]?.entry.id === 'note:' + notes.index.activeId && paletteItems.length > 1) {
+        paletteSel = 1;
+        renderPalette();
+      }
+    },
+
+    closePalette() {
+      document.getElementById('palette-modal').classList.add('hidden');
+      document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    filterPalette() {
+      paletteItems = filterPalette(document.getElementById('palette-input').value);
+      paletteSel = 0;
+      renderPalette();
+    },
+
+    _movePalette(delta) {
+      if (!paletteItems.length) return;
+      paletteSel = (paletteSel + delta + paletteItems.length) % paletteItems.length;
+      renderPalette();
+    },
+
+    _runPaletteItem(i = paletteSel) {
+      const item = paletteItems[i];
+      if (!item) return;
+      app.closePalette();
+      if (paletteMode === 'all') rememberCommand(item.entry.id);
+      // Give the caret back to the line being edited so commands act on it
+      getLineEl(activeLineIdx)?.querySelector('.line-raw')?.focus();
+      item.entry.run();
+    },
+
+    // ── KEYBOARD SHORTCUTS ──────────────────────────────────────
+    openKeymap() {
+      keymapCapture = null;
+      document.getElementById('keymap-filter').value = '';
+      document.getElementById('keymap-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      renderKeymap();
+      requestAnimationFrame(() => document.getElementById('keymap-filter').focus());
+    },
+
+    closeKeymap() {
+      keymapCapture = null;
+      document.getElementById('keymap-modal').classList.add('hidden');
+      document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    renderKeymap() { renderKeymap(); },
+
+    _captureChord(id) {
+      keymapCapture = id;
+      renderKeymap();
+    },
+
+    _unbindChord(id, i) {
+      setCommandChords(id, commandChords(id).filter((_, j) => j !== i));
+      saveKeymap();
+      renderKeymap();
+    },
+
+    _resetChords(id) {
+      delete keymapOverrides[id];
+      saveKeymap();
+      renderKeymap();
+    },
+
+    resetKeymap() {
+      if (!confirm('Reset every shortcut to its default?')) return;
+      keymapOverrides = {};
+      saveKeymap();
+      renderKeymap();
+    },
+
+    exportKeymap() {
+      const data = { format: 'markvoid-keymap', version: 1, keymap: keymapOverrides };
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'markvoid-keymap.json';
+      a.click();
+      URL.revokeObjectURL(url);
+    },
+
+    importKeymap() {
+      keymapInput.click();
+    },
+
+    // ── WIKI LINKS / BACKLINKS ──────────────────────────────────
+    openWikiLink(target) {
+      const entry = findNoteByName(target);
+      if (entry) { notes.switchTo(entry.id); return; }
+      const name = target.replace(/[^a-zA-Z0-9_ ]/g, '').replace(/\s+/g, ' ').trim();
+      if (!name) { alert(`"${target}" is not a valid note name.`); return; }
+      if (!confirm(`No note named "${target}". Create it?`)) return;
+      notes.createNote(name, undefined, false);
+    },
+
+    toggleBacklinks() {
+      const collapsed = document.getElementById('backlinks').classList.toggle('collapsed');
+      try { localStorage.setItem('mv_backlinks_collapsed', collapsed ? '1' : '0'); } catch (_) {}
+    },
+
+    _openBacklink(id, line) {
+      notes.switchTo(id, { line });
     },
 
+    // ── NAVIGATION HISTORY ──────────────────────────────────────
+    navigateBack()    { navigate(navHistory.back, navHistory.forward); },
+    navigateForward() { navigate(navHistory.forward, navHistory.back); },
+
     toggleStrike()     { app._wrapSelection('~~', '~~'); },
     toggleInlineCode() { app._wrapSelection('`', '`'); },
 
@@ -1883,17 +7258,13 @@
       const n = parseInt(document.getElementById('goto-input').value);
       app.closeGoToLine();
       if (isNaN(n)) return;
-      const idx = Math.max(0, Math.min(lines.length - 1, n - 1));
-      switchToRendered(activeLineIdx);
-      switchToRaw(idx);
-      // Scroll the line into view
-      requestAnimationFrame(() => {
-        getLineEl(idx)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      });
+      goToLine(n - 1);
+      syncLocation(Math.max(0, Math.min(lines.length - 1, n - 1)));
     },
 
     // ── INSERT TABLE ────────────────────────────────────────────
     insertTable() {
+      document.getElementById('table-import').value = '';
       document.getElementById('table-modal').classList.remove('hidden');
       document.getElementById('modal-overlay').classList.remove('hidden');
       requestAnimationFrame(() => document.getElementById('table-cols').focus());
@@ -1907,21 +7278,96 @@
     commitInsertTable() {
       const cols = Math.max(1, Math.min(12, parseInt(document.getElementById('table-cols').value) || 3));
       const rows = Math.max(1, Math.min(50, parseInt(document.getElementById('table-rows').value) || 3));
+      const imported = parseDelimited(document.getElementById('table-import').value);
       app.closeTableModal();
 
-      const sep = '|' + Array(cols).fill(' --- ').join('|') + '|';
-      const headerCells = Array.from({length: cols}, (_, i) => ` Col ${i+1} `).join('|');
-      const header = `|${headerCells}|`;
-      const dataRow = '|' + Array(cols).fill('      ').join('|') + '|';
-
-      const tableLines = [header, sep, ...Array(rows).fill(dataRow)];
-      lines.splice(activeLineIdx + 1, 0, ...tableLines);
-      rebuildFromIndex(activeLineIdx + 1);
-      requestAnimationFrame(() => switchToRaw(activeLineIdx + 1));
+      const tableRows = imported.length ? imported : [
+        Array.from({ length: cols }, (_, i) => `Col ${i + 1}`),
+        ...Array.from({ length: rows }, () => Array(cols).fill(''))
+      ];
+      // Below the caret's block, with blank lines keeping it apart from its neighbours
+      const at = (getBlockRange(activeLineIdx)?.end ?? activeLineIdx) + 1;
+      const before = lines[at - 1]?.trim() ? [''] : [];
+      const after = lines[at]?.trim() ? [''] : [];
+      lines.splice(at, 0, ...before, ...rowsToMdTable(tableRows), ...after);
+      rebuildFromIndex(at);
+      const start = at + before.length;
+      requestAnimationFrame(() => focusTableCell({ start }, 0, 0));
       pushUndo();
       scheduleAutosave();
     },
 
+    importTable() {
+      app.insertTable();
+      requestAnimationFrame(() => document.getElementById('table-import').focus());
+    },
+
+    // ── TABLE EDITING ───────────────────────────────────────────
+    // These act on the table under the caret; Tab and Enter are in handleTableKey
+    tableInsertRow(below) {
+      const t = activeTable();
+      if (!t) return;
+      const at = Math.max(1, t.row + (below ? 1 : 0)); // nothing goes above the header
+      t.rows.splice(at, 0, Array(t.cols).fill(''));
+      writeTable(t, at, t.col);
+    },
+
+    tableDeleteRow() {
+      const t = activeTable();
+      if (!t) return;
+      if (t.row === 0) { alert('The header row can\'t be deleted.'); return; }
+      t.rows.splice(t.row, 1);
+      writeTable(t, Math.min(t.row, t.rows.length - 1), t.col);
+    },
+
+    tableInsertColumn(right) {
+      const t = activeTable();
+      if (!t) return;
+      const at = t.col + (right ? 1 : 0);
+      t.rows.forEach(r => r.splice(at, 0, ''));
+      t.aligns.splice(at, 0, '');
+      writeTable(t, t.row, at);
+    },
+
+    tableDeleteColumn() {
+      const t = activeTable();
+      if (!t) return;
+      if (t.cols === 1) { alert('A table needs at least one column.'); return; }
+      t.rows.forEach(r => r.splice(t.col, 1));
+      t.aligns.splice(t.col, 1);
+      writeTable(t, t.row, Math.min(t.col, t.cols - 2));
+    },
+
+    tableAlign(align) {
+      const t = activeTable();
+      if (!t) return;
+      t.aligns[t.col] = align;
+      writeTable(t, t.row, t.col);
+    },
+
+    // Sort the body rows by the caret's column; numbers compare as numbers
+    tableSort(descending) {
+      const t = activeTable();
+      if (!t) return;
+      const dir = descending ? -1 : 1;
+      const body = t.rows.slice(1).sort((a, b) =>
+        dir * a[t.col].localeCompare(b[t.col], undefined, { numeric: true, sensitivity: 'base' }));
+      t.rows = [t.rows[0], ...body];
+      writeTable(t, t.row, t.col);
+    },
+
+    copyTableAs(format) {
+      const t = activeTable();
+      if (!t) return;
+      const text = toDelimited(t.rows, format === 'tsv' ? '\t' : ',');
+      navigator.clipboard?.writeText(text).then(() => {
+        const ind = document.getElementById('autosave-indicator');
+        const prev = ind.textContent;
+        ind.textContent = `✓ ${format.toUpperCase()} COPIED`;
+        setTimeout(() => { ind.textContent = prev; }, 1800);
+      }).catch(() => alert('Clipboard write failed.'));
+    },
+
     // ── SIDEBAR TOGGLE ──────────────────────────────────────────
     toggleSidebar() {
       const collapsed = document.body.classList.toggle('sidebar-collapsed');
@@ -1950,6 +7396,26 @@
       try { localStorage.setItem('mv_wordwrap', on ? '1' : '0'); } catch (_) {}
     },
 
+    // ── VIM MODE ────────────────────────────────────────────────
+    toggleVim() {
+      vim.enabled = !vim.enabled;
+      vim.keys = [];
+      vim.recording = null;
+      vim.message = '';
+      if (vimVisual()) vimExitVisual();
+      if (vim.enabled) {
+        vimSetMode('normal');
+        vimReadCursor();
+        vimPlace();
+      } else {
+        vim.mode = 'normal';
+        delete document.body.dataset.vim;
+        vimCloseCmdline();
+        vimIndicator();
+      }
+      try { localStorage.setItem('mv_vim', vim.enabled ? '1' : '0'); } catch (_) {}
+    },
+
     // ── ZEN MODE ────────────────────────────────────────────────
     toggleZen() {
       document.body.classList.toggle('zen');
@@ -1958,7 +7424,7 @@
     // ── EXPORT HTML ─────────────────────────────────────────────
     exportHtml() {
       const fullMd = lines.join('\n');
-      const bodyHtml = md.render(fullMd).replace(/<!--[\s\S]*?-->/g, '');
+      const bodyHtml = md.render(fullMd, { formulas: exportFormulas }).replace(/<!--[\s\S]*?-->/g, '');
       const theme = document.body.getAttribute('data-theme') || 'retro-neon';
       const noteName = (window.notes?.index?.notes?.find(n => n.id === window.notes?.index?.activeId)?.name) || 'document';
 
@@ -2024,7 +7490,7 @@ ${bodyHtml}
       document.documentElement.setAttribute('data-theme', theme);
       document.body.setAttribute('data-theme', theme);
 
-      // Map themes to best-matching hljs stylesheets
+      // Map themes to best-matching hljs stylesheets (bundled in vendor/)
       const hljsMap = {
         'white':     'github',
         'sepia':     'github',
@@ -2038,29 +7504,57 @@ ${bodyHtml}
         'red':       'base16/monokai',
       };
       const hljsTheme = hljsMap[theme] || 'atom-one-dark';
-      document.getElementById('hljs-theme').href =
-        `https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/${hljsTheme}.min.css`;
+      document.getElementById('hljs-theme').href = `vendor/highlight.js/styles/${hljsTheme}.min.css`;
 
       if (!silent) saveDocument();
     }
   };
 
   // ── HELPERS ──────────────────────────────────────────────────
+  // Open line idx (0-based, clamped) for editing and scroll it into view
+  function goToLine(idx) {
+    idx = Math.max(0, Math.min(lines.length - 1, idx));
+    if (Math.abs(idx - activeLineIdx) >= NAV_MIN_DISTANCE) recordNav();
+    switchToRendered(activeLineIdx);
+    switchToRaw(idx);
+    requestAnimationFrame(() => {
+      getLineEl(idx)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  }
+
   function escapeRegex(s) {
     return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
   function getSelectedLines() {
-    // Return sorted array of line indices that overlap the current browser selection
-    const sel = window.getSelection();
-    if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return [];
-    const range = sel.getRangeAt(0);
+    // Return sorted array of line indices the current selection spans. Works from
+    // the endpoints' indices so lines outside the rendered window are included.
+    let from = -1, to = -1;
+    if (ksel) {
+      from = Math.min(ksel.anchorLine, ksel.focusLine);
+      to = Math.max(ksel.anchorLine, ksel.focusLine);
+    } else {
+      const sel = window.getSelection();
+      if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return [];
+      const range = sel.getRangeAt(0);
+      const lineIdxOf = (node) => {
+        const el = (node.nodeType === Node.TEXT_NODE ? node.parentElement : node)?.closest?.('.editor-line');
+        return el ? parseInt(el.dataset.idx) : -1;
+      };
+      from = lineIdxOf(range.startContainer);
+      to = lineIdxOf(range.endContainer);
+      if (from < 0 || to < 0) {
+        // An endpoint sits outside any line (e.g. on the container); fall back to
+        // the rendered lines the range touches
+        const hit = [...container.querySelectorAll('.editor-line')]
+          .filter(el => range.intersectsNode(el)).map(el => parseInt(el.dataset.idx));
+        if (hit.length === 0) return [];
+        if (from < 0) from = Math.min(...hit);
+        if (to < 0) to = Math.max(...hit);
+      }
+    }
     const result = [];
-    const allEls = container.querySelectorAll('.editor-line');
-    allEls.forEach((el) => {
-      const i = parseInt(el.dataset.idx);
-      if (range.intersectsNode(el)) result.push(i);
-    });
+    for (let i = Math.max(0, from); i <= Math.min(to, lines.length - 1); i++) result.push(i);
     return result;
   }
 
@@ -2147,6 +7641,58 @@ ${bodyHtml}
     return true;
   }
 
+  // ── LIBRARY INPUT ────────────────────────────────────────────
+  const libraryInput = document.getElementById('library-input');
+  libraryInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    libraryInput.value = '';
+    if (!file) return;
+    file.arrayBuffer().then(parseLibrary).then(imp => {
+      pendingImport = imp;
+      document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+      document.getElementById('import-modal').classList.remove('hidden');
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      renderImportModal();
+    }).catch(ex => alert(`Could not read "${file.name}": ${ex.message || ex}`));
+  });
+
+  // ── VIM COMMAND LINE ─────────────────────────────────────────
+  const vimCmdline = document.getElementById('vim-cmdline');
+  vimCmdline.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      const text = vimCmdline.value;
+      vimCloseCmdline();
+      if (e.key === 'Enter') vimRunCmdline(text);
+      vimSync();
+    }
+  });
+  // Backspacing over the prefix leaves the command line, as in Vim
+  vimCmdline.addEventListener('input', () => {
+    if (vimCmdline.value) return;
+    vimCloseCmdline();
+    vimSync();
+  });
+  vimCmdline.addEventListener('blur', () => {
+    if (!vimCmdline.classList.contains('hidden')) vimCloseCmdline();
+  });
+
+  // ── KEYMAP INPUT ─────────────────────────────────────────────
+  const keymapInput = document.getElementById('keymap-input');
+  keymapInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    keymapInput.value = '';
+    if (!file) return;
+    file.text().then(parseKeymap).then(({ overrides, skipped }) => {
+      keymapOverrides = {};
+      Object.entries(overrides).forEach(([id, chords]) => setCommandChords(id, chords));
+      saveKeymap();
+      renderKeymap();
+      if (skipped) alert(`Imported the keymap; ${skipped} unknown or unusable binding${skipped === 1 ? ' was' : 's were'} skipped.`);
+    }).catch(ex => alert(`Could not read "${file.name}": ${ex.message || ex}`));
+  });
+
   // ── FILE INPUT ───────────────────────────────────────────────
   fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
@@ -2195,94 +7741,57 @@ ${bodyHtml}
 
   // Clear cross-line selection when user clicks elsewhere
   document.addEventListener('mousedown', (e) => {
-    if (!e.target.closest('#editor-pane')) {
-      crossLineSelActive = false;
-    }
-  });
-
-  // ── KEYBOARD SHORTCUTS (GLOBAL) ──────────────────────────────
-  document.addEventListener('keydown', (e) => {
-    if ((e.ctrlKey || e.metaKey) && e.key === 'f') { e.preventDefault(); app.openFind(); }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'h') { e.preventDefault(); app.openFindReplace(); }
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') { e.preventDefault(); saveDocument(); }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
-      if (!e.target.closest('.modal-box')) { e.preventDefault(); app.selectAll(); }
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'd' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.duplicateLine();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === '/' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.toggleComment();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === ']' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.indentLines();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === '[' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.outdentLines();
-    }
-    if (e.altKey && e.key === 'ArrowUp' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.moveLineUp();
-    }
-    if (e.altKey && e.key === 'ArrowDown' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.moveLineDown();
-    }
-    if (e.altKey && (e.key === 'z' || e.key === 'Z') && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.toggleWordWrap();
-    }
-    if (e.key === 'F11') { e.preventDefault(); app.toggleZen(); }
-
-    // New shortcuts
-    if ((e.ctrlKey || e.metaKey) && e.key === 'b' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.toggleBold();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'i' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.toggleItalic();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'k' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.insertLink();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'p' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.printNote();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'Home' && !e.target.closest('.modal-box')) {
-      e.preventDefault();
-      switchToRendered(activeLineIdx);
-      switchToRaw(0);
-      document.getElementById('editor-pane').scrollTop = 0;
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === 'End' && !e.target.closest('.modal-box')) {
-      e.preventDefault();
-      switchToRendered(activeLineIdx);
-      const last = lines.length - 1;
-      switchToRaw(last);
-      document.getElementById('editor-pane').scrollTop = 999999;
-    }
-
-    if ((e.ctrlKey || e.metaKey) && e.key === 'g' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.openGoToLine();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'F') {
-      e.preventDefault(); app.openNoteSearch();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'X' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.toggleStrike();
-    }
-    if ((e.ctrlKey || e.metaKey) && e.key === '`' && !e.target.closest('.modal-box')) {
-      e.preventDefault(); app.toggleInlineCode();
+    if (!e.target.closest('#editor-pane')) {
+      crossLineSelActive = false;
     }
+  });
+
+  // ── KEYBOARD SHORTCUTS (GLOBAL) ──────────────────────────────
+  document.addEventListener('keydown', (e) => {
+    // Vim keys with no line focused, e.g. while a visual selection is drawn
+    if (!e.target.closest?.('.modal-box, input, textarea, select, [contenteditable]') && handleVimKey(e)) return;
+
+    // Shortcuts from the keymap; a line's own handler may have run one already
+    dispatchKeymap(e);
 
     // Enter in goto modal
     if (e.key === 'Enter' && e.target.id === 'goto-input') {
       e.preventDefault(); app.commitGoToLine();
     }
+    // Enter in share modal
+    if (e.key === 'Enter' && e.target.closest('#share-modal')) {
+      e.preventDefault(); app.commitShare();
+    }
+    // Enter in sync modal
+    if (e.key === 'Enter' && e.target.closest('#sync-modal')) {
+      e.preventDefault(); app.commitSync();
+    }
+    // Enter in lock modal
+    if (e.key === 'Enter' && e.target.closest('#lock-modal')) {
+      e.preventDefault(); app.commitLock();
+    }
     // Enter in table modal
-    if (e.key === 'Enter' && e.target.closest('#table-modal')) {
+    if (e.key === 'Enter' && e.target.closest('#table-modal') && e.target.id !== 'table-import') {
       e.preventDefault(); app.commitInsertTable();
     }
     // Enter in link modal
     if (e.key === 'Enter' && e.target.closest('#link-modal')) {
       e.preventDefault(); app.commitLink();
     }
+    // Enter / Shift+Enter in find: step through matches
+    if (e.key === 'Enter' && (e.target.id === 'find-input' || e.target.id === 'replace-input') &&
+        !document.getElementById('opt-all-notes').checked) {
+      e.preventDefault();
+      if (e.target.id === 'replace-input' && !e.shiftKey) app.replaceOne();
+      else if (e.shiftKey) app.findPrev();
+      else app.findNext();
+    }
+    // Arrows / Enter in the command palette
+    if (e.target.id === 'palette-input') {
+      if (e.key === 'ArrowDown') { e.preventDefault(); app._movePalette(1); }
+      if (e.key === 'ArrowUp')   { e.preventDefault(); app._movePalette(-1); }
+      if (e.key === 'Enter')     { e.preventDefault(); app._runPaletteItem(); }
+    }
     // Enter in note search: jump to first result
     if (e.key === 'Enter' && e.target.id === 'note-search-input') {
       const first = document.querySelector('.search-result-item');
@@ -2318,7 +7827,7 @@ ${bodyHtml}
             r.setSelectionRange(pos + 1, pos + 1);
             r.style.height = 'auto';
             r.style.height = r.scrollHeight + 'px';
-            computeFenceStates();
+            linesChanged(crossSel.startLine, crossSel.startLine);
             updateRendered(crossSel.startLine);
             scheduleAutosave();
           }
@@ -2374,16 +7883,172 @@ ${bodyHtml}
     }
   });
 
+  // ── FIND INPUTS ──────────────────────────────────────────────
+  document.getElementById('find-input').addEventListener('input', () => {
+    findState.current = -1;
+    app._refreshFind();
+  });
+  ['opt-case', 'opt-regex'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      findState.current = -1;
+      app._refreshFind();
+    });
+  });
+
+  // ── MULTI-CURSOR MOUSE ───────────────────────────────────────
+  // Capture phase, ahead of the lines' own handlers. Alt+click adds (or
+  // removes) a caret; Alt+drag selects a rectangle, one caret per line.
+  let altDrag = null;       // { line, x, y, boxing }
+  let swallowClick = false; // the click that ends an Alt gesture
+
+  container.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return;
+    const lineEl = e.target.closest?.('.editor-line');
+    if (!e.altKey) {
+      clearMultiCursor();
+      return;
+    }
+    if (!lineEl) return;
+    e.preventDefault();
+    e.stopPropagation();
+    altDrag = { line: parseInt(lineEl.dataset.idx), x: e.clientX, y: e.clientY, boxing: false };
+  }, true);
+
+  document.addEventListener('mousemove', (e) => {
+    if (!altDrag) return;
+    if (!altDrag.boxing && Math.abs(e.clientX - altDrag.x) < 4 && Math.abs(e.clientY - altDrag.y) < 4) return;
+    altDrag.boxing = true;
+    const under = document.elementFromPoint(e.clientX, e.clientY)?.closest?.('.editor-line');
+    const endLine = under ? parseInt(under.dataset.idx) : altDrag.endLine ?? altDrag.line;
+    altDrag.endLine = endLine;
+    const from = Math.min(altDrag.line, endLine), to = Math.max(altDrag.line, endLine);
+    mc = { carets: [], primary: null };
+    for (let i = from; i <= to; i++) {
+      const anchor = columnAt(i, altDrag.x);
+      setCaret(i, anchor, columnAt(i, e.clientX));
+    }
+    if (activeLineIdx >= from && activeLineIdx <= to) switchToRendered(activeLineIdx);
+    renderCarets();
+  });
+
+  document.addEventListener('mouseup', (e) => {
+    if (!altDrag) return;
+    const drag = altDrag;
+    altDrag = null;
+    swallowClick = true;
+    setTimeout(() => { swallowClick = false; }, 0);
+    if (drag.boxing) {
+      if (mc?.carets.length) focusPrimaryCaret(drag.endLine);
+      return;
+    }
+    const col = columnAt(drag.line, e.clientX);
+    const had = mc?.carets.find(c => c.line === drag.line);
+    if (had && had.head === col && had.anchor === col && drag.line !== mc.primary) {
+      // Alt+click on an existing caret removes it
+      mc.carets = mc.carets.filter(c => c !== had);
+      if (mc.carets.length <= 1) {
+        const last = mc.carets[0];
+        mc = null;
+        renderCarets();
+        if (last) focusCaretLine(last);
+        return;
+      }
+      renderCarets();
+      return;
+    }
+    setCaret(drag.line, col);
+    if (mc.carets.length === 1) {
+      // Nothing was focused: this is just a plain caret
+      const only = mc.carets[0];
+      mc = null;
+      focusCaretLine(only);
+    } else if (mc.primary === null) focusPrimaryCaret(drag.line);
+    else renderCarets();
+  });
+
+  container.addEventListener('click', (e) => {
+    if (!swallowClick) return;
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+
+  // Back to a single caret at c
+  function focusCaretLine(c) {
+    if (activeLineIdx !== c.line) switchToRendered(activeLineIdx);
+    switchToRaw(c.line);
+    getLineEl(c.line)?.querySelector('.line-raw')?.setSelectionRange(c.head, c.head);
+  }
+
+  // ── WIKI LINK CLICKS ─────────────────────────────────────────
+  // Capture phase: runs before the line's own click handler opens raw mode
+  container.addEventListener('click', (e) => {
+    const link = e.target.closest?.('.wikilink');
+    if (!link) return;
+    e.preventDefault();
+    e.stopPropagation();
+    app.openWikiLink(link.dataset.note);
+  }, true);
+
+  // ── TAB SYNC MESSAGES ────────────────────────────────────────
+  tabChannel?.addEventListener('message', (e) => receiveTabMessage(e.data));
+  window.addEventListener('storage', (e) => {
+    if (e.key !== TAB_SYNC_KEY || !e.newValue) return;
+    try { receiveTabMessage(JSON.parse(e.newValue)); } catch (_) {}
+  });
+
+  // ── AUTO-LOCK ────────────────────────────────────────────────
+  ['keydown', 'pointerdown', 'wheel'].forEach(type => {
+    document.addEventListener(type, () => noteLocks.touch(), { capture: true, passive: true });
+  });
+
+  // ── LOCATION ─────────────────────────────────────────────────
+  // Back/Forward, edited URLs and #/n/ links inside notes
+  window.addEventListener('hashchange', () => {
+    const link = parseLink(location.hash);
+    if (link) openLink(link);
+  });
+
+  // ── COMMAND PALETTE CLICKS ───────────────────────────────────
+  document.getElementById('palette-results').addEventListener('click', (e) => {
+    const item = e.target.closest('.palette-item');
+    if (item) app._runPaletteItem(parseInt(item.dataset.index));
+  });
+
+  // ── KEYMAP CAPTURE ───────────────────────────────────────────
+  // While a shortcut is being recorded the next chord goes to the keymap
+  // modal instead of running anything.
+  window.addEventListener('keydown', (e) => {
+    if (!keymapCapture) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') { keymapCapture = null; renderKeymap(); return; }
+    const chord = eventChord(e);
+    if (!chord) return;
+    const id = keymapCapture;
+    keymapCapture = null;
+    bindChord(id, chord);
+    renderKeymap();
+  }, true);
+
+  // ── UNDO SELECTION ───────────────────────────────────────────
+  // Note where the caret is before a key or input changes anything, so the
+  // undo entry for that change can put it back
+  const noteSelection = () => { lastSel = currentSelection(); };
+  container.addEventListener('keydown', noteSelection, true);
+  container.addEventListener('beforeinput', noteSelection, true);
+
   // ── TASK LIST CHECKBOX CLICKS ────────────────────────────────
   container.addEventListener('click', (e) => {
     if (e.target.type !== 'checkbox') return;
     const lineEl = e.target.closest('.editor-line');
     if (!lineEl) return;
-    const idx = parseInt(lineEl.dataset.idx);
+    // Checkboxes in a rendered list block say which line they came from
+    const idx = parseInt(e.target.dataset.line ?? lineEl.dataset.idx);
     const checked = e.target.checked;
     lines[idx] = lines[idx]
-      .replace(/^(\s*[-*+]\s)\[[ x]\]/, `$1[${checked ? 'x' : ' '}]`);
-    updateRendered(idx);
+      .replace(/^(\s*(?:[-*+]|\d+[.)])\s+)\[[ xX]\]/, `$1[${checked ? 'x' : ' '}]`);
+    linesChanged(idx, idx);
+    updateRendered(parseInt(lineEl.dataset.idx));
     scheduleAutosave();
     pushUndo();
   });
@@ -2404,46 +8069,290 @@ ${bodyHtml}
   });
 
   // ── NOTES MANAGEMENT ────────────────────────────────────────
-  // Storage layout:
+  // Storage layout (IndexedDB database "markvoid"):
+  //   meta  store, key 'index' → { activeId, notes: [{id, name, folderId?},...],
+  //                                 folders: [{id, name, parentId, collapsed},...], pinned }
+  //   notes store, key id      → { id, content, lastSaved }
+  //   revisions store, key [noteId, ts] → { noteId, ts, content }
+  //   meta  store, key 'dirHandle' → FileSystemDirectoryHandle of the open local folder
+  //   meta  store, key 'webdavState' → what WebDAV sync last saw (see WEBDAV SYNC)
+  // localStorage keeps only UI preferences (mv_theme, mv_fontsize, …).
+  // Older builds kept notes in localStorage as:
   //   mv_notes_index  → { activeId, notes: [{id, name},...] }
   //   mv_note_{id}    → { content, lastSaved }
-  //   mv_theme        → string
+  // and are migrated once on boot (see noteStore.migrateLegacy).
 
   const NOTES_INDEX_KEY = 'mv_notes_index';
-  const NOTE_KEY = id => `mv_note_${id}`;
+  const NOTE_KEY_PREFIX = 'mv_note_';
+  const NOTE_KEY = id => `${NOTE_KEY_PREFIX}${id}`;
   const VALID_NAME = /^[a-zA-Z0-9_ ]+$/;
+  const FOLDER_DRAG_PREFIX = 'folder:';
+
+  const DB_NAME = 'markvoid';
+  const DB_VERSION = 2;
+
+  // ── NOTE STORE ───────────────────────────────────────────────
+  // Thin promise wrapper over IndexedDB. When IndexedDB cannot be opened
+  // (some private-browsing modes) it falls back to the legacy localStorage
+  // layout so the editor still works, just with the old quota.
+  const noteStore = {
+    db: null,
+
+    open() {
+      return new Promise((resolve, reject) => {
+        if (!window.indexedDB) { reject(new Error('IndexedDB unavailable')); return; }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains('notes')) db.createObjectStore('notes', { keyPath: 'id' });
+          if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+          if (!db.objectStoreNames.contains('revisions')) db.createObjectStore('revisions', { keyPath: ['noteId', 'ts'] });
+        };
+        req.onsuccess = () => { this.db = req.result; resolve(this.db); };
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+      });
+    },
+
+    // Run fn(tx) inside a transaction; resolves with fn's return value once
+    // the transaction commits, rejects with the abort reason (e.g. quota).
+    tx(storeNames, mode, fn) {
+      return new Promise((resolve, reject) => {
+        let result;
+        let tx;
+        try {
+          tx = this.db.transaction(storeNames, mode);
+          result = fn(tx);
+        } catch (ex) { reject(ex); return; }
+        tx.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      });
+    },
+
+    getIndex() {
+      if (!this.db) {
+        try {
+          const raw = localStorage.getItem(NOTES_INDEX_KEY);
+          return Promise.resolve(raw ? JSON.parse(raw) : null);
+        } catch (ex) { return Promise.reject(ex); }
+      }
+      return this.tx('meta', 'readonly', tx => tx.objectStore('meta').get('index'))
+        .then(index => index || null);
+    },
+
+    putIndex(index) {
+      if (!this.db) {
+        try {
+          localStorage.setItem(NOTES_INDEX_KEY, JSON.stringify(index));
+          return Promise.resolve();
+        } catch (ex) { return Promise.reject(ex); }
+      }
+      return this.tx('meta', 'readwrite', tx => { tx.objectStore('meta').put(index, 'index'); });
+    },
+
+    getMeta(key) {
+      if (!this.db) return Promise.resolve(undefined);
+      return this.tx('meta', 'readonly', tx => tx.objectStore('meta').get(key));
+    },
+
+    putMeta(key, value) {
+      if (!this.db) return Promise.reject(new Error('IndexedDB unavailable'));
+      return this.tx('meta', 'readwrite', tx => {
+        if (value === undefined) tx.objectStore('meta').delete(key);
+        else tx.objectStore('meta').put(value, key);
+      });
+    },
+
+    getAllNotes() {
+      if (!this.db) {
+        const records = [];
+        try {
+          for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(NOTE_KEY_PREFIX)) continue;
+            const data = JSON.parse(localStorage.getItem(key));
+            records.push({ id: key.slice(NOTE_KEY_PREFIX.length), content: data.content || '', lastSaved: data.lastSaved || 0 });
+          }
+        } catch (ex) { return Promise.reject(ex); }
+        return Promise.resolve(records);
+      }
+      return this.tx('notes', 'readonly', tx => tx.objectStore('notes').getAll());
+    },
+
+    putNote(record) {
+      if (!this.db) {
+        try {
+          localStorage.setItem(NOTE_KEY(record.id), JSON.stringify({ content: record.content, lastSaved: record.lastSaved }));
+          return Promise.resolve();
+        } catch (ex) { return Promise.reject(ex); }
+      }
+      return this.tx('notes', 'readwrite', tx => { tx.objectStore('notes').put(record); });
+    },
+
+    deleteNote(id) {
+      if (!this.db) {
+        try { localStorage.removeItem(NOTE_KEY(id)); } catch (_) {}
+        return Promise.resolve();
+      }
+      return this.tx('notes', 'readwrite', tx => { tx.objectStore('notes').delete(id); });
+    },
+
+    // ── Revisions ────────────────────────────────────────────
+    // Keys are [noteId, ts] so a note's history can be listed with
+    // getAllKeys() without loading every snapshot's content.
+    revisionRange(noteId) {
+      return IDBKeyRange.bound([noteId, 0], [noteId, Infinity]);
+    },
+
+    getRevisions(noteId) {
+      if (!this.db) return Promise.resolve([]);
+      return this.tx('revisions', 'readonly', tx => tx.objectStore('revisions').getAll(this.revisionRange(noteId)));
+    },
+
+    getLatestRevision(noteId) {
+      if (!this.db) return Promise.resolve(null);
+      return this.tx('revisions', 'readonly', tx => {
+        const store = tx.objectStore('revisions');
+        const out = { result: null };
+        store.openCursor(this.revisionRange(noteId), 'prev').onsuccess = (e) => {
+          out.result = e.target.result ? e.target.result.value : null;
+        };
+        return out;
+      });
+    },
+
+    // Add a snapshot and thin the note's history in one transaction.
+    // `replaceLatest` overwrites the newest snapshot instead of adding one.
+    addRevision(rec, replaceLatest) {
+      if (!this.db) return Promise.resolve();
+      return this.tx('revisions', 'readwrite', tx => {
+        const store = tx.objectStore('revisions');
+        store.getAllKeys(this.revisionRange(rec.noteId)).onsuccess = (e) => {
+          let times = e.target.result.map(k => k[1]);
+          if (replaceLatest && times.length) {
+            store.delete([rec.noteId, times[times.length - 1]]);
+            times = times.slice(0, -1);
+          }
+          store.put(rec);
+          const keep = new Set(thinRevisionTimes([...times, rec.ts], rec.ts));
+          times.forEach(ts => { if (!keep.has(ts)) store.delete([rec.noteId, ts]); });
+        };
+      });
+    },
+
+    deleteRevisions(noteId) {
+      if (!this.db) return Promise.resolve();
+      return this.tx('revisions', 'readwrite', tx => { tx.objectStore('revisions').delete(this.revisionRange(noteId)); });
+    },
+
+    // One-time move of mv_notes_index + mv_note_* out of localStorage.
+    // The legacy keys are removed only after the IndexedDB write commits,
+    // so an interrupted migration simply runs again on the next boot.
+    async migrateLegacy() {
+      if (!this.db) return;
+      let legacyIndex = null;
+      const legacyNotes = [];
+      const legacyKeys = [];
+      try {
+        const rawIndex = localStorage.getItem(NOTES_INDEX_KEY);
+        if (rawIndex) { legacyIndex = JSON.parse(rawIndex); legacyKeys.push(NOTES_INDEX_KEY); }
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          if (!key.startsWith(NOTE_KEY_PREFIX)) continue;
+          legacyKeys.push(key);
+          try {
+            const data = JSON.parse(localStorage.getItem(key));
+            legacyNotes.push({ id: key.slice(NOTE_KEY_PREFIX.length), content: data.content || '', lastSaved: data.lastSaved || Date.now() });
+          } catch (_) {}
+        }
+      } catch (_) { return; }
+      if (!legacyKeys.length) return;
+
+      const existing = await this.getIndex();
+      await this.tx(['meta', 'notes'], 'readwrite', tx => {
+        // Never clobber an index that is already in IndexedDB
+        if (legacyIndex && !existing) tx.objectStore('meta').put(legacyIndex, 'index');
+        const store = tx.objectStore('notes');
+        legacyNotes.forEach(rec => store.put(rec));
+      });
+      legacyKeys.forEach(key => { try { localStorage.removeItem(key); } catch (_) {} });
+    }
+  };
 
   const notes = {
     index: { activeId: null, notes: [] }, // loaded from storage
+    records: {}, // id → { content, lastSaved }; in-memory mirror of the notes store
 
     // ── Load/Save index ──────────────────────────────────────
-    loadIndex() {
+    async loadIndex() {
       try {
-        const raw = localStorage.getItem(NOTES_INDEX_KEY);
-        if (raw) this.index = JSON.parse(raw);
+        const stored = await noteStore.getIndex();
+        if (stored) this.index = stored;
       } catch (_) {}
       // Ensure always an array
       if (!Array.isArray(this.index.notes)) this.index.notes = [];
+      if (!Array.isArray(this.index.folders)) this.index.folders = [];
     },
 
+    // Persisting is asynchronous. Failures are reported in the autosave
+    // indicator; the returned promise resolves to false instead of rejecting.
     saveIndex() {
-      localStorage.setItem(NOTES_INDEX_KEY, JSON.stringify(this.index));
+      webdav.scheduleSync();
+      return noteStore.putIndex(this.index).then(() => {
+        broadcast({ type: 'index', index: this.index });
+        return true;
+      }, ex => {
+        console.warn('Saving notes index failed', ex);
+        setSaveError(ex);
+        return false;
+      });
     },
 
     saveNoteContent(id, content) {
-      localStorage.setItem(NOTE_KEY(id), JSON.stringify({ content, lastSaved: Date.now() }));
+      if (isFileId(id)) return localFolder.save(id, content);
+      if (!isLockedContent(content)) {
+        // Encrypt what is typed into an unlocked note; never overwrite a
+        // locked one with the empty text it shows
+        if (noteLocks.open.has(id)) return noteLocks.save(id, content);
+        if (noteLocks.isLocked(id)) return Promise.resolve(false);
+      } else if (noteLocks.open.has(id)) {
+        // Encrypted content from elsewhere (sync, import): lock again
+        const saved = this.storeNote(id, content);
+        noteLocks.closeNote(id);
+        return saved;
+      }
+      return this.storeNote(id, content);
+    },
+
+    // Write a record as is; see saveNoteContent
+    storeNote(id, content) {
+      webdav.scheduleSync();
+      const record = { id, content, lastSaved: Date.now() };
+      this.records[id] = record;
+      if (searchIndex.built) searchIndex.update(id, content);
+      return noteStore.putNote(record).then(() => {
+        broadcast({ type: 'note', id, content, lastSaved: record.lastSaved });
+        return true;
+      }, ex => {
+        console.warn('Saving note failed', ex);
+        setSaveError(ex);
+        return false;
+      });
     },
 
     loadNoteContent(id) {
-      try {
-        const raw = localStorage.getItem(NOTE_KEY(id));
-        if (raw) return JSON.parse(raw).content || '';
-      } catch (_) {}
-      return '';
+      if (isFileId(id)) return localFolder.files.get(id)?.content || '';
+      if (noteLocks.isEncrypted(id)) return noteLocks.open.get(id)?.text || '';
+      return this.records[id]?.content || '';
     },
 
     deleteNoteStorage(id) {
-      localStorage.removeItem(NOTE_KEY(id));
+      delete this.records[id];
+      searchIndex.remove(id);
+      delete lastRevision[id];
+      noteStore.deleteNote(id).catch(ex => console.warn('Deleting note failed', ex));
+      noteStore.deleteRevisions(id).catch(ex => console.warn('Deleting revisions failed', ex));
     },
 
     // ── Generate unique ID ───────────────────────────────────
@@ -2454,28 +8363,46 @@ ${bodyHtml}
     // ── Save current editor content to active note ───────────
     flushCurrent() {
       if (!this.index.activeId) return;
+      collabFlush();
+      rememberView();
+      // Leaving a note in conflict keeps our version (theirs is in Revision History)
+      if (tabSync.conflict === this.index.activeId) resolveTabConflict(null);
+      // This save replaces the pending autosave, history included
+      clearTimeout(autosaveTimer);
+      const id = this.index.activeId;
       const content = lines.join('\n');
-      this.saveNoteContent(this.index.activeId, content);
+      return this.saveNoteContent(id, content).then(ok => {
+        if (!ok) return false;
+        const current = this.index.activeId;
+        if (current === id) lastSavedContent = content;
+        if (lines.join('\n') === (current === id ? content : this.loadNoteContent(current))) setSaved();
+        if (!isFileId(id)) recordRevision(id, content);
+        return true;
+      });
     },
 
     // ── Switch to a note ─────────────────────────────────────
-    switchTo(id) {
+    // view: { line, col?, scroll? } to open at; the note's last view otherwise
+    switchTo(id, view) {
       if (id === this.index.activeId) return;
 
       // Save current before switching
+      recordNav();
       this.flushCurrent();
 
       this.index.activeId = id;
+      this.revealNote(id);
       this.saveIndex();
 
       const content = this.loadNoteContent(id);
-      setContent(content || '');
+      setContent(content || '', view || noteViews[id]);
 
       this.renderList();
+      syncLocation();
     },
 
     // ── Create new note ──────────────────────────────────────
-    createNote(name) {
+    createNote(name, folderId, rename = true) {
       name = (name || 'Untitled').trim();
       if (!VALID_NAME.test(name)) name = 'Untitled';
 
@@ -2488,32 +8415,39 @@ ${bodyHtml}
       }
 
       const id = this.genId();
-      this.index.notes.push({ id, name: finalName });
+      const entry = { id, name: finalName };
+      if (folderId && this.getFolder(folderId)) entry.folderId = folderId;
+      this.index.notes.push(entry);
 
       // Save current, switch to new
       this.flushCurrent();
       this.index.activeId = id;
+      this.revealNote(id);
       this.saveIndex();
       this.saveNoteContent(id, '');
       setContent('');
       this.renderList();
+      syncLocation();
 
       // Immediately put new note into rename mode
-      requestAnimationFrame(() => this.startRename(id));
+      if (rename) requestAnimationFrame(() => this.startRename(id));
     },
 
     // ── Duplicate a note ─────────────────────────────────────────
     duplicateNote(id) {
       const orig = this.index.notes.find(n => n.id === id);
       if (!orig) return;
-      const content = this.loadNoteContent(id);
+      // A locked note's copy stays encrypted under the same passphrase
+      const content = noteLocks.isEncrypted(id) ? this.records[id].content : this.loadNoteContent(id);
       const newId = this.genId();
       let name = orig.name + ' Copy';
       const existing = this.index.notes.map(n => n.name);
       let count = 2;
       while (existing.includes(name)) name = orig.name + ' Copy ' + count++;
       const origIdx = this.index.notes.findIndex(n => n.id === id);
-      this.index.notes.splice(origIdx + 1, 0, { id: newId, name });
+      const copy = { id: newId, name };
+      if (orig.folderId) copy.folderId = orig.folderId;
+      this.index.notes.splice(origIdx + 1, 0, copy);
       this.saveNoteContent(newId, content);
       this.saveIndex();
       this.renderList();
@@ -2536,6 +8470,8 @@ ${bodyHtml}
       if (!confirm(`Delete note "${entry.name}"?`)) return;
 
       this.deleteNoteStorage(id);
+      forgetView(id);
+      if (id === collab.noteId) collabReset();
       this.index.notes = this.index.notes.filter(n => n.id !== id);
 
       if (this.index.activeId === id) {
@@ -2544,7 +8480,8 @@ ${bodyHtml}
         if (next) {
           this.index.activeId = next.id;
           const content = this.loadNoteContent(next.id);
-          setContent(content || '');
+          setContent(content || '', noteViews[next.id]);
+          syncLocation(undefined, true);
         } else {
           // No notes left — create a default one
           this.index.activeId = null;
@@ -2557,6 +8494,8 @@ ${bodyHtml}
 
       this.saveIndex();
       this.renderList();
+      refreshWikiLinks();
+      renderBacklinks();
     },
 
     // ── Start inline rename ───────────────────────────────────
@@ -2595,6 +8534,11 @@ ${bodyHtml}
         if (note) note.name = finalName;
         this.saveIndex();
         this.renderList();
+        if (finalName !== current) {
+          rewriteWikiLinks(current, finalName);
+          refreshWikiLinks();
+          renderBacklinks();
+        }
       };
 
       input.addEventListener('keydown', (e) => {
@@ -2607,127 +8551,423 @@ ${bodyHtml}
       input.addEventListener('blur', commit);
     },
 
+    // ── Folders ───────────────────────────────────────────────
+    getFolder(id) {
+      return this.index.folders.find(f => f.id === id) || null;
+    },
+
+    // "Parent / Child" path of a folder, or '' for the top level
+    folderPath(folderId) {
+      const parts = [];
+      let f = this.getFolder(folderId);
+      while (f) { parts.unshift(f.name); f = this.getFolder(f.parentId); }
+      return parts.join(' / ');
+    },
+
+    // True if `folderId` is `ancestorId` or nested anywhere inside it
+    isInFolder(folderId, ancestorId) {
+      let f = this.getFolder(folderId);
+      while (f) {
+        if (f.id === ancestorId) return true;
+        f = this.getFolder(f.parentId);
+      }
+      return false;
+    },
+
+    uniqueFolderName(name, parentId, exceptId) {
+      const siblings = this.index.folders
+        .filter(f => (f.parentId || null) === (parentId || null) && f.id !== exceptId)
+        .map(f => f.name);
+      let finalName = name;
+      let count = 2;
+      while (siblings.includes(finalName)) finalName = `${name} ${count++}`;
+      return finalName;
+    },
+
+    createFolder(parentId) {
+      parentId = parentId && this.getFolder(parentId) ? parentId : null;
+      const id = 'f' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+      this.index.folders.push({ id, name: this.uniqueFolderName('New Folder', parentId), parentId, collapsed: false });
+      if (parentId) this.getFolder(parentId).collapsed = false;
+      this.saveIndex();
+      this.renderList();
+      requestAnimationFrame(() => this.startFolderRename(id));
+    },
+
+    toggleFolder(id) {
+      const folder = this.getFolder(id);
+      if (!folder) return;
+      folder.collapsed = !folder.collapsed;
+      this.saveIndex();
+      this.renderList();
+    },
+
+    // Expand every folder on the path to a note so its row is visible
+    revealNote(id) {
+      const entry = this.index.notes.find(n => n.id === id);
+      let f = entry && this.getFolder(entry.folderId);
+      while (f) { f.collapsed = false; f = this.getFolder(f.parentId); }
+    },
+
+    moveNoteToFolder(noteId, folderId) {
+      const entry = this.index.notes.find(n => n.id === noteId);
+      if (!entry) return;
+      if (folderId && this.getFolder(folderId)) entry.folderId = folderId;
+      else delete entry.folderId;
+      this.revealNote(noteId);
+      this.saveIndex();
+      this.renderList();
+    },
+
+    moveFolder(id, parentId) {
+      const folder = this.getFolder(id);
+      if (!folder) return;
+      parentId = parentId || null;
+      // A folder cannot be moved into itself or one of its descendants
+      if (parentId && this.isInFolder(parentId, id)) return;
+      if ((folder.parentId || null) === parentId) return;
+      folder.parentId = parentId;
+      folder.name = this.uniqueFolderName(folder.name, parentId, id);
+      if (parentId) this.getFolder(parentId).collapsed = false;
+      this.saveIndex();
+      this.renderList();
+    },
+
+    // Deleting a folder keeps its contents: notes and subfolders move up
+    // to the deleted folder's parent.
+    deleteFolder(id) {
+      const folder = this.getFolder(id);
+      if (!folder) return;
+      const parentId = folder.parentId || null;
+      const where = parentId ? `"${this.folderPath(parentId)}"` : 'the top level';
+      if (!confirm(`Delete folder "${folder.name}"? Its notes and subfolders move to ${where}.`)) return;
+      this.index.notes.forEach(n => {
+        if (n.folderId !== id) return;
+        if (parentId) n.folderId = parentId;
+        else delete n.folderId;
+      });
+      this.index.folders.forEach(f => {
+        if (f.parentId === id) {
+          f.parentId = parentId;
+          f.name = this.uniqueFolderName(f.name, parentId, f.id);
+        }
+      });
+      this.index.folders = this.index.folders.filter(f => f.id !== id);
+      this.saveIndex();
+      this.renderList();
+    },
+
+    startFolderRename(id) {
+      const row = document.querySelector(`.folder-entry[data-folder-id="${id}"]`);
+      const folder = this.getFolder(id);
+      if (!row || !folder) return;
+      const nameEl = row.querySelector('.note-name');
+      if (!nameEl) return;
+
+      const current = folder.name;
+      const input = document.createElement('input');
+      input.className = 'note-name-input';
+      input.value = current;
+      input.maxLength = 60;
+      nameEl.replaceWith(input);
+      row.querySelector('.note-actions').style.display = 'none';
+      input.focus();
+      input.select();
+
+      const commit = () => {
+        let val = input.value.trim().replace(/[^a-zA-Z0-9_ ]/g, '').trim();
+        if (!val) val = current;
+        folder.name = this.uniqueFolderName(val, folder.parentId, id);
+        this.saveIndex();
+        this.renderList();
+      };
+
+      input.addEventListener('click', (e) => e.stopPropagation());
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); input.blur(); }
+        if (e.key === 'Escape') { input.value = current; input.blur(); }
+        if (e.key.length === 1 && !VALID_NAME.test(e.key)) e.preventDefault();
+      });
+      input.addEventListener('blur', commit);
+    },
+
     // ── Render the sidebar list ───────────────────────────────
     renderList() {
       const list = document.getElementById('notes-list');
       if (!list) return;
       list.innerHTML = '';
 
-      // Sort: pinned notes first
-      const pinned = this.index.pinned || [];
-      const sorted = [
-        ...this.index.notes.filter(n => pinned.includes(n.id)),
-        ...this.index.notes.filter(n => !pinned.includes(n.id))
-      ];
-
-      sorted.forEach(({ id, name }) => {
-        const row = document.createElement('div');
-        const isPinned = pinned.includes(id);
-        row.className = 'note-entry' + (id === this.index.activeId ? ' active' : '') + (isPinned ? ' pinned' : '');
-        row.dataset.id = id;
-        row.draggable = true;
-
-        // Last modified tooltip
-        try {
-          const stored = localStorage.getItem(NOTE_KEY(id));
-          if (stored) {
-            const data = JSON.parse(stored);
-            if (data.lastSaved) {
-              const d = new Date(data.lastSaved);
-              const pad = n => String(n).padStart(2, '0');
-              row.dataset.modified = `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
-            }
-          }
-        } catch (_) {}
+      // Dropping on empty list space moves a note or folder to the top level
+      list.ondragover = (e) => { e.preventDefault(); };
+      list.ondrop = (e) => {
+        e.preventDefault();
+        const draggedId = e.dataTransfer.getData('text/plain');
+        if (draggedId.startsWith(FOLDER_DRAG_PREFIX)) this.moveFolder(draggedId.slice(FOLDER_DRAG_PREFIX.length), null);
+        else this.moveNoteToFolder(draggedId, null);
+      };
 
-        const icon = document.createElement('div');
-        icon.className = 'note-icon';
-        icon.textContent = '▸';
+      // Folders first, then notes with pinned notes first, at every level
+      const pinned = this.index.pinned || [];
+      const renderLevel = (folderId, depth) => {
+        this.index.folders
+          .filter(f => (f.parentId || null) === folderId)
+          .forEach(folder => {
+            list.appendChild(this.buildFolderRow(folder, depth, list));
+            if (!folder.collapsed) renderLevel(folder.id, depth + 1);
+          });
+        const inFolder = this.index.notes.filter(n => (n.folderId || null) === folderId);
+        [
+          ...inFolder.filter(n => pinned.includes(n.id)),
+          ...inFolder.filter(n => !pinned.includes(n.id))
+        ].forEach(entry => list.appendChild(this.buildNoteRow(entry, depth, list)));
+      };
+      renderLevel(null, 0);
+      localFolder.render();
+    },
 
-        const nameEl = document.createElement('div');
-        nameEl.className = 'note-name';
-        nameEl.textContent = name;
-        nameEl.title = name;
-
-        const actions = document.createElement('div');
-        actions.className = 'note-actions';
-
-        const renameBtn = document.createElement('button');
-        renameBtn.className = 'note-btn';
-        renameBtn.textContent = '✎';
-        renameBtn.title = 'Rename';
-        renameBtn.addEventListener('click', (e) => { e.stopPropagation(); this.startRename(id); });
-
-        const dupBtn = document.createElement('button');
-        dupBtn.className = 'note-btn dup';
-        dupBtn.textContent = '⧉';
-        dupBtn.title = 'Duplicate note';
-        dupBtn.addEventListener('click', (e) => { e.stopPropagation(); this.duplicateNote(id); });
-
-        const pinBtn = document.createElement('button');
-        pinBtn.className = 'note-btn';
-        pinBtn.textContent = this.index.pinned?.includes(id) ? '★' : '☆';
-        pinBtn.title = 'Pin/unpin';
-        pinBtn.addEventListener('click', (e) => { e.stopPropagation(); this.togglePin(id); });
-
-        const delBtn = document.createElement('button');
-        delBtn.className = 'note-btn del';
-        delBtn.textContent = '✕';
-        delBtn.title = 'Delete';
-        delBtn.addEventListener('click', (e) => { e.stopPropagation(); this.deleteNote(id); });
-
-        actions.appendChild(pinBtn);
-        actions.appendChild(renameBtn);
-        actions.appendChild(dupBtn);
-        actions.appendChild(delBtn);
+    buildFolderRow(folder, depth, list) {
+      const { id } = folder;
+      const row = document.createElement('div');
+      row.className = 'note-entry folder-entry' + (folder.collapsed ? ' collapsed' : '');
+      row.dataset.folderId = id;
+      row.draggable = true;
+      row.style.setProperty('--depth', depth);
+
+      const icon = document.createElement('div');
+      icon.className = 'note-icon';
+      icon.textContent = folder.collapsed ? '▸' : '▾';
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'note-name';
+      nameEl.textContent = folder.name;
+      nameEl.title = this.folderPath(id);
+
+      const actions = document.createElement('div');
+      actions.className = 'note-actions';
+
+      const addBtn = document.createElement('button');
+      addBtn.className = 'note-btn';
+      addBtn.textContent = '＋';
+      addBtn.title = 'New note here';
+      addBtn.addEventListener('click', (e) => { e.stopPropagation(); this.createNote('Untitled', id); });
+
+      const subBtn = document.createElement('button');
+      subBtn.className = 'note-btn';
+      subBtn.textContent = '⊞';
+      subBtn.title = 'New subfolder';
+      subBtn.addEventListener('click', (e) => { e.stopPropagation(); this.createFolder(id); });
+
+      const renameBtn = document.createElement('button');
+      renameBtn.className = 'note-btn';
+      renameBtn.textContent = '✎';
+      renameBtn.title = 'Rename folder';
+      renameBtn.addEventListener('click', (e) => { e.stopPropagation(); this.startFolderRename(id); });
+
+      const delBtn = document.createElement('button');
+      delBtn.className = 'note-btn del';
+      delBtn.textContent = '✕';
+      delBtn.title = 'Delete folder';
+      delBtn.addEventListener('click', (e) => { e.stopPropagation(); this.deleteFolder(id); });
+
+      actions.appendChild(addBtn);
+      actions.appendChild(subBtn);
+      actions.appendChild(renameBtn);
+      actions.appendChild(delBtn);
+
+      row.appendChild(icon);
+      row.appendChild(nameEl);
+      row.appendChild(actions);
+
+      row.addEventListener('click', () => this.toggleFolder(id));
+      row.addEventListener('dblclick', (e) => { e.stopPropagation(); this.startFolderRename(id); });
+
+      // ── Drag: folders can be nested; notes dropped here move in ──
+      row.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', FOLDER_DRAG_PREFIX + id);
+        e.dataTransfer.effectAllowed = 'move';
+        setTimeout(() => row.classList.add('dragging-note'), 0);
+      });
+      row.addEventListener('dragend', () => {
+        row.classList.remove('dragging-note');
+        list.querySelectorAll('.drag-over-note, .drag-into-folder').forEach(el => el.classList.remove('drag-over-note', 'drag-into-folder'));
+      });
+      row.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'move';
+        list.querySelectorAll('.drag-over-note, .drag-into-folder').forEach(el => el.classList.remove('drag-over-note', 'drag-into-folder'));
+        row.classList.add('drag-into-folder');
+      });
+      row.addEventListener('dragleave', () => {
+        row.classList.remove('drag-into-folder');
+      });
+      row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        row.classList.remove('drag-into-folder');
+        const draggedId = e.dataTransfer.getData('text/plain');
+        if (draggedId.startsWith(FOLDER_DRAG_PREFIX)) {
+          this.moveFolder(draggedId.slice(FOLDER_DRAG_PREFIX.length), id);
+        } else {
+          this.moveNoteToFolder(draggedId, id);
+        }
+      });
 
-        row.appendChild(icon);
-        row.appendChild(nameEl);
-        row.appendChild(actions);
+      return row;
+    },
 
-        row.addEventListener('click', () => this.switchTo(id));
-        row.addEventListener('dblclick', (e) => { e.stopPropagation(); this.startRename(id); });
+    buildNoteRow({ id, name, folderId }, depth, list) {
+      const pinned = this.index.pinned || [];
+      const row = document.createElement('div');
+      const isPinned = pinned.includes(id);
+      const encrypted = noteLocks.isEncrypted(id);
+      const locked = encrypted && !noteLocks.open.has(id);
+      row.className = 'note-entry' + (id === this.index.activeId ? ' active' : '') + (isPinned ? ' pinned' : '') + (locked ? ' locked' : '');
+      row.dataset.id = id;
+      row.draggable = true;
+
+      // Last modified tooltip
+      const lastSaved = this.records[id]?.lastSaved;
+      if (lastSaved) {
+        const d = new Date(lastSaved);
+        const pad = n => String(n).padStart(2, '0');
+        row.dataset.modified = `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+      }
 
-        // ── Drag-to-reorder ──────────────────────────────────
-        row.addEventListener('dragstart', (e) => {
-          e.dataTransfer.setData('text/plain', id);
-          e.dataTransfer.effectAllowed = 'move';
-          setTimeout(() => row.classList.add('dragging-note'), 0);
-        });
-        row.addEventListener('dragend', () => {
-          row.classList.remove('dragging-note');
-          list.querySelectorAll('.drag-over-note').forEach(el => el.classList.remove('drag-over-note'));
-        });
-        row.addEventListener('dragover', (e) => {
-          e.preventDefault();
-          e.dataTransfer.dropEffect = 'move';
-          list.querySelectorAll('.drag-over-note').forEach(el => el.classList.remove('drag-over-note'));
-          row.classList.add('drag-over-note');
-        });
-        row.addEventListener('dragleave', () => {
-          row.classList.remove('drag-over-note');
-        });
-        row.addEventListener('drop', (e) => {
-          e.preventDefault();
-          row.classList.remove('drag-over-note');
-          const draggedId = e.dataTransfer.getData('text/plain');
-          if (draggedId === id) return;
-          const fromIdx = this.index.notes.findIndex(n => n.id === draggedId);
-          const toIdx   = this.index.notes.findIndex(n => n.id === id);
-          if (fromIdx === -1 || toIdx === -1) return;
-          const [moved] = this.index.notes.splice(fromIdx, 1);
-          this.index.notes.splice(toIdx, 0, moved);
-          this.saveIndex();
-          this.renderList();
-        });
+      row.style.setProperty('--depth', depth);
+
+      const icon = document.createElement('div');
+      icon.className = 'note-icon';
+      icon.textContent = locked ? '🔒' : encrypted ? '🔓' : '▸';
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'note-name';
+      nameEl.textContent = name;
+      nameEl.title = locked ? `${name} (locked)` : name;
+
+      const actions = document.createElement('div');
+      actions.className = 'note-actions';
+
+      const renameBtn = document.createElement('button');
+      renameBtn.className = 'note-btn';
+      renameBtn.textContent = '✎';
+      renameBtn.title = 'Rename';
+      renameBtn.addEventListener('click', (e) => { e.stopPropagation(); this.startRename(id); });
+
+      const dupBtn = document.createElement('button');
+      dupBtn.className = 'note-btn dup';
+      dupBtn.textContent = '⧉';
+      dupBtn.title = 'Duplicate note';
+      dupBtn.addEventListener('click', (e) => { e.stopPropagation(); this.duplicateNote(id); });
+
+      const pinBtn = document.createElement('button');
+      pinBtn.className = 'note-btn';
+      pinBtn.textContent = this.index.pinned?.includes(id) ? '★' : '☆';
+      pinBtn.title = 'Pin/unpin';
+      pinBtn.addEventListener('click', (e) => { e.stopPropagation(); this.togglePin(id); });
+
+      const histBtn = document.createElement('button');
+      histBtn.className = 'note-btn';
+      histBtn.textContent = '⟲';
+      histBtn.title = 'Revision history';
+      histBtn.addEventListener('click', (e) => { e.stopPropagation(); app.openHistory(id); });
+
+      const lockBtn = document.createElement('button');
+      lockBtn.className = 'note-btn';
+      lockBtn.textContent = '⚿';
+      lockBtn.title = locked ? 'Unlock' : encrypted ? 'Lock now' : 'Lock with a passphrase';
+      lockBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (encrypted && !locked) noteLocks.relock(id);
+        else app.openLock(id);
+      });
 
-        list.appendChild(row);
+      const delBtn = document.createElement('button');
+      delBtn.className = 'note-btn del';
+      delBtn.textContent = '✕';
+      delBtn.title = 'Delete';
+      delBtn.addEventListener('click', (e) => { e.stopPropagation(); this.deleteNote(id); });
+
+      actions.appendChild(pinBtn);
+      actions.appendChild(renameBtn);
+      actions.appendChild(dupBtn);
+      actions.appendChild(histBtn);
+      actions.appendChild(lockBtn);
+      actions.appendChild(delBtn);
+
+      row.appendChild(icon);
+      row.appendChild(nameEl);
+      row.appendChild(actions);
+
+      row.addEventListener('click', () => this.switchTo(id));
+      row.addEventListener('dblclick', (e) => { e.stopPropagation(); this.startRename(id); });
+
+      // ── Drag-to-reorder ──────────────────────────────────
+      row.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', id);
+        e.dataTransfer.effectAllowed = 'move';
+        setTimeout(() => row.classList.add('dragging-note'), 0);
+      });
+      row.addEventListener('dragend', () => {
+        row.classList.remove('dragging-note');
+        list.querySelectorAll('.drag-over-note').forEach(el => el.classList.remove('drag-over-note'));
+      });
+      row.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'move';
+        list.querySelectorAll('.drag-over-note').forEach(el => el.classList.remove('drag-over-note'));
+        row.classList.add('drag-over-note');
       });
+      row.addEventListener('dragleave', () => {
+        row.classList.remove('drag-over-note');
+      });
+      row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        row.classList.remove('drag-over-note');
+        const draggedId = e.dataTransfer.getData('text/plain');
+        if (draggedId === id) return;
+        // A folder dropped on a note joins that note's folder
+        if (draggedId.startsWith(FOLDER_DRAG_PREFIX)) {
+          this.moveFolder(draggedId.slice(FOLDER_DRAG_PREFIX.length), folderId || null);
+          return;
+        }
+        const fromIdx = this.index.notes.findIndex(n => n.id === draggedId);
+        if (fromIdx === -1) return;
+        const [moved] = this.index.notes.splice(fromIdx, 1);
+        const toIdx = this.index.notes.findIndex(n => n.id === id);
+        this.index.notes.splice(toIdx, 0, moved);
+        // Dropping onto a note adopts that note's folder
+        if (folderId) moved.folderId = folderId;
+        else delete moved.folderId;
+        this.saveIndex();
+        this.renderList();
+      });
+
+      return row;
     },
 
     // ── Boot ─────────────────────────────────────────────────
-    init() {
-      this.loadIndex();
+    async init() {
+      try {
+        await noteStore.open();
+      } catch (ex) {
+        console.warn('IndexedDB unavailable, falling back to localStorage', ex);
+      }
+      try {
+        await noteStore.migrateLegacy();
+      } catch (ex) {
+        console.warn('Migrating notes from localStorage failed', ex);
+        setSaveError(ex);
+      }
+
+      await this.loadIndex();
+      try {
+        (await noteStore.getAllNotes()).forEach(rec => { this.records[rec.id] = rec; });
+      } catch (ex) {
+        console.warn('Loading notes failed', ex);
+      }
 
       if (this.index.notes.length === 0) {
         // First run — migrate old single document if present
@@ -2807,13 +9047,25 @@ ${bodyHtml}
   function saveDocument() {
     const content = lines.join('\n');
     const theme = document.body.getAttribute('data-theme') || 'retro-neon';
-    if (notes.index.activeId) {
-      notes.saveNoteContent(notes.index.activeId, content);
-    }
     // Also save theme
     try { localStorage.setItem('mv_theme', theme); } catch (_) {}
-    setSaved();
-    lastSavedContent = content;
+    if (!notes.index.activeId) { setSaved(); return; }
+    rememberView();
+    // Another tab saved this note over our edits; wait for the user's choice
+    if (tabSync.conflict === notes.index.activeId) return;
+    // Nothing to save behind the lock screen
+    if (noteLocks.isLocked(notes.index.activeId)) { setSaved(); return; }
+    // The note may be switched while the write is in flight
+    const id = notes.index.activeId;
+    notes.saveNoteContent(id, content).then(ok => {
+      if (!ok) return; // indicator already shows the error
+      if (id === notes.index.activeId) {
+        lastSavedContent = content;
+        // Only claim SAVED if nothing was typed while the write was in flight
+        if (lines.join('\n') === content) setSaved();
+      }
+      if (!isFileId(id)) recordRevision(id, content);
+    });
   }
 
   // ── INIT ─────────────────────────────────────────────────────
@@ -2838,6 +9090,11 @@ ${bodyHtml}
       if (localStorage.getItem('mv_wordwrap') === '1') app.toggleWordWrap();
     } catch (_) {}
 
+    // Restore vim mode
+    try {
+      if (localStorage.getItem('mv_vim') === '1') app.toggleVim();
+    } catch (_) {}
+
     // Restore font size
     try {
       const fs = localStorage.getItem('mv_fontsize');
@@ -2850,6 +9107,18 @@ ${bodyHtml}
       }
     } catch (_) {}
 
+    // Restore backlinks panel state
+    try {
+      if (localStorage.getItem('mv_backlinks_collapsed') === '1') {
+        document.getElementById('backlinks').classList.add('collapsed');
+      }
+    } catch (_) {}
+
+    // Restore how exports write formula cells
+    try {
+      if (localStorage.getItem('mv_export_formulas') === 'raw') app.toggleExportFormulas('raw');
+    } catch (_) {}
+
     // Restore line numbers preference
     try {
       if (localStorage.getItem('mv_linenumbers') === '0') {
@@ -2857,11 +9126,25 @@ ${bodyHtml}
       }
     } catch (_) {}
 
-    // Boot notes system — returns content of active note
-    const content = notes.init();
+    // Menu shortcut labels follow the keymap
+    updateMenuShortcuts();
+
+    // Boot notes system — resolves with content of active note
+    notes.init().then(content => {
+      setContent(content || '', noteViews[notes.index.activeId]);
+      localFolder.restore();
+      webdav.restore();
+      // Open the note the URL points at, or make the URL point at this one
+      const link = parseLink(location.hash);
+      if (!link || !openLink(link)) syncLocation(undefined, true);
+    }).catch(ex => {
+      console.warn('Loading notes failed', ex);
+      setSaveError(ex);
+      setContent('');
+    });
 
-    setContent(content || '');
-    undoStack.push(lines.slice());
+    // Offline support and update notices
+    registerServiceWorker();
   }
 
   // Expose app globally
@@ -0,0 +1,155 @@
+// ── MarkVoid CRDT ────────────────────────────────────────────
+// A replicated growable array (RGA) of characters backing a shared note.
+// Lines are just the text split on '\n', so splitting or joining lines is an
+// ordinary insert or delete of a newline and merges like any other edit.
+// Loaded as a plain script in the page (window.MarkvoidCRDT) and with
+// require() in Node.
+//
+// Every character has an id { c, s }: a Lamport counter and the id of the
+// site that typed it. An insert names the character it goes after (ref);
+// concurrent inserts after the same character are ordered by id, highest
+// first, so every replica ends up with the same sequence whatever order the
+// ops arrive in. Deleted characters stay as tombstones so later ops can
+// still refer to them.
+//
+// Ops (plain JSON, sent as is):
+//   { t: 'i', c, s, ref, text }   text[k] gets id (c + k, s) and goes after
+//                                 text[k - 1], the first after ref (a key or null)
+//   { t: 'd', ids: [key, …] }
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MarkvoidCRDT = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const key = (c, s) => c + '@' + s;
+
+  // Positive when id a orders before id b among siblings
+  function compareIds(a, b) {
+    if (a.c !== b.c) return a.c - b.c;
+    return a.s < b.s ? -1 : a.s > b.s ? 1 : 0;
+  }
+
+  class RGA {
+    constructor(site) {
+      this.site = site;
+      this.clock = 0;
+      this.chars = [];        // { c, s, key, ch, deleted } in document order
+      this.byKey = new Map();
+      this.ops = [];          // every op integrated, for replaying to a fresh relay
+      this.pending = [];      // ops whose ref has not arrived yet
+    }
+
+    text() {
+      let out = '';
+      for (const el of this.chars) if (!el.deleted) out += el.ch;
+      return out;
+    }
+
+    // Index into chars of the visible character at pos, or chars.length
+    indexOfVisible(pos) {
+      let seen = 0;
+      for (let i = 0; i < this.chars.length; i++) {
+        if (this.chars[i].deleted) continue;
+        if (seen === pos) return i;
+        seen++;
+      }
+      return this.chars.length;
+    }
+
+    // Key of the visible character at pos; null before the start
+    keyAt(pos) {
+      if (pos < 0) return null;
+      return this.chars[this.indexOfVisible(pos)]?.key ?? null;
+    }
+
+    // Number of visible characters up to and including k (a deleted one
+    // counts as the last visible character before it); 0 for null
+    offsetAfter(k) {
+      if (k === null) return 0;
+      let seen = 0;
+      for (const el of this.chars) {
+        if (!el.deleted) seen++;
+        if (el.key === k) return seen;
+      }
+      return 0;
+    }
+
+    // Local edits. Each returns the op to send, already applied here.
+    insert(pos, text) {
+      if (!text) return null;
+      const op = { t: 'i', c: this.clock + 1, s: this.site, ref: this.keyAt(pos - 1), text };
+      this.apply(op);
+      return op;
+    }
+
+    remove(pos, length) {
+      const ids = [];
+      let i = this.indexOfVisible(pos);
+      for (; i < this.chars.length && ids.length < length; i++) {
+        if (!this.chars[i].deleted) ids.push(this.chars[i].key);
+      }
+      if (!ids.length) return null;
+      const op = { t: 'd', ids };
+      this.apply(op);
+      return op;
+    }
+
+    // Integrate a local or remote op. Ops already seen are ignored, so the
+    // whole log can be replayed onto a replica. False when it has to wait.
+    apply(op) {
+      if (!this.integrate(op)) {
+        this.pending.push(op);
+        return false;
+      }
+      // Something may have been waiting for this one
+      for (let i = 0; i < this.pending.length; i++) {
+        if (this.integrate(this.pending[i])) {
+          this.pending.splice(i, 1);
+          i = -1;
+        }
+      }
+      return true;
+    }
+
+    integrate(op) {
+      if (op.t === 'd') {
+        if (!op.ids.every(k => this.byKey.has(k))) return false;
+        if (op.ids.every(k => this.byKey.get(k).deleted)) return true;
+        op.ids.forEach(k => { this.byKey.get(k).deleted = true; });
+        this.ops.push(op);
+        return true;
+      }
+      if (this.byKey.has(key(op.c, op.s))) return true;
+      if (op.ref !== null && !this.byKey.has(op.ref)) return false;
+      // Each character goes right after the one before it
+      let after = op.ref === null ? -1 : this.chars.indexOf(this.byKey.get(op.ref));
+      for (let k = 0; k < op.text.length; k++) {
+        const id = { c: op.c + k, s: op.s };
+        let i = after + 1;
+        // Skip concurrent inserts at the same place that order first
+        while (i < this.chars.length && compareIds(this.chars[i], id) > 0) i++;
+        const el = { c: id.c, s: id.s, key: key(id.c, id.s), ch: op.text[k], deleted: false };
+        this.chars.splice(i, 0, el);
+        this.byKey.set(el.key, el);
+        after = i;
+      }
+      this.clock = Math.max(this.clock, op.c + op.text.length - 1);
+      this.ops.push(op);
+      return true;
+    }
+  }
+
+  // The single edit that turns a into b: delete del characters at pos and
+  // insert ins there
+  function diffText(a, b) {
+    let start = 0;
+    const max = Math.min(a.length, b.length);
+    while (start < max && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < max - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+    return { pos: start, del: a.length - start - end, ins: b.slice(start, b.length - end) };
+  }
+
+  return { RGA, diffText, compareIds };
+});
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// ── MarkVoid share relay ─────────────────────────────────────
+// A small WebSocket relay for "Share Session". Run it anywhere the editors
+// can reach (a laptop on the LAN is enough):
+//
+//   node server/relay.js            # listens on port 8787
+//   PORT=9000 node server/relay.js
+//
+// and point Share Session at ws://<host>:8787. No dependencies; it speaks
+// just enough of RFC 6455 for browsers.
+//
+// A room is the URL path (ws://host:8787/<room>). The relay keeps each
+// room's op log in memory and sends it to everyone who joins, so peers can
+// come and go; the CRDT in crdt.js does the merging, the relay only orders
+// and forwards. Messages are JSON text frames:
+//   → { type: 'ops', ops }            appended to the log, sent to the others
+//   → { type: 'presence', … }         sent to the others, last one kept
+//   ← { type: 'welcome', ops, seed, peers }
+//      seed: the room was empty; this client fills it with its note
+//   ← { type: 'ops', ops } / { type: 'presence', … } / { type: 'leave', site }
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 8 * 1024 * 1024;
+const ROOM_TTL = 60 * 60 * 1000;   // an empty room is kept this long for reconnects
+const PING_INTERVAL = 30 * 1000;
+
+const rooms = new Map();   // name → { clients: Set, log: [], emptySince }
+
+function getRoom(name) {
+  let room = rooms.get(name);
+  if (!room) {
+    room = { clients: new Set(), log: [], emptySince: 0 };
+    rooms.set(name, room);
+  }
+  return room;
+}
+
+// ── Framing ──
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of buf; returns what is left over
+function decodeFrames(buf, onFrame) {
+  while (buf.length >= 2) {
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let at = 2;
+    if (len === 126) {
+      if (buf.length < 4) break;
+      len = buf.readUInt16BE(2);
+      at = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) break;
+      len = Number(buf.readBigUInt64BE(2));
+      at = 10;
+    }
+    if (len > MAX_MESSAGE) throw new Error('frame too large');
+    const maskAt = at;
+    if (masked) at += 4;
+    if (buf.length < at + len) break;
+    const payload = Buffer.from(buf.subarray(at, at + len));
+    if (masked) for (let i = 0; i < len; i++) payload[i] ^= buf[maskAt + (i & 3)];
+    onFrame(fin, opcode, payload);
+    buf = buf.subarray(at + len);
+  }
+  return buf;
+}
+
+// ── Clients ──
+function send(client, msg) {
+  if (client.socket.destroyed) return;
+  client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(msg))));
+}
+
+function broadcast(room, from, msg) {
+  room.clients.forEach(client => { if (client !== from) send(client, msg); });
+}
+
+function handleMessage(client, text) {
+  let msg;
+  try { msg = JSON.parse(text); } catch (_) { return; }
+  const room = client.room;
+  if (msg.type === 'ops' && Array.isArray(msg.ops)) {
+    room.log.push(...msg.ops);
+    broadcast(room, client, { type: 'ops', ops: msg.ops });
+  } else if (msg.type === 'presence') {
+    client.presence = msg;
+    client.site = msg.site;
+    broadcast(room, client, msg);
+  }
+}
+
+function leave(client) {
+  const room = client.room;
+  if (!room.clients.delete(client)) return;
+  if (client.site) broadcast(room, client, { type: 'leave', site: client.site });
+  if (!room.clients.size) room.emptySince = Date.now();
+}
+
+function accept(req, socket) {
+  const wsKey = req.headers['sec-websocket-key'];
+  if (!wsKey || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const acceptKey = crypto.createHash('sha1').update(wsKey + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey}`,
+    '', ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  let name;
+  try { name = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1)) || 'default'; }
+  catch (_) { name = 'default'; }
+  const room = getRoom(name);
+  const client = { socket, room, site: null, presence: null, alive: true };
+  send(client, {
+    type: 'welcome',
+    ops: room.log,
+    seed: room.log.length === 0 && room.clients.size === 0,
+    peers: [...room.clients].map(c => c.presence).filter(Boolean)
+  });
+  room.clients.add(client);
+
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    try {
+      buffered = decodeFrames(buffered, (fin, opcode, payload) => {
+        if (opcode === 0x8) { socket.end(encodeFrame(0x8, Buffer.alloc(0))); return; }
+        if (opcode === 0x9) { socket.write(encodeFrame(0xA, payload)); return; }
+        if (opcode === 0xA) { client.alive = true; return; }
+        if (opcode === 0x1 || opcode === 0x0) {
+          fragments.push(payload);
+          if (!fin) return;
+          const text = Buffer.concat(fragments).toString('utf8');
+          fragments = [];
+          handleMessage(client, text);
+        }
+      });
+    } catch (ex) {
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => leave(client));
+  socket.on('error', () => leave(client));
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('MarkVoid share relay: connect with a WebSocket.\n');
+});
+server.on('upgrade', accept);
+
+// Drop dead connections and rooms nobody came back to
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach((room, name) => {
+    room.clients.forEach(client => {
+      if (!client.alive) { client.socket.destroy(); leave(client); return; }
+      client.alive = false;
+      client.socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+    });
+    if (!room.clients.size && now - room.emptySince > ROOM_TTL) rooms.delete(name);
+  });
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, HOST, () => {
+  console.log(`MarkVoid relay listening on ws://${HOST}:${PORT}`);
+});
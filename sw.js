@@ -0,0 +1,67 @@
+// ── MarkVoid service worker ──────────────────────────────────
+// Serves the app shell from a versioned cache so the editor boots without
+// a network. The deploy workflow stamps VERSION with the commit being
+// published; a changed sw.js installs next to the running one and waits
+// until the page posts 'skipWaiting' (see the update banner in app.js).
+// An unstamped checkout ('dev') never changes sw.js, so it goes network
+// first instead; local edits show on a normal reload.
+const VERSION = 'dev';
+const CACHE = 'markvoid-' + VERSION;
+
+const SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'crdt.js',
+  'styles.css',
+  'favicon.svg',
+  'manifest.webmanifest',
+  'vendor/markdown-it/markdown-it.min.js',
+  'vendor/highlight.js/highlight.min.js',
+  'vendor/highlight.js/styles/atom-one-dark.min.css',
+  'vendor/highlight.js/styles/github.min.css',
+  'vendor/highlight.js/styles/base16/dracula.min.css',
+  'vendor/highlight.js/styles/base16/monokai.min.css',
+  'vendor/highlight.js/styles/base16/nord.min.css',
+  'vendor/highlight.js/styles/base16/ocean.min.css',
+  'vendor/highlight.js/styles/base16/solarized-dark.min.css',
+];
+
+self.addEventListener('install', (e) => {
+  // Skip the HTTP cache so a new version never caches stale files
+  e.waitUntil(caches.open(CACHE).then(cache =>
+    cache.addAll(SHELL.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('markvoid-') && key !== CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Cache first for the shell (network first in a dev checkout, keeping the
+// cache fresh for offline use); anything else goes to the network. Offline
+// navigations (e.g. a #/n/ link opened from a bookmark) get index.html.
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+  const offline = () => caches.match(req, { ignoreSearch: true }).then(hit => hit ||
+    (req.mode === 'navigate' ? caches.match('index.html') : Response.error()));
+  if (VERSION === 'dev') {
+    e.respondWith(fetch(req).then(res => {
+      if (res.ok) {
+        const copy = res.clone();
+        caches.open(CACHE).then(cache => cache.put(req, copy)).catch(() => {});
+      }
+      return res;
+    }, offline));
+    return;
+  }
+  e.respondWith(caches.match(req, { ignoreSearch: true }).then(hit => hit || fetch(req).catch(offline)));
+});
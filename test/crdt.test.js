@@ -0,0 +1,141 @@
+// ── crdt.js ──────────────────────────────────────────────────
+// Replicas that see the same ops, in whatever order, must end up with the
+// same text. Splitting and joining lines is the case that matters most: a
+// newline inserted on one side while the other deletes around it.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RGA, diffText } = require('../crdt.js');
+
+// Replicas that all start from the same seeded text
+function replicas(text, ...sites) {
+  const seed = new RGA('seed');
+  const op = seed.insert(0, text);
+  return sites.map(site => {
+    const r = new RGA(site);
+    r.apply(op);
+    return r;
+  });
+}
+
+function deliver(replica, ops) {
+  ops.forEach(op => replica.apply(JSON.parse(JSON.stringify(op))));
+}
+
+function assertConverged(rs) {
+  rs.forEach(r => assert.deepEqual(r.pending, [], `${r.site} has ops left waiting`));
+  const text = rs[0].text();
+  rs.forEach(r => assert.equal(r.text(), text, `${r.site} diverged`));
+  return text;
+}
+
+// Every ordering of ops (small arrays only)
+function permutations(ops) {
+  if (ops.length <= 1) return [ops];
+  return ops.flatMap((op, i) =>
+    permutations([...ops.slice(0, i), ...ops.slice(i + 1)]).map(rest => [op, ...rest]));
+}
+
+// Deterministic PRNG so a failure reproduces
+function prng(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x80000000;
+  };
+}
+
+test('concurrent split and join of the same line converge', () => {
+  const [a, b] = replicas('one\ntwo', 'a', 'b');
+  const split = a.insert(1, '\n');        // o|ne
+  const join = b.remove(3, 1);            // one two
+  deliver(a, [join]);
+  deliver(b, [split]);
+  assert.equal(assertConverged([a, b]), 'o\nnetwo');
+});
+
+test('three replicas converge whatever order the ops arrive in', () => {
+  const [a, b, c] = replicas('ab\ncd\nef', 'a', 'b', 'c');
+  const ops = [
+    a.insert(4, '\n'),                    // split cd
+    b.remove(2, 1),                       // join ab and cd
+    c.remove(5, 1),                       // join cd and ef
+    c.insert(5, 'X\n'),                   // then start a new line there
+  ];
+  const local = { a: [ops[0]], b: [ops[1]], c: [ops[2], ops[3]] };
+  const texts = new Set();
+  permutations(ops).forEach(order => {
+    const rs = replicas('ab\ncd\nef', 'a', 'b', 'c');
+    rs.forEach(r => deliver(r, local[r.site]));
+    rs.forEach(r => deliver(r, order.filter(op => !local[r.site].includes(op))));
+    texts.add(assertConverged(rs));
+  });
+  assert.equal(texts.size, 1);
+});
+
+test('ops that arrive before the text they refer to wait in pending', () => {
+  const [a, b, c] = replicas('line', 'a', 'b', 'c');
+  const typed = a.insert(4, '\nnext');    // a new line typed on a
+  const split = a.insert(6, '\n');        // then split it again
+  deliver(b, [typed, split]);
+  const merged = b.remove(4, 1);          // b joins the new line back
+  const more = b.insert(5, 'more');       // and types into it
+
+  // c hears from b before a
+  assert.equal(c.apply(merged), false);
+  assert.equal(c.apply(more), false);
+  assert.equal(c.apply(split), false);
+  assert.equal(c.pending.length, 3);
+  c.apply(typed);
+  assert.equal(c.pending.length, 0);
+
+  deliver(a, [merged, more]);
+  assertConverged([a, b, c]);
+});
+
+test('replaying the whole log onto a replica changes nothing', () => {
+  const [a, b] = replicas('x\ny', 'a', 'b');
+  const ops = [a.insert(1, '\n\n'), b.remove(1, 1), a.remove(0, 2)];
+  deliver(a, [ops[1]]);
+  deliver(b, [ops[0], ops[2]]);
+  const text = assertConverged([a, b]);
+  deliver(a, a.ops);
+  deliver(b, a.ops);
+  assert.equal(assertConverged([a, b]), text);
+});
+
+test('random concurrent line edits converge', () => {
+  const rand = prng(42);
+  const pick = (n) => Math.floor(rand() * n);
+  for (let round = 0; round < 50; round++) {
+    const start = 'alpha\nbeta\ngamma\ndelta';
+    const rs = replicas(start, 'a', 'b', 'c');
+    const sent = [];
+    // A few local edits per replica, mostly newlines, before anyone syncs
+    rs.forEach(r => {
+      for (let n = 0; n < 4; n++) {
+        const len = r.text().length;
+        let op;
+        if (rand() < 0.5) op = r.insert(pick(len + 1), rand() < 0.7 ? '\n' : 'z\n');
+        else op = r.remove(pick(len), 1 + pick(2));
+        if (op) sent.push({ from: r.site, op });
+      }
+    });
+    // Each replica gets the others' ops shuffled, so some wait in pending
+    rs.forEach(r => {
+      const theirs = sent.filter(m => m.from !== r.site).map(m => m.op);
+      for (let i = theirs.length - 1; i > 0; i--) {
+        const j = pick(i + 1);
+        [theirs[i], theirs[j]] = [theirs[j], theirs[i]];
+      }
+      deliver(r, theirs);
+    });
+    assertConverged(rs);
+  }
+});
+
+test('diffText finds the single edit between two texts', () => {
+  assert.deepEqual(diffText('ab\ncd', 'ab\nxcd'), { pos: 3, del: 0, ins: 'x' });
+  assert.deepEqual(diffText('ab\ncd', 'abcd'), { pos: 2, del: 1, ins: '' });
+  assert.deepEqual(diffText('aaa', 'aa'), { pos: 2, del: 1, ins: '' });
+});